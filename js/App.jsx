@@ -1,8 +1,82 @@
 import React, { useState, useEffect, useRef } from 'react';
 import ReteEditorComponent from './rete/ReteEditorComponent'; // Import the Rete component
-import { loadStateFromStorage, clearSavedState } from './utils/cookieManager';
+import {
+  loadStateFromStorage,
+  clearSavedState,
+  loadScriptStateFromStorage,
+  saveScriptStateToStorage,
+  loadProjectMetaFromStorage,
+  saveProjectMetaToStorage,
+  listProjects,
+  getCurrentProjectId,
+  createProject,
+  duplicateProject,
+  renameProject,
+  deleteProject,
+  openProject,
+  getStorageLocation,
+  takeSnapshot,
+  listSnapshots
+} from './utils/storage';
+import {
+  serializeLevelFile,
+  readLevelData,
+  createEmptyLevel,
+  LevelFormatError,
+  LEVEL_FILE_EXTENSION,
+  MIN_LEVEL_SIZE,
+  MAX_LEVEL_SIZE
+} from './utils/levelFormat';
+import {
+  createProjectFile,
+  createProjectMetadata,
+  parseImportFile,
+  PROJECT_FILE_EXTENSION,
+  DEFAULT_PROJECT_TITLE
+} from './utils/projectFormat';
+import { createLevelThumbnail } from './utils/levelThumbnail';
 import ilapeLogoImg from './img/ilape.png'; // Import the logo image
 
+// Get the EditorScene instance if the Phaser game has been created
+const getEditorScene = () => {
+  if (window.phaserGame && window.phaserGame.scene.getScene('EditorScene')) {
+    return window.phaserGame.scene.getScene('EditorScene');
+  }
+  return null;
+};
+
+// Names of the level object types, shown as the property inspector's title
+const OBJECT_TYPE_NAMES = {
+  block: 'Blokas',
+  trigger: 'Pabaiga',
+  platform: 'Judanti platforma',
+  hazard: 'Pavojus',
+  checkpoint: 'Vėliava',
+  collectible: 'Moneta',
+  decoration: 'Dekoracija',
+  player: 'Žaidėjas'
+};
+
+// Tools that paint the tile layer, and the kinds of tile they can paint (see TileLayer.js)
+const TILE_TOOLS = ['tileBrush', 'tileEraser', 'tileFill', 'tileRect'];
+const TILE_KIND_NAMES = {
+  1: 'Žolė',
+  2: 'Žemė',
+  3: 'Akmuo'
+};
+
+// Decoration layers, with the names of their visibility toggles (see Decoration.js)
+const DECORATION_LAYER_NAMES = {
+  background: 'Fonas',
+  foreground: 'Priekis'
+};
+
+// Read a number typed into a property inspector field, or null if it isn't a valid value for the property
+const parseObjectNumber = (text, { min = -Infinity, max = Infinity, whole = false } = {}) => {
+  const value = whole ? parseInt(text, 10) : parseFloat(text);
+  return Number.isFinite(value) && value >= min && value <= max ? value : null;
+};
+
 function App() {
   console.log('Rendering App component...');
   
@@ -22,6 +96,35 @@ function App() {
   const [touchMode, setTouchMode] = useState(false);
   // Track when the welcome message was last shown
   const [welcomeShown, setWelcomeShown] = useState(false);
+  // State for undo/redo availability in the level editor
+  const [canUndo, setCanUndo] = useState(false);
+  const [canRedo, setCanRedo] = useState(false);
+  // Snap grid settings for the level editor
+  const [snapEnabled, setSnapEnabled] = useState(true);
+  const [gridSize, setGridSize] = useState(20);
+  // Project metadata (title, author, dates) and whether the export dialog is open
+  const [projectMeta, setProjectMeta] = useState(() => createProjectMetadata(null));
+  const [showExportDialog, setShowExportDialog] = useState(false);
+  // Saved projects listed in the project browser, the open one, and whether the browser is shown
+  const [projects, setProjects] = useState([]);
+  const [currentProjectId, setCurrentProjectId] = useState(null);
+  const [showProjectBrowser, setShowProjectBrowser] = useState(false);
+  // Where projects are kept: 'server' (the save server) or 'browser'
+  const [storageLocation, setStorageLocation] = useState('browser');
+  // Snapshot history of the open project, newest first, and the one being previewed
+  const [snapshots, setSnapshots] = useState([]);
+  const [selectedSnapshot, setSelectedSnapshot] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  // Objects selected in the level editor: [{ id, type, data }]
+  const [selectedObjects, setSelectedObjects] = useState([]);
+  // Message shown when saving to browser storage fails
+  const [storageError, setStorageError] = useState(null);
+  // Kind of tile the tile tools paint
+  const [tileKind, setTileKind] = useState(1);
+  // Decoration layers shown in the level editor (all of them show while playing)
+  const [decorationLayersVisible, setDecorationLayersVisible] = useState({ background: true, foreground: true });
+  // Level size being typed into the level settings dialog, or null while it's closed
+  const [levelSizeDraft, setLevelSizeDraft] = useState(null);
   
   // Force the viewport height for mobile (to handle address bar issues)
   useEffect(() => {
@@ -80,7 +183,9 @@ function App() {
   const containerRef = useRef(null);
   const gameContainerRef = useRef(null);
   const editorContainerRef = useRef(null);
-
+  // Hidden file input used by the Import button
+  const importFileInputRef = useRef(null);
+  
   // Function to handle tool selection
   const handleToolSelect = (toolName) => {
     if (!isPreviewMode) {
@@ -92,6 +197,15 @@ function App() {
     }
   };
   
+  // Choose the kind of tile the tile tools paint
+  const handleTileKindSelect = (kind) => {
+    setTileKind(kind);
+    const scene = getEditorScene();
+    if (scene) {
+      scene.setTileKind(kind);
+    }
+  };
+  
   // Listen for tool changes from the EditorScene
   useEffect(() => {
     const handleToolChange = (event) => {
@@ -106,7 +220,474 @@ function App() {
       window.removeEventListener('toolchange', handleToolChange);
     };
   }, []);
-
+  
+  // Listen for undo/redo availability changes from the EditorScene
+  useEffect(() => {
+    const handleHistoryChange = (event) => {
+      if (event.detail) {
+        setCanUndo(event.detail.canUndo);
+        setCanRedo(event.detail.canRedo);
+      }
+    };
+    
+    window.addEventListener('historychange', handleHistoryChange);
+    
+    return () => {
+      window.removeEventListener('historychange', handleHistoryChange);
+    };
+  }, []);
+  
+  // Functions to undo/redo level editor operations
+  const handleUndo = () => {
+    const scene = getEditorScene();
+    if (scene && !isPreviewMode) {
+      scene.undo();
+    }
+  };
+  
+  const handleRedo = () => {
+    const scene = getEditorScene();
+    if (scene && !isPreviewMode) {
+      scene.redo();
+    }
+  };
+  
+  // Offer text as a file download
+  const downloadFile = (text, fileName) => {
+    const blob = new Blob([text], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+  
+  // Turn the project title into a safe file name
+  const getExportFileName = (extension) => {
+    const baseName = projectMeta.title.trim().replace(/[\\/:*?"<>|]+/g, '').replace(/\s+/g, '_');
+    return `${baseName || 'projektas'}${extension}`;
+  };
+  
+  // The current script graph: from the running editor if it has been created, otherwise the last saved one
+  const getScriptState = async () => {
+    if (window.reteEditorScope) {
+      return window.reteEditorScope.getState();
+    }
+    return loadScriptStateFromStorage();
+  };
+  
+  // Open the export dialog, showing when the project was really last modified
+  // (auto-saves move the stored date without updating the dialog's copy)
+  const openExportDialog = () => {
+    setShowExportDialog(true);
+    loadProjectMetaFromStorage().then(metadata => {
+      if (metadata) {
+        setProjectMeta(current => ({ ...current, modified: metadata.modified }));
+      }
+    });
+  };
+  
+  // Download the level and the player script together as a .ilape-project.json file
+  const handleExportProject = async () => {
+    const scene = getEditorScene();
+    if (!scene || isPreviewMode) return;
+    
+    const project = createProjectFile({
+      level: scene.saveState(),
+      script: await getScriptState(),
+      metadata: projectMeta
+    });
+    setProjectMeta(project.metadata);
+    saveProjectMetaToStorage(project.metadata);
+    
+    downloadFile(JSON.stringify(project, null, 2), getExportFileName(PROJECT_FILE_EXTENSION));
+    setShowExportDialog(false);
+  };
+  
+  // Download only the level as a .ilape.json file
+  const handleExportLevel = () => {
+    const scene = getEditorScene();
+    if (!scene || isPreviewMode) return;
+    
+    saveProjectMetaToStorage(projectMeta);
+    downloadFile(serializeLevelFile(scene.saveState()), getExportFileName(LEVEL_FILE_EXTENSION));
+    setShowExportDialog(false);
+  };
+  
+  // Load a project or level file picked with the Import button. Everything is validated
+  // first, so a bad file leaves both the level and the script untouched.
+  const handleImportFile = async (event) => {
+    const file = event.target.files && event.target.files[0];
+    // Reset the input so picking the same file again still triggers a change
+    event.target.value = '';
+    
+    const scene = getEditorScene();
+    if (!file || !scene || isPreviewMode) return;
+    
+    try {
+      const imported = parseImportFile(await file.text());
+      const message = imported.script
+        ? 'Importuotas projektas pakeis dabartinį lygį ir skriptą. Tęsti?'
+        : 'Importuotas lygis pakeis dabartinį. Tęsti?';
+      if (!window.confirm(message)) return;
+      
+      // Keep what's being replaced in the history
+      await saveOpenProject();
+      await takeSnapshot();
+      
+      // A project brings its script along; a level file keeps the current one
+      if (imported.script) {
+        await loadIntoEditor(scene, imported.level, imported.script);
+      } else {
+        scene.importLevel(imported.level);
+      }
+      
+      if (imported.metadata) {
+        setProjectMeta(imported.metadata);
+        saveProjectMetaToStorage(imported.metadata);
+      }
+      
+      setLastSaved(new Date());
+    } catch (e) {
+      console.error('Import failed:', e);
+      const details = e instanceof LevelFormatError ? e.details : [];
+      // Show the first few problems; a broken file can produce a lot of them
+      const shownDetails = details.slice(0, 10).map(detail => `• ${detail}`);
+      if (details.length > shownDetails.length) {
+        shownDetails.push(`… (+${details.length - shownDetails.length})`);
+      }
+      window.alert([`Nepavyko importuoti: ${e.message}`, ...shownDetails].join('\n'));
+    }
+  };
+  
+  // Save the open project's level and script right away instead of waiting for the auto-save
+  const saveOpenProject = async () => {
+    const scene = getEditorScene();
+    if (scene && !isPreviewMode) {
+      await scene.saveStateToStorage();
+    }
+    if (window.reteEditorScope) {
+      await saveScriptStateToStorage(window.reteEditorScope.getState());
+    }
+  };
+  
+  // Reload the list shown in the project browser
+  const refreshProjects = async () => {
+    setProjects(await listProjects());
+    setCurrentProjectId(await getCurrentProjectId());
+    setStorageLocation(await getStorageLocation());
+  };
+  
+  // Show the project browser, with the open project's thumbnail and date up to date
+  const openProjectBrowser = async () => {
+    if (isPreviewMode) return;
+    
+    await saveOpenProject();
+    await refreshProjects();
+    setShowProjectBrowser(true);
+  };
+  
+  // Replace the editor's level and script with saved or imported ones (an opened project, a snapshot or a project file)
+  const loadIntoEditor = async (scene, gameState, scriptState) => {
+    let level = createEmptyLevel();
+    if (gameState) {
+      try {
+        level = readLevelData(gameState);
+      } catch (e) {
+        // Load an empty level rather than nothing, as on startup
+        console.error('Saved level could not be loaded:', e.message, e.details || '');
+        window.alert(`Nepavyko įkelti lygio: ${e.message}`);
+      }
+    }
+    scene.importLevel(level);
+    
+    // Store the script first: a script editor that hasn't been opened yet isn't
+    // created, and loads the script from storage once it is
+    await saveScriptStateToStorage(scriptState);
+    
+    // The script editor loads the saved script, or the starter nodes if there is none
+    window.dispatchEvent(new CustomEvent('scriptimport', {
+      detail: { state: scriptState }
+    }));
+  };
+  
+  // Switch the editor to another saved project. The open one is saved first, so nothing is lost.
+  const handleOpenProject = async (projectId) => {
+    const scene = getEditorScene();
+    if (!scene || isPreviewMode || projectId === currentProjectId) return;
+    
+    await saveOpenProject();
+    const project = await openProject(projectId);
+    if (!project) {
+      window.alert('Nepavyko atidaryti projekto.');
+      return;
+    }
+    
+    await loadIntoEditor(scene, project.gameState, project.scriptState);
+    setProjectMeta(createProjectMetadata(project.metadata));
+    setCurrentProjectId(projectId);
+    setLastSaved(new Date());
+    setShowProjectBrowser(false);
+  };
+  
+  const handleCreateProject = async () => {
+    const title = window.prompt('Naujo projekto pavadinimas:', DEFAULT_PROJECT_TITLE);
+    if (title === null) return;
+    
+    const project = await createProject(title.trim() || DEFAULT_PROJECT_TITLE);
+    if (project) {
+      await handleOpenProject(project.id);
+    }
+  };
+  
+  const handleRenameProject = async (project) => {
+    const title = window.prompt('Projekto pavadinimas:', project.title);
+    if (title === null || !title.trim()) return;
+    
+    if (await renameProject(project.id, title.trim())) {
+      if (project.id === currentProjectId) {
+        setProjectMeta({ ...projectMeta, title: title.trim() });
+      }
+      refreshProjects();
+    }
+  };
+  
+  const handleDuplicateProject = async (project) => {
+    // The stored copy of the open project can be a few seconds behind the editor
+    if (project.id === currentProjectId) {
+      await saveOpenProject();
+    }
+    
+    if (await duplicateProject(project.id, `${project.title} (kopija)`)) {
+      refreshProjects();
+    }
+  };
+  
+  const handleDeleteProject = async (project) => {
+    if (!window.confirm(`Ar tikrai nori ištrinti projektą „${project.title}“? Jo lygio ir skripto nebus galima sugrąžinti.`)) return;
+    
+    if (await deleteProject(project.id)) {
+      refreshProjects();
+    }
+  };
+  
+  // Show the open project's snapshot history, with the latest edits saved first
+  const openHistory = async () => {
+    if (isPreviewMode) return;
+    
+    await saveOpenProject();
+    const history = await listSnapshots();
+    setSnapshots(history);
+    setSelectedSnapshot(history.length > 0 ? history[0] : null);
+    setShowHistory(true);
+  };
+  
+  // Open the level settings dialog with the level's current size
+  const openLevelSettings = () => {
+    const scene = getEditorScene();
+    if (!scene || isPreviewMode) return;
+    
+    setLevelSizeDraft({ width: String(scene.levelWidth), height: String(scene.levelHeight) });
+  };
+  
+  // The size typed into the level settings dialog, with null for a value out of range
+  const parseLevelSizeDraft = () => ({
+    width: parseObjectNumber(levelSizeDraft.width, { min: MIN_LEVEL_SIZE.width, max: MAX_LEVEL_SIZE.width, whole: true }),
+    height: parseObjectNumber(levelSizeDraft.height, { min: MIN_LEVEL_SIZE.height, max: MAX_LEVEL_SIZE.height, whole: true })
+  });
+  
+  // Resize the level to the size typed into the level settings dialog (undoable like any other edit)
+  const handleApplyLevelSettings = () => {
+    const scene = getEditorScene();
+    const size = parseLevelSizeDraft();
+    if (!scene || size.width === null || size.height === null) return;
+    
+    scene.resizeLevel(size.width, size.height);
+    setLevelSizeDraft(null);
+  };
+  
+  // Bring back the level and script of a snapshot. The current ones become a snapshot
+  // themselves, so restoring can be undone the same way.
+  const handleRestoreSnapshot = async (snapshot) => {
+    const scene = getEditorScene();
+    if (!scene || isPreviewMode) return;
+    
+    const time = new Date(snapshot.time).toLocaleString();
+    if (!window.confirm(`Atkurti ${time} būseną? Dabartinis lygis ir skriptas bus išsaugoti istorijoje.`)) return;
+    
+    await saveOpenProject();
+    await takeSnapshot();
+    await loadIntoEditor(scene, snapshot.gameState, snapshot.scriptState);
+    setLastSaved(new Date());
+    setShowHistory(false);
+  };
+  
+  // Keep the editor's snap grid in sync with the toolbar
+  useEffect(() => {
+    const scene = getEditorScene();
+    if (scene) {
+      scene.setSnapSettings({ enabled: snapEnabled, gridSize });
+    }
+  }, [snapEnabled, gridSize]);
+  
+  // Keep the editor's decoration layers shown or hidden as the toolbar says
+  useEffect(() => {
+    const scene = getEditorScene();
+    if (scene) {
+      Object.entries(decorationLayersVisible).forEach(([layer, visible]) => scene.setDecorationLayerVisible(layer, visible));
+    }
+  }, [decorationLayersVisible]);
+  
+  // Follow the level editor's selection, for the object settings panel
+  useEffect(() => {
+    const handleSelectionChange = (event) => {
+      setSelectedObjects(event.detail.objects);
+    };
+    
+    window.addEventListener('objectselectionchange', handleSelectionChange);
+    return () => window.removeEventListener('objectselectionchange', handleSelectionChange);
+  }, []);
+  
+  // The property inspector is shown while exactly one object is selected
+  const selectedObject = selectedObjects.length === 1 ? selectedObjects[0] : null;
+  const selectedPlatform = selectedObject && selectedObject.type === 'platform' ? selectedObject : null;
+  const selectedHazard = selectedObject && selectedObject.type === 'hazard' ? selectedObject : null;
+  const selectedCollectible = selectedObject && selectedObject.type === 'collectible' ? selectedObject : null;
+  const selectedTrigger = selectedObject && selectedObject.type === 'trigger' ? selectedObject : null;
+  const selectedDecoration = selectedObject && selectedObject.type === 'decoration' ? selectedObject : null;
+  // An image decoration's address, or nothing for a picture file kept in the level
+  const decorationImageUrl = selectedDecoration && !selectedDecoration.data.image.startsWith('data:') ? selectedDecoration.data.image : '';
+  
+  // Change a setting of the selected object (an undoable step in the editor)
+  const updateSelectedObject = (changes) => {
+    const scene = getEditorScene();
+    if (scene && selectedObject) {
+      scene.updateObject(selectedObject.id, changes);
+    }
+  };
+  
+  // Add a waypoint after the selected platform's last one, or remove its last waypoint
+  const handlePlatformWaypoints = (action) => {
+    const scene = getEditorScene();
+    if (!scene || !selectedPlatform) return;
+    
+    if (action === 'add') {
+      scene.addPlatformWaypoint(selectedPlatform.id);
+    } else {
+      scene.removePlatformWaypoint(selectedPlatform.id);
+    }
+  };
+  
+  // Use a picture file as the selected image decoration's image. It's kept in the level as a data URL.
+  const handleDecorationImageFile = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = () => updateSelectedObject({ image: reader.result });
+    reader.readAsDataURL(file);
+  };
+  
+  // Show a property change in the level while it's being typed, before it's committed
+  const previewSelectedObject = (changes) => {
+    const scene = getEditorScene();
+    if (scene && selectedObject) {
+      scene.previewObjectChange(selectedObject.id, changes);
+    }
+  };
+  
+  // Apply a number typed into an inspector field; an invalid value puts the current one back
+  const handleObjectNumberInput = (event, key, limits) => {
+    const value = parseObjectNumber(event.target.value, limits);
+    if (value !== null) {
+      updateSelectedObject({ [key]: value });
+    } else {
+      updateSelectedObject({ [key]: selectedObject.data[key] });
+      event.target.value = selectedObject.data[key];
+    }
+  };
+  
+  // A number field of the property inspector: valid values show in the level as they're
+  // typed and become one undoable change on blur or Enter
+  const renderNumberField = (label, key, { step = 1, ...limits } = {}) => (
+    <label style={{ color: '#aaa' }}>
+      {label}
+      <input
+        key={`${key}-${selectedObject.id}-${selectedObject.data[key]}`}
+        type="number"
+        min={limits.min}
+        max={limits.max}
+        step={step}
+        defaultValue={Math.round(selectedObject.data[key] * 100) / 100}
+        onChange={(e) => {
+          const value = parseObjectNumber(e.target.value, limits);
+          if (value !== null) previewSelectedObject({ [key]: value });
+        }}
+        onBlur={(e) => handleObjectNumberInput(e, key, limits)}
+        onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+        style={dialogInputStyle}
+      />
+    </label>
+  );
+  
+  // Keyboard shortcuts for the level editor (only while the game view is shown)
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (currentView !== 'game' || isPreviewMode) return;
+      
+      // Leave text fields to their own editing behavior
+      const target = event.target;
+      if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT')) return;
+      
+      // Delete the current selection
+      if (event.key === 'Delete' || event.key === 'Backspace') {
+        const scene = getEditorScene();
+        if (scene) {
+          event.preventDefault();
+          scene.deleteSelection();
+        }
+        return;
+      }
+      
+      if (!(event.ctrlKey || event.metaKey)) return;
+      
+      const key = event.key.toLowerCase();
+      
+      if (key === 'z') {
+        event.preventDefault();
+        if (event.shiftKey) {
+          handleRedo();
+        } else {
+          handleUndo();
+        }
+        return;
+      }
+      
+      // Copy, paste and duplicate
+      const scene = getEditorScene();
+      if (!scene) return;
+      
+      if (key === 'c') {
+        event.preventDefault();
+        scene.copySelection();
+      } else if (key === 'v') {
+        event.preventDefault();
+        scene.pasteClipboard();
+      } else if (key === 'd') {
+        event.preventDefault();
+        scene.duplicateSelection();
+      }
+    };
+    
+    window.addEventListener('keydown', handleKeyDown);
+    
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [currentView, isPreviewMode]);
+  
   // Function to toggle preview mode
   const togglePreview = () => {
     const newPreviewState = !isPreviewMode;
@@ -117,11 +698,10 @@ function App() {
       scene.togglePreview();
       
       // Force physics to activate on the player if in preview mode
+      // (its gravity is set by the scene, and may already be changed by the player's script)
       if (newPreviewState && scene.player && scene.player.body) {
         // Enable physics body
         scene.player.body.enable = true;
-        // Apply gravity
-        scene.player.body.gravity.y = 300;
         console.log('Player physics activated for preview mode');
       }
     }
@@ -154,7 +734,7 @@ function App() {
       window.removeEventListener('previewModeChanged', handlePreviewModeChanged);
     };
   }, [isPreviewMode]);
-
+  
   // Function to handle window resize and detect mobile devices
   useEffect(() => {
     const handleResize = () => {
@@ -196,24 +776,47 @@ function App() {
   // Load saved progress when the app first loads
   useEffect(() => {
     // We'll check for saved state, but the actual loading happens in EditorScene
-    const savedState = loadStateFromStorage();
-    if (savedState) {
-      console.log('Found saved progress from:', new Date(savedState.timestamp).toLocaleString());
-      setProgressLoaded(true);
-      setLastSaved(new Date(savedState.timestamp));
-    }
+    loadStateFromStorage().then(savedState => {
+      if (savedState) {
+        console.log('Found saved progress from:', new Date(savedState.timestamp).toLocaleString());
+        setProgressLoaded(true);
+        setLastSaved(new Date(savedState.timestamp));
+      }
+    });
+    
+    loadProjectMetaFromStorage().then(metadata => {
+      if (metadata) {
+        setProjectMeta(createProjectMetadata(metadata));
+      }
+    });
     
     // Set up interval to update the last saved timestamp
     const updateInterval = setInterval(() => {
-      const state = loadStateFromStorage();
-      if (state && state.timestamp) {
-        setLastSaved(new Date(state.timestamp));
-      }
+      loadStateFromStorage().then(state => {
+        if (state && state.timestamp) {
+          setLastSaved(new Date(state.timestamp));
+        }
+      });
     }, 10000); // Check every 10 seconds
     
     return () => clearInterval(updateInterval);
   }, []);
   
+  // Warn when the browser refuses to save (most often because its storage quota is full)
+  useEffect(() => {
+    const handleStorageError = (event) => {
+      setStorageError(event.detail.isQuotaError
+        ? 'Nepavyko išsaugoti: naršyklės saugykla pilna. Eksportuokite projektą, kad neprarastumėte pakeitimų.'
+        : `Nepavyko išsaugoti: ${event.detail.message}`);
+    };
+    
+    window.addEventListener('storageerror', handleStorageError);
+    
+    return () => {
+      window.removeEventListener('storageerror', handleStorageError);
+    };
+  }, []);
+  
   // Function to switch between game and editor views
   const switchView = (view) => {
     console.log(`Switching to ${view} view`);
@@ -248,7 +851,7 @@ function App() {
       // The transform property handles which view is visible to the user
     }, 300);
   };
-
+  
   // Style for tool buttons
   const toolButtonStyle = (tool) => ({
     padding: isMobile ? '6px 8px' : '8px 10px',
@@ -266,7 +869,37 @@ function App() {
     width: '100%',
     fontSize: isMobile ? '10px' : '12px'
   });
-
+  
+  // Style for the level file buttons in the top bar
+  const fileButtonStyle = {
+    padding: isMobile ? '6px 8px' : '8px 12px',
+    backgroundColor: '#333',
+    border: '1px solid #555',
+    borderRadius: '4px',
+    color: 'white',
+    cursor: 'pointer',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    fontSize: isMobile ? '10px' : '12px',
+    opacity: isPreviewMode ? 0.5 : 1,
+    pointerEvents: isPreviewMode ? 'none' : 'auto',
+    touchAction: 'manipulation'
+  };
+  
+  // Style for the text inputs in the export dialog
+  const dialogInputStyle = {
+    display: 'block',
+    width: '100%',
+    marginTop: '4px',
+    padding: '6px 8px',
+    backgroundColor: '#222',
+    border: '1px solid #555',
+    borderRadius: '4px',
+    color: 'white',
+    boxSizing: 'border-box'
+  };
+  
   // Style for navigation buttons
   const navButtonStyle = (view) => ({
     padding: '10px 20px',
@@ -282,7 +915,7 @@ function App() {
     width: '120px',
     height: '40px'
   });
-
+  
   return (
     <div style={{ 
       display: 'flex',
@@ -402,7 +1035,7 @@ function App() {
             )}
           </button>
         </div>
-
+        
         {/* Right side with Last Saved text and Reset button */}
         <div style={{
           display: 'flex',
@@ -421,12 +1054,84 @@ function App() {
             </div>
           )}
           
+          {/* Project Browser Button */}
+          <button 
+            id="projects-button"
+            onClick={openProjectBrowser}
+            style={fileButtonStyle}
+            title="Projects"
+          >
+            <svg width={isMobile ? "12" : "14"} height={isMobile ? "12" : "14"} viewBox="0 0 16 16" fill="currentColor">
+              <path d="M2,4 L6,4 L7,5 L14,5 L14,13 L2,13 L2,4" stroke="currentColor" strokeWidth="1.5" fill="none" />
+            </svg>
+            {!isMobile && <span style={{ marginLeft: '4px' }}>Projektai</span>}
+          </button>
+          
+          {/* Snapshot History Button */}
+          <button 
+            id="history-button"
+            onClick={openHistory}
+            style={fileButtonStyle}
+            title="History"
+          >
+            <svg width={isMobile ? "12" : "14"} height={isMobile ? "12" : "14"} viewBox="0 0 16 16" fill="currentColor">
+              <circle cx="8" cy="8" r="6" stroke="currentColor" strokeWidth="1.5" fill="none" />
+              <path d="M8,4 L8,8 L11,10" stroke="currentColor" strokeWidth="1.5" fill="none" />
+            </svg>
+            {!isMobile && <span style={{ marginLeft: '4px' }}>Istorija</span>}
+          </button>
+          
+          {/* Level Settings Button */}
+          <button 
+            id="level-settings-button"
+            onClick={openLevelSettings}
+            style={fileButtonStyle}
+            title="Level Settings"
+          >
+            <svg width={isMobile ? "12" : "14"} height={isMobile ? "12" : "14"} viewBox="0 0 16 16" fill="currentColor">
+              <rect x="2" y="4" width="12" height="8" stroke="currentColor" strokeWidth="1.5" fill="none" />
+              <path d="M5,8 L11,8 M9,6 L11,8 L9,10" stroke="currentColor" strokeWidth="1.5" fill="none" />
+            </svg>
+            {!isMobile && <span style={{ marginLeft: '4px' }}>Lygis</span>}
+          </button>
+          
+          {/* Project/level file Export/Import Buttons */}
+          <button 
+            id="export-button"
+            onClick={openExportDialog}
+            style={fileButtonStyle}
+            title="Export Project or Level"
+          >
+            <svg width={isMobile ? "12" : "14"} height={isMobile ? "12" : "14"} viewBox="0 0 16 16" fill="currentColor">
+              <path d="M8,2 L8,10 M5,7 L8,10 L11,7 M3,13 L13,13" stroke="currentColor" strokeWidth="1.5" fill="none" />
+            </svg>
+            {!isMobile && <span style={{ marginLeft: '4px' }}>Eksportuoti</span>}
+          </button>
+          
+          <button 
+            id="import-button"
+            onClick={() => importFileInputRef.current && importFileInputRef.current.click()}
+            style={fileButtonStyle}
+            title={`Import Project (${PROJECT_FILE_EXTENSION}) or Level (${LEVEL_FILE_EXTENSION})`}
+          >
+            <svg width={isMobile ? "12" : "14"} height={isMobile ? "12" : "14"} viewBox="0 0 16 16" fill="currentColor">
+              <path d="M8,10 L8,2 M5,5 L8,2 L11,5 M3,13 L13,13" stroke="currentColor" strokeWidth="1.5" fill="none" />
+            </svg>
+            {!isMobile && <span style={{ marginLeft: '4px' }}>Importuoti</span>}
+          </button>
+          <input
+            ref={importFileInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={handleImportFile}
+            style={{ display: 'none' }}
+          />
+          
           {/* Reset Progress Button */}
           <button 
             onClick={() => {
-              if (window.confirm('Ar tikrai nori viską ištrinti? Tai pašalins visus lygio elementus nesugrąžinamai.')) {
-                clearSavedState();
-                window.location.reload();
+              if (window.confirm('Ar tikrai nori viską ištrinti? Tai pašalins visus šio projekto lygio elementus ir skriptą. Juos bus galima atkurti per istoriją.')) {
+                saveOpenProject().then(clearSavedState).then(() => window.location.reload());
               }
             }}
             style={{
@@ -451,7 +1156,42 @@ function App() {
           </button>
         </div>
       </div>
-
+      
+      {/* Storage error banner */}
+      {storageError && (
+        <div style={{
+          position: 'fixed',
+          top: isMobile ? '49px' : '60px',
+          left: 0,
+          width: '100%',
+          backgroundColor: '#d9534f',
+          color: 'white',
+          padding: '8px 40px 8px 12px',
+          fontSize: isMobile ? '11px' : '13px',
+          zIndex: 1001,
+          boxSizing: 'border-box'
+        }}>
+          {storageError}
+          <button
+            onClick={() => setStorageError(null)}
+            style={{
+              position: 'absolute',
+              right: '8px',
+              top: '50%',
+              transform: 'translateY(-50%)',
+              background: 'none',
+              border: 'none',
+              color: 'white',
+              cursor: 'pointer',
+              fontSize: '16px'
+            }}
+            title="Dismiss"
+          >
+            ×
+          </button>
+        </div>
+      )}
+      
       {/* Main Container with horizontal swipe effect */}
       <div 
         ref={containerRef}
@@ -589,6 +1329,121 @@ function App() {
                 {!isMobile && <span style={{ marginLeft: '8px' }}>Pabaiga</span>}
               </button>
               
+              <button 
+                id="platform-tool"
+                style={toolButtonStyle('platform')} 
+                onClick={() => handleToolSelect('platform')}
+                title="Moving Platform Tool"
+              >
+                <svg width="16" height="16" viewBox="0 0 20 20" fill="currentColor">
+                  <rect x="5" y="12" width="10" height="4" stroke="currentColor" strokeWidth="1.5" fill="none" />
+                  <path d="M3,7 L17,7 M5,5 L3,7 L5,9 M15,5 L17,7 L15,9" stroke="currentColor" strokeWidth="1.5" fill="none" />
+                </svg>
+                {!isMobile && <span style={{ marginLeft: '8px' }}>Platforma</span>}
+              </button>
+              
+              <button 
+                id="hazard-tool"
+                style={toolButtonStyle('hazard')} 
+                onClick={() => handleToolSelect('hazard')}
+                title="Hazard Tool (spikes, lava)"
+              >
+                <svg width="16" height="16" viewBox="0 0 20 20" fill="currentColor">
+                  <path d="M2,16 L5,8 L8,16 L11,8 L14,16 L17,8 L18,16 Z" stroke="currentColor" strokeWidth="1.5" fill="none" />
+                </svg>
+                {!isMobile && <span style={{ marginLeft: '8px' }}>Pavojus</span>}
+              </button>
+              
+              <button 
+                id="checkpoint-tool"
+                style={toolButtonStyle('checkpoint')} 
+                onClick={() => handleToolSelect('checkpoint')}
+                title="Checkpoint Tool"
+              >
+                <svg width="16" height="16" viewBox="0 0 20 20" fill="currentColor">
+                  <path d="M5,18 L5,3 M5,4 L15,6.5 L5,9" stroke="currentColor" strokeWidth="1.5" fill="none" />
+                </svg>
+                {!isMobile && <span style={{ marginLeft: '8px' }}>Vėliava</span>}
+              </button>
+              
+              <button 
+                id="collectible-tool"
+                style={toolButtonStyle('collectible')} 
+                onClick={() => handleToolSelect('collectible')}
+                title="Collectible Tool (coins, stars)"
+              >
+                <svg width="16" height="16" viewBox="0 0 20 20" fill="currentColor">
+                  <circle cx="10" cy="10" r="7" stroke="currentColor" strokeWidth="1.5" fill="none" />
+                  <circle cx="10" cy="10" r="3.5" stroke="currentColor" strokeWidth="1.5" fill="none" />
+                </svg>
+                {!isMobile && <span style={{ marginLeft: '8px' }}>Moneta</span>}
+              </button>
+              
+              <button 
+                id="decoration-tool"
+                style={toolButtonStyle('decoration')} 
+                onClick={() => handleToolSelect('decoration')}
+                title="Decoration Tool (bushes, signs, text, images)"
+              >
+                <svg width="16" height="16" viewBox="0 0 20 20" fill="currentColor">
+                  <path d="M3,15 C3,11 6,9 8,11 C9,7 14,7 14,11 C16,10 18,12 17,15 Z" stroke="currentColor" strokeWidth="1.5" fill="none" />
+                </svg>
+                {!isMobile && <span style={{ marginLeft: '8px' }}>Dekoracija</span>}
+              </button>
+              
+              <button 
+                id="tileBrush-tool"
+                style={toolButtonStyle('tileBrush')} 
+                onClick={() => handleToolSelect('tileBrush')}
+                title="Tile Brush (drag to paint tiles)"
+              >
+                <svg width="16" height="16" viewBox="0 0 20 20" fill="currentColor">
+                  <path d="M14,3 L17,6 L9,14 L6,11 Z" stroke="currentColor" strokeWidth="1.5" fill="none" />
+                  <path d="M6,11 L3,17 L9,14" stroke="currentColor" strokeWidth="1.5" fill="none" />
+                </svg>
+                {!isMobile && <span style={{ marginLeft: '8px' }}>Teptukas</span>}
+              </button>
+              
+              <button 
+                id="tileEraser-tool"
+                style={toolButtonStyle('tileEraser')} 
+                onClick={() => handleToolSelect('tileEraser')}
+                title="Tile Eraser (drag to remove tiles)"
+              >
+                <svg width="16" height="16" viewBox="0 0 20 20" fill="currentColor">
+                  <path d="M11,3 L17,9 L10,16 L6,16 L3,13 Z" stroke="currentColor" strokeWidth="1.5" fill="none" />
+                  <path d="M7,7 L13,13" stroke="currentColor" strokeWidth="1.5" fill="none" />
+                </svg>
+                {!isMobile && <span style={{ marginLeft: '8px' }}>Trintukas</span>}
+              </button>
+              
+              <button 
+                id="tileFill-tool"
+                style={toolButtonStyle('tileFill')} 
+                onClick={() => handleToolSelect('tileFill')}
+                title="Tile Fill (click an area to fill it)"
+              >
+                <svg width="16" height="16" viewBox="0 0 20 20" fill="currentColor">
+                  <path d="M4,9 L10,3 L16,9 L10,15 Z" stroke="currentColor" strokeWidth="1.5" fill="none" />
+                  <path d="M4,9 L16,9" stroke="currentColor" strokeWidth="1.5" fill="none" />
+                  <circle cx="17" cy="15" r="1.5" fill="currentColor" />
+                </svg>
+                {!isMobile && <span style={{ marginLeft: '8px' }}>Užpildymas</span>}
+              </button>
+              
+              <button 
+                id="tileRect-tool"
+                style={toolButtonStyle('tileRect')} 
+                onClick={() => handleToolSelect('tileRect')}
+                title="Tile Rectangle (drag to paint a rectangle of tiles)"
+              >
+                <svg width="16" height="16" viewBox="0 0 20 20" fill="currentColor">
+                  <rect x="3" y="5" width="14" height="10" stroke="currentColor" strokeWidth="1.5" fill="none" />
+                  <path d="M3,10 L17,10 M8,5 L8,15 M13,5 L13,15" stroke="currentColor" strokeWidth="1" fill="none" />
+                </svg>
+                {!isMobile && <span style={{ marginLeft: '8px' }}>Stačiakampis</span>}
+              </button>
+              
               <button 
                 id="player-tool"
                 style={toolButtonStyle('player')} 
@@ -603,11 +1458,84 @@ function App() {
               </button>
             </div>
             
-            {/* Bottom section with save info and reset button */}
-            {/* Empty div to replace the removed reset button and last saved text */}
-            <div></div>
+            {/* Bottom section with layer toggles, snapping and undo/redo buttons */}
+            <div style={{
+              display: 'flex',
+              flexDirection: 'column',
+              gap: '10px',
+              width: '100%'
+            }}>
+              {Object.entries(DECORATION_LAYER_NAMES).map(([layer, name]) => (
+                <button 
+                  key={layer}
+                  id={`${layer}-layer-button`}
+                  style={{ ...toolButtonStyle(null), backgroundColor: decorationLayersVisible[layer] ? '#4a4a4a' : '#333' }} 
+                  onClick={() => setDecorationLayersVisible({ ...decorationLayersVisible, [layer]: !decorationLayersVisible[layer] })}
+                  title={`Show or hide ${layer} decorations in the editor`}
+                >
+                  <svg width="16" height="16" viewBox="0 0 20 20" fill="currentColor">
+                    <path d="M2,10 C5,5 15,5 18,10 C15,15 5,15 2,10 Z" stroke="currentColor" strokeWidth="1.5" fill="none" />
+                    {decorationLayersVisible[layer]
+                      ? <circle cx="10" cy="10" r="2.5" fill="currentColor" />
+                      : <path d="M3,17 L17,3" stroke="currentColor" strokeWidth="1.5" fill="none" />}
+                  </svg>
+                  {!isMobile && <span style={{ marginLeft: '8px' }}>{name}</span>}
+                </button>
+              ))}
+              
+              <button 
+                id="snap-button"
+                style={{ ...toolButtonStyle(null), backgroundColor: snapEnabled ? '#4a4a4a' : '#333' }} 
+                onClick={() => setSnapEnabled(!snapEnabled)}
+                title="Snap to Grid (hold Alt while dragging to skip)"
+              >
+                <svg width="16" height="16" viewBox="0 0 20 20" fill="currentColor">
+                  <path d="M3,7 L17,7 M3,13 L17,13 M7,3 L7,17 M13,3 L13,17" stroke="currentColor" strokeWidth="1.5" fill="none" />
+                </svg>
+                {!isMobile && <span style={{ marginLeft: '8px' }}>Tinklelis</span>}
+              </button>
+              
+              <select
+                id="grid-size-select"
+                value={gridSize}
+                onChange={(e) => setGridSize(Number(e.target.value))}
+                disabled={!snapEnabled}
+                title="Grid Size"
+                style={{ ...toolButtonStyle(null), opacity: isPreviewMode || !snapEnabled ? 0.5 : 1 }}
+              >
+                {[10, 20, 40, 80].map(size => (
+                  <option key={size} value={size}>{size} px</option>
+                ))}
+              </select>
+              
+              <button 
+                id="undo-button"
+                style={{ ...toolButtonStyle(null), opacity: isPreviewMode || !canUndo ? 0.5 : 1 }} 
+                onClick={handleUndo}
+                disabled={!canUndo}
+                title="Undo (Ctrl+Z)"
+              >
+                <svg width="16" height="16" viewBox="0 0 20 20" fill="currentColor">
+                  <path d="M7,4 L3,8 L7,12 M3,8 L12,8 C15,8 17,10 17,13 C17,16 15,17 12,17 L9,17" stroke="currentColor" strokeWidth="1.5" fill="none" />
+                </svg>
+                {!isMobile && <span style={{ marginLeft: '8px' }}>Atšaukti</span>}
+              </button>
+              
+              <button 
+                id="redo-button"
+                style={{ ...toolButtonStyle(null), opacity: isPreviewMode || !canRedo ? 0.5 : 1 }} 
+                onClick={handleRedo}
+                disabled={!canRedo}
+                title="Redo (Ctrl+Shift+Z)"
+              >
+                <svg width="16" height="16" viewBox="0 0 20 20" fill="currentColor">
+                  <path d="M13,4 L17,8 L13,12 M17,8 L8,8 C5,8 3,10 3,13 C3,16 5,17 8,17 L11,17" stroke="currentColor" strokeWidth="1.5" fill="none" />
+                </svg>
+                {!isMobile && <span style={{ marginLeft: '8px' }}>Pakartoti</span>}
+              </button>
+            </div>
           </div>
-
+          
           {/* Game Container */}
           <div id="phaser-game" style={{
             flex: 1,
@@ -644,9 +1572,257 @@ function App() {
                 }}></div>
               </div>
             </div>
+            
+            {/* Property inspector of the selected object */}
+            {selectedObject && !isPreviewMode && (
+              <div style={{
+                position: 'absolute',
+                top: '10px',
+                right: '10px',
+                zIndex: 10,
+                width: isMobile ? '150px' : '190px',
+                maxHeight: 'calc(100% - 20px)',
+                overflowY: 'auto',
+                padding: '10px',
+                backgroundColor: '#333',
+                border: '1px solid #555',
+                borderRadius: '6px',
+                boxShadow: '0 2px 8px rgba(0,0,0,0.5)',
+                display: 'flex',
+                flexDirection: 'column',
+                gap: '6px',
+                fontSize: isMobile ? '10px' : '12px'
+              }}>
+                <div style={{ fontWeight: 'bold' }}>{OBJECT_TYPE_NAMES[selectedObject.type]}</div>
+                
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '6px' }}>
+                  {renderNumberField('X', 'x')}
+                  {renderNumberField('Y', 'y')}
+                  {selectedObject.data.width !== undefined && renderNumberField('Plotis', 'width', { min: 20 })}
+                  {selectedObject.data.height !== undefined && renderNumberField('Aukštis', 'height', { min: 20 })}
+                </div>
+                
+                {selectedObject.data.color !== undefined && !(selectedDecoration && selectedDecoration.data.kind === 'image') && (
+                  <label style={{ color: '#aaa' }}>
+                    Spalva
+                    <input
+                      key={`color-${selectedObject.id}-${selectedObject.data.color}`}
+                      type="color"
+                      defaultValue={selectedObject.data.color}
+                      onChange={(e) => previewSelectedObject({ color: e.target.value })}
+                      onBlur={(e) => updateSelectedObject({ color: e.target.value })}
+                      style={{ ...dialogInputStyle, height: '28px', padding: '2px' }}
+                    />
+                  </label>
+                )}
+                
+                {selectedObject.data.friction !== undefined && (
+                  <>
+                    {renderNumberField('Trintis (0–1)', 'friction', { min: 0, max: 1, step: 0.1 })}
+                    {renderNumberField('Atšokimas (0–1)', 'bounce', { min: 0, max: 1, step: 0.1 })}
+                    <label style={{ color: '#aaa', display: 'flex', alignItems: 'center', gap: '6px' }}>
+                      <input
+                        type="checkbox"
+                        checked={selectedObject.data.oneWay}
+                        onChange={(e) => updateSelectedObject({ oneWay: e.target.checked })}
+                      />
+                      Vienpusė (kiaurai iš apačios, žemyn su ↓)
+                    </label>
+                  </>
+                )}
+                
+                {selectedTrigger && (
+                  <>
+                    <label style={{ color: '#aaa' }}>
+                      Užrašas
+                      <input
+                        key={`label-${selectedTrigger.id}-${selectedTrigger.data.label}`}
+                        type="text"
+                        defaultValue={selectedTrigger.data.label}
+                        onChange={(e) => previewSelectedObject({ label: e.target.value })}
+                        onBlur={(e) => updateSelectedObject({ label: e.target.value })}
+                        onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                        style={dialogInputStyle}
+                      />
+                    </label>
+                    
+                    {renderNumberField('Reikia surinkti monetų', 'requiredCollectibles', { min: 0, whole: true })}
+                  </>
+                )}
+                
+                {selectedCollectible && (
+                  <label style={{ color: '#aaa' }}>
+                    Išvaizda
+                    <select
+                      value={selectedCollectible.data.kind}
+                      onChange={(e) => updateSelectedObject({ kind: e.target.value })}
+                      style={dialogInputStyle}
+                    >
+                      <option value="coin">Moneta</option>
+                      <option value="star">Žvaigždė</option>
+                    </select>
+                  </label>
+                )}
+                
+                {selectedDecoration && (
+                  <>
+                    <label style={{ color: '#aaa' }}>
+                      Rūšis
+                      <select
+                        value={selectedDecoration.data.kind}
+                        onChange={(e) => updateSelectedObject({ kind: e.target.value })}
+                        style={dialogInputStyle}
+                      >
+                        <option value="bush">Krūmas</option>
+                        <option value="sign">Ženklas</option>
+                        <option value="text">Tekstas</option>
+                        <option value="image">Paveikslėlis</option>
+                      </select>
+                    </label>
+                    
+                    <label style={{ color: '#aaa' }}>
+                      Sluoksnis
+                      <select
+                        value={selectedDecoration.data.layer}
+                        onChange={(e) => updateSelectedObject({ layer: e.target.value })}
+                        style={dialogInputStyle}
+                      >
+                        <option value="background">Fonas (už objektų)</option>
+                        <option value="foreground">Priekis (prieš objektus)</option>
+                      </select>
+                    </label>
+                    
+                    {renderNumberField('Paralaksas (0–2)', 'parallax', { min: 0, max: 2, step: 0.1 })}
+                    
+                    {(selectedDecoration.data.kind === 'sign' || selectedDecoration.data.kind === 'text') && (
+                      <label style={{ color: '#aaa' }}>
+                        Užrašas
+                        <input
+                          key={`text-${selectedDecoration.id}-${selectedDecoration.data.text}`}
+                          type="text"
+                          defaultValue={selectedDecoration.data.text}
+                          onChange={(e) => previewSelectedObject({ text: e.target.value })}
+                          onBlur={(e) => updateSelectedObject({ text: e.target.value })}
+                          onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                          style={dialogInputStyle}
+                        />
+                      </label>
+                    )}
+                    
+                    {selectedDecoration.data.kind === 'image' && (
+                      <>
+                        <label style={{ color: '#aaa' }}>
+                          Paveikslėlio adresas
+                          <input
+                            key={`image-${selectedDecoration.id}-${selectedDecoration.data.image}`}
+                            type="text"
+                            defaultValue={decorationImageUrl}
+                            placeholder={selectedDecoration.data.image ? 'Įkeltas failas' : 'https://…'}
+                            onBlur={(e) => e.target.value !== decorationImageUrl && updateSelectedObject({ image: e.target.value })}
+                            onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                            style={dialogInputStyle}
+                          />
+                        </label>
+                        <label style={{ ...fileButtonStyle, textAlign: 'center' }} title="Use a picture file from this computer">
+                          Įkelti failą…
+                          <input type="file" accept="image/*" onChange={handleDecorationImageFile} style={{ display: 'none' }} />
+                        </label>
+                      </>
+                    )}
+                  </>
+                )}
+                
+                {selectedHazard && (
+                  <label style={{ color: '#aaa' }}>
+                    Rūšis
+                    <select
+                      value={selectedHazard.data.kind}
+                      onChange={(e) => updateSelectedObject({ kind: e.target.value })}
+                      style={dialogInputStyle}
+                    >
+                      <option value="spikes">Spygliai</option>
+                      <option value="lava">Lava</option>
+                    </select>
+                  </label>
+                )}
+                
+                {selectedPlatform && (
+                  <>
+                    {renderNumberField('Greitis (px/s)', 'speed', { min: 0, step: 10 })}
+                    
+                    <label style={{ color: '#aaa' }}>
+                      Judėjimas
+                      <select
+                        value={selectedPlatform.data.mode}
+                        onChange={(e) => updateSelectedObject({ mode: e.target.value })}
+                        style={dialogInputStyle}
+                      >
+                        <option value="pingpong">Pirmyn ir atgal</option>
+                        <option value="loop">Ratu</option>
+                      </select>
+                    </label>
+                    
+                    {renderNumberField('Sustojimas taškuose (s)', 'pause', { min: 0, step: 0.1 })}
+                    
+                    <div style={{ color: '#aaa' }}>Taškų: {selectedPlatform.data.waypoints.length}</div>
+                    <div style={{ display: 'flex', gap: '4px' }}>
+                      <button
+                        onClick={() => handlePlatformWaypoints('add')}
+                        style={{ ...fileButtonStyle, flex: 1 }}
+                        title="Add a waypoint after the last one"
+                      >
+                        + Taškas
+                      </button>
+                      <button
+                        onClick={() => handlePlatformWaypoints('remove')}
+                        disabled={selectedPlatform.data.waypoints.length <= 1}
+                        style={{ ...fileButtonStyle, flex: 1, opacity: selectedPlatform.data.waypoints.length <= 1 ? 0.5 : 1 }}
+                        title="Remove the last waypoint"
+                      >
+                        − Taškas
+                      </button>
+                    </div>
+                  </>
+                )}
+              </div>
+            )}
+            
+            {/* Kind of tile the tile tools paint */}
+            {TILE_TOOLS.includes(activeTool) && activeTool !== 'tileEraser' && !isPreviewMode && (
+              <div style={{
+                position: 'absolute',
+                top: '10px',
+                right: '10px',
+                zIndex: 10,
+                width: isMobile ? '150px' : '190px',
+                padding: '10px',
+                backgroundColor: '#333',
+                border: '1px solid #555',
+                borderRadius: '6px',
+                boxShadow: '0 2px 8px rgba(0,0,0,0.5)',
+                display: 'flex',
+                flexDirection: 'column',
+                gap: '6px',
+                fontSize: isMobile ? '10px' : '12px'
+              }}>
+                <div style={{ fontWeight: 'bold' }}>Plytelės</div>
+                <label style={{ color: '#aaa' }}>
+                  Rūšis
+                  <select
+                    value={tileKind}
+                    onChange={(e) => handleTileKindSelect(parseInt(e.target.value, 10))}
+                    style={dialogInputStyle}
+                  >
+                    {Object.entries(TILE_KIND_NAMES).map(([kind, name]) => (
+                      <option key={kind} value={kind}>{name}</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+            )}
           </div>
         </div>
-
+        
         {/* Script Editor View */}
         <div 
           ref={editorContainerRef}
@@ -694,6 +1870,376 @@ function App() {
           </div>
         </div>
       </div>
+      
+      {/* Project browser */}
+      {showProjectBrowser && (
+        <div
+          style={{
+            position: 'fixed',
+            inset: 0,
+            backgroundColor: 'rgba(0,0,0,0.6)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            zIndex: 2000
+          }}
+          onClick={() => setShowProjectBrowser(false)}
+        >
+          <div
+            style={{
+              backgroundColor: '#333',
+              border: '1px solid #555',
+              borderRadius: '6px',
+              padding: '20px',
+              width: isMobile ? '90vw' : '560px',
+              maxHeight: '80vh',
+              display: 'flex',
+              flexDirection: 'column',
+              gap: '10px',
+              boxShadow: '0 2px 8px rgba(0,0,0,0.5)',
+              boxSizing: 'border-box'
+            }}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+              <div>
+                <div style={{ fontSize: '16px', fontWeight: 'bold' }}>Projektai</div>
+                <div style={{ fontSize: '11px', color: '#aaa' }}>
+                  {storageLocation === 'server' ? 'Saugomi serveryje, bendri visiems tinkle' : 'Saugomi šioje naršyklėje'}
+                </div>
+              </div>
+              <div style={{ display: 'flex', gap: '8px' }}>
+                <button
+                  onClick={handleCreateProject}
+                  style={{ ...fileButtonStyle, backgroundColor: '#5cb85c', border: '1px solid #4cae4c' }}
+                  title="New Project"
+                >
+                  Naujas
+                </button>
+                <button onClick={() => setShowProjectBrowser(false)} style={fileButtonStyle} title="Close">
+                  Uždaryti
+                </button>
+              </div>
+            </div>
+            
+            <div style={{ overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '8px' }}>
+              {projects.map(project => {
+                const isOpen = project.id === currentProjectId;
+                const smallButtonStyle = { ...fileButtonStyle, padding: '4px 8px', fontSize: '11px' };
+                
+                return (
+                  <div
+                    key={project.id}
+                    style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '10px',
+                      padding: '8px',
+                      backgroundColor: isOpen ? '#4a4a4a' : '#2a2a2a',
+                      border: '1px solid #555',
+                      borderRadius: '4px'
+                    }}
+                  >
+                    {project.thumbnail ? (
+                      <img
+                        src={project.thumbnail}
+                        alt=""
+                        style={{ width: '96px', height: '54px', flexShrink: 0, border: '1px solid #555' }}
+                      />
+                    ) : (
+                      <div style={{ width: '96px', height: '54px', flexShrink: 0, backgroundColor: '#87ceeb', border: '1px solid #555' }} />
+                    )}
+                    
+                    <div style={{ flex: 1, minWidth: 0 }}>
+                      <div style={{ fontWeight: 'bold', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                        {project.title}
+                      </div>
+                      <div style={{ fontSize: '11px', color: '#aaa' }}>
+                        Pakeista: {new Date(project.modified).toLocaleString()}
+                      </div>
+                      {isOpen && <div style={{ fontSize: '11px', color: '#5cb85c' }}>Atidarytas</div>}
+                    </div>
+                    
+                    <div style={{ display: 'flex', gap: '4px', flexWrap: 'wrap', justifyContent: 'flex-end', maxWidth: isMobile ? '90px' : 'none' }}>
+                      {!isOpen && (
+                        <button onClick={() => handleOpenProject(project.id)} style={smallButtonStyle} title="Open">
+                          Atidaryti
+                        </button>
+                      )}
+                      <button onClick={() => handleRenameProject(project)} style={smallButtonStyle} title="Rename">
+                        Pervadinti
+                      </button>
+                      <button onClick={() => handleDuplicateProject(project)} style={smallButtonStyle} title="Duplicate">
+                        Kopijuoti
+                      </button>
+                      <button
+                        onClick={() => handleDeleteProject(project)}
+                        disabled={isOpen}
+                        style={{ ...smallButtonStyle, opacity: isOpen ? 0.5 : 1 }}
+                        title={isOpen ? 'Open another project to delete this one' : 'Delete'}
+                      >
+                        Ištrinti
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        </div>
+      )}
+      
+      {/* Snapshot history of the open project */}
+      {showHistory && (
+        <div
+          style={{
+            position: 'fixed',
+            inset: 0,
+            backgroundColor: 'rgba(0,0,0,0.6)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            zIndex: 2000
+          }}
+          onClick={() => setShowHistory(false)}
+        >
+          <div
+            style={{
+              backgroundColor: '#333',
+              border: '1px solid #555',
+              borderRadius: '6px',
+              padding: '20px',
+              width: isMobile ? '90vw' : '640px',
+              maxHeight: '80vh',
+              display: 'flex',
+              flexDirection: 'column',
+              gap: '10px',
+              boxShadow: '0 2px 8px rgba(0,0,0,0.5)',
+              boxSizing: 'border-box'
+            }}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+              <div>
+                <div style={{ fontSize: '16px', fontWeight: 'bold' }}>Istorija</div>
+                <div style={{ fontSize: '11px', color: '#aaa' }}>
+                  Automatiškai išsaugotos šio projekto būsenos
+                </div>
+              </div>
+              <button onClick={() => setShowHistory(false)} style={fileButtonStyle} title="Close">
+                Uždaryti
+              </button>
+            </div>
+            
+            {snapshots.length === 0 ? (
+              <div style={{ fontSize: '12px', color: '#aaa' }}>Istorija dar tuščia.</div>
+            ) : (
+              <div style={{ display: 'flex', flexDirection: isMobile ? 'column' : 'row', gap: '10px', minHeight: 0 }}>
+                <div style={{ overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '4px', flex: 1, maxHeight: isMobile ? '30vh' : '50vh' }}>
+                  {snapshots.map(snapshot => (
+                    <button
+                      key={snapshot.time}
+                      onClick={() => setSelectedSnapshot(snapshot)}
+                      style={{
+                        ...fileButtonStyle,
+                        justifyContent: 'flex-start',
+                        flexShrink: 0,
+                        backgroundColor: snapshot === selectedSnapshot ? '#4a4a4a' : '#2a2a2a'
+                      }}
+                      title="Preview"
+                    >
+                      {new Date(snapshot.time).toLocaleString()}
+                    </button>
+                  ))}
+                </div>
+                
+                {selectedSnapshot && (
+                  <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', width: isMobile ? '100%' : '320px' }}>
+                    {selectedSnapshot.gameState ? (
+                      <img
+                        src={createLevelThumbnail(selectedSnapshot.gameState, 320, 180)}
+                        alt=""
+                        style={{ width: '100%', aspectRatio: '16 / 9', border: '1px solid #555' }}
+                      />
+                    ) : (
+                      <div style={{ width: '100%', aspectRatio: '16 / 9', backgroundColor: '#87ceeb', border: '1px solid #555' }} />
+                    )}
+                    <div style={{ fontSize: '12px', color: '#aaa' }}>
+                      <div>Blokų: {selectedSnapshot.gameState ? selectedSnapshot.gameState.blocks.length : 0}, pabaigos zonų: {selectedSnapshot.gameState ? selectedSnapshot.gameState.triggers.length : 0}</div>
+                      <div>Skripto mazgų: {selectedSnapshot.scriptState ? selectedSnapshot.scriptState.nodes.length : 0}, jungčių: {selectedSnapshot.scriptState ? selectedSnapshot.scriptState.connections.length : 0}</div>
+                    </div>
+                    <button
+                      onClick={() => handleRestoreSnapshot(selectedSnapshot)}
+                      style={{ ...fileButtonStyle, backgroundColor: '#5cb85c', border: '1px solid #4cae4c', justifyContent: 'center' }}
+                      title="Restore this snapshot"
+                    >
+                      Atkurti
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+      
+      {/* Level settings dialog */}
+      {levelSizeDraft && (() => {
+        const size = parseLevelSizeDraft();
+        const isValid = size.width !== null && size.height !== null;
+        
+        return (
+          <div
+            style={{
+              position: 'fixed',
+              inset: 0,
+              backgroundColor: 'rgba(0,0,0,0.6)',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              zIndex: 2000
+            }}
+            onClick={() => setLevelSizeDraft(null)}
+          >
+            <div
+              style={{
+                backgroundColor: '#333',
+                border: '1px solid #555',
+                borderRadius: '6px',
+                padding: '20px',
+                width: isMobile ? '80vw' : '340px',
+                display: 'flex',
+                flexDirection: 'column',
+                gap: '10px',
+                boxShadow: '0 2px 8px rgba(0,0,0,0.5)'
+              }}
+              onClick={(e) => e.stopPropagation()}
+            >
+              <div style={{ fontSize: '16px', fontWeight: 'bold' }}>Lygio nustatymai</div>
+              
+              <label style={{ fontSize: '12px', color: '#aaa' }}>
+                Plotis (px)
+                <input
+                  type="number"
+                  step="100"
+                  min={MIN_LEVEL_SIZE.width}
+                  max={MAX_LEVEL_SIZE.width}
+                  value={levelSizeDraft.width}
+                  onChange={(e) => setLevelSizeDraft({ ...levelSizeDraft, width: e.target.value })}
+                  style={dialogInputStyle}
+                />
+              </label>
+              
+              <label style={{ fontSize: '12px', color: '#aaa' }}>
+                Aukštis (px)
+                <input
+                  type="number"
+                  step="100"
+                  min={MIN_LEVEL_SIZE.height}
+                  max={MAX_LEVEL_SIZE.height}
+                  value={levelSizeDraft.height}
+                  onChange={(e) => setLevelSizeDraft({ ...levelSizeDraft, height: e.target.value })}
+                  style={dialogInputStyle}
+                />
+              </label>
+              
+              <div style={{ fontSize: '11px', color: isValid ? '#aaa' : '#f0ad4e' }}>
+                Plotis nuo {MIN_LEVEL_SIZE.width} iki {MAX_LEVEL_SIZE.width}, aukštis nuo {MIN_LEVEL_SIZE.height} iki {MAX_LEVEL_SIZE.height}.
+                Žemė visada yra lygio apačioje.
+              </div>
+              
+              <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end', flexWrap: 'wrap' }}>
+                <button onClick={() => setLevelSizeDraft(null)} style={fileButtonStyle}>
+                  Atšaukti
+                </button>
+                <button
+                  onClick={handleApplyLevelSettings}
+                  disabled={!isValid}
+                  style={{ ...fileButtonStyle, backgroundColor: '#5cb85c', border: '1px solid #4cae4c', opacity: isValid ? 1 : 0.5 }}
+                  title="Apply"
+                >
+                  Pritaikyti
+                </button>
+              </div>
+            </div>
+          </div>
+        );
+      })()}
+      
+      {/* Export dialog with the project metadata */}
+      {showExportDialog && (
+        <div
+          style={{
+            position: 'fixed',
+            inset: 0,
+            backgroundColor: 'rgba(0,0,0,0.6)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            zIndex: 2000
+          }}
+          onClick={() => setShowExportDialog(false)}
+        >
+          <div
+            style={{
+              backgroundColor: '#333',
+              border: '1px solid #555',
+              borderRadius: '6px',
+              padding: '20px',
+              width: isMobile ? '80vw' : '340px',
+              display: 'flex',
+              flexDirection: 'column',
+              gap: '10px',
+              boxShadow: '0 2px 8px rgba(0,0,0,0.5)'
+            }}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div style={{ fontSize: '16px', fontWeight: 'bold' }}>Eksportuoti</div>
+            
+            <label style={{ fontSize: '12px', color: '#aaa' }}>
+              Pavadinimas
+              <input
+                type="text"
+                value={projectMeta.title}
+                onChange={(e) => setProjectMeta({ ...projectMeta, title: e.target.value })}
+                style={dialogInputStyle}
+              />
+            </label>
+            
+            <label style={{ fontSize: '12px', color: '#aaa' }}>
+              Autorius
+              <input
+                type="text"
+                value={projectMeta.author}
+                onChange={(e) => setProjectMeta({ ...projectMeta, author: e.target.value })}
+                style={dialogInputStyle}
+              />
+            </label>
+            
+            <div style={{ fontSize: '11px', color: '#aaa' }}>
+              Sukurta: {new Date(projectMeta.created).toLocaleString()}
+              <br />
+              Pakeista: {new Date(projectMeta.modified).toLocaleString()}
+            </div>
+            
+            <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end', flexWrap: 'wrap' }}>
+              <button onClick={() => setShowExportDialog(false)} style={fileButtonStyle}>
+                Atšaukti
+              </button>
+              <button onClick={handleExportLevel} style={fileButtonStyle} title={`Level only (${LEVEL_FILE_EXTENSION})`}>
+                Tik lygis
+              </button>
+              <button
+                onClick={handleExportProject}
+                style={{ ...fileButtonStyle, backgroundColor: '#5cb85c', border: '1px solid #4cae4c' }}
+                title={`Level and script (${PROJECT_FILE_EXTENSION})`}
+              >
+                Projektas
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,13 @@
+/**
+ * Base class for undoable editor operations.
+ * Commands refer to level objects by their editorId rather than by reference,
+ * because undoing a delete re-creates the object as a new instance.
+ */
+export class Command {
+    constructor(scene) {
+        this.scene = scene;
+    }
+    
+    execute() {}
+    undo() {}
+}
@@ -0,0 +1,79 @@
+/**
+ * Undo/redo stack for level editor commands
+ */
+export class CommandHistory {
+    /**
+     * @param {Function} onChange - Called whenever the undo/redo availability may have changed
+     * @param {number} limit - Maximum number of undo entries to keep
+     */
+    constructor(onChange = null, limit = 100) {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.onChange = onChange;
+        this.limit = limit;
+    }
+    
+    /**
+     * Run a command and add it to the history
+     * @param {Command} command - The command to run
+     */
+    execute(command) {
+        command.execute();
+        this.record(command);
+    }
+    
+    /**
+     * Add a command that has already been applied to the history
+     * @param {Command} command - The applied command
+     */
+    record(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        
+        // A new action invalidates anything that was undone before it
+        this.redoStack = [];
+        this.notify();
+    }
+    
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return false;
+        
+        command.undo();
+        this.redoStack.push(command);
+        this.notify();
+        return true;
+    }
+    
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return false;
+        
+        command.execute();
+        this.undoStack.push(command);
+        this.notify();
+        return true;
+    }
+    
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+    
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+    
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify();
+    }
+    
+    notify() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+}
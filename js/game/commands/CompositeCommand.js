@@ -0,0 +1,24 @@
+import { Command } from './Command.js';
+
+/**
+ * Groups several commands into a single history entry
+ */
+export class CompositeCommand extends Command {
+    /**
+     * @param {Phaser.Scene} scene - The editor scene
+     * @param {Command[]} commands - Commands to run in order
+     */
+    constructor(scene, commands) {
+        super(scene);
+        this.commands = commands;
+    }
+    
+    execute() {
+        this.commands.forEach(command => command.execute());
+    }
+    
+    undo() {
+        // Undo in reverse order so later commands see the state they were created against
+        [...this.commands].reverse().forEach(command => command.undo());
+    }
+}
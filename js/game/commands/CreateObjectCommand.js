@@ -0,0 +1,28 @@
+import { Command } from './Command.js';
+
+/**
+ * Creates a level object from serialized data, undone by destroying it
+ */
+export class CreateObjectCommand extends Command {
+    /**
+     * @param {Phaser.Scene} scene - The editor scene
+     * @param {string} type - Object type ('block', 'trigger', 'platform', 'hazard', 'checkpoint', 'collectible', 'player')
+     * @param {Object} data - Serialized object data, including its id
+     */
+    constructor(scene, type, data) {
+        super(scene);
+        this.type = type;
+        this.data = data;
+    }
+    
+    execute() {
+        this.scene.createObject(this.type, this.data);
+    }
+    
+    undo() {
+        const object = this.scene.findObjectById(this.data.id);
+        if (object) {
+            this.scene.destroyObject(object);
+        }
+    }
+}
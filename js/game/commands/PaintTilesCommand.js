@@ -0,0 +1,24 @@
+import { Command } from './Command.js';
+
+/**
+ * Changes cells of the tile layer, recorded once per brush stroke, fill or rectangle
+ */
+export class PaintTilesCommand extends Command {
+    /**
+     * @param {Phaser.Scene} scene - The editor scene
+     * @param {Array<{col: number, row: number, before: number, after: number}>} changes - Tile kinds of each
+     *     changed cell before and after (0 for no tile)
+     */
+    constructor(scene, changes) {
+        super(scene);
+        this.changes = changes;
+    }
+    
+    execute() {
+        this.scene.tileLayer.setTiles(this.changes.map(({ col, row, after }) => ({ col, row, kind: after })));
+    }
+    
+    undo() {
+        this.scene.tileLayer.setTiles(this.changes.map(({ col, row, before }) => ({ col, row, kind: before })));
+    }
+}
@@ -0,0 +1,30 @@
+import { Command } from './Command.js';
+
+/**
+ * Changes the width and height of the level.
+ * Objects are left where they are, even if they end up outside the level.
+ * Tiles that end up outside it are removed, and brought back by undo.
+ */
+export class ResizeLevelCommand extends Command {
+    /**
+     * @param {Phaser.Scene} scene - The editor scene
+     * @param {{width: number, height: number}} before - Level size before the change
+     * @param {{width: number, height: number}} after - Level size after the change
+     */
+    constructor(scene, before, after) {
+        super(scene);
+        this.before = before;
+        this.after = after;
+        this.removedTiles = [];
+    }
+    
+    execute() {
+        this.scene.setLevelSize(this.after.width, this.after.height);
+        this.removedTiles = this.scene.tileLayer.clipToLevel();
+    }
+    
+    undo() {
+        this.scene.setLevelSize(this.before.width, this.before.height);
+        this.scene.tileLayer.setTiles(this.removedTiles);
+    }
+}
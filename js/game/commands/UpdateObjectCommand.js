@@ -0,0 +1,33 @@
+import { Command } from './Command.js';
+
+/**
+ * Changes an existing level object between two serialized states.
+ * Used for moves and resizes, recorded once per drag gesture.
+ */
+export class UpdateObjectCommand extends Command {
+    /**
+     * @param {Phaser.Scene} scene - The editor scene
+     * @param {Object} before - Serialized object data before the change
+     * @param {Object} after - Serialized object data after the change
+     */
+    constructor(scene, before, after) {
+        super(scene);
+        this.before = before;
+        this.after = after;
+    }
+    
+    execute() {
+        this.apply(this.after);
+    }
+    
+    undo() {
+        this.apply(this.before);
+    }
+    
+    apply(data) {
+        const object = this.scene.findObjectById(data.id);
+        if (object) {
+            object.applyData(data);
+        }
+    }
+}
@@ -1,6 +1,12 @@
 import Phaser from 'phaser';
 import { EditorScene } from './scenes/EditorScene.js';
 
+// The view always shows this many world pixels, whatever the screen size, so a
+// level looks the same on every device. It's scaled to fit the game container
+// and letterboxed where the container has a different shape.
+const VIEW_WIDTH = 1280;
+const VIEW_HEIGHT = 720;
+
 const config = {
     type: Phaser.CANVAS, // Use CANVAS renderer for better input responsiveness
     parent: 'game-container', // Target the container div we created in App.jsx
@@ -21,10 +27,10 @@ const config = {
     scene: [EditorScene], 
     backgroundColor: '#87CEEB', // Sky blue background
     scale: {
-        mode: Phaser.Scale.RESIZE, // RESIZE mode to ensure it fills the container
-        width: '100%',
-        height: '100%',
-        autoCenter: Phaser.Scale.CENTER_BOTH,
+        mode: Phaser.Scale.FIT, // Scale the fixed-size view to fit the container, keeping its proportions
+        width: VIEW_WIDTH,
+        height: VIEW_HEIGHT,
+        autoCenter: Phaser.Scale.CENTER_BOTH, // Center it, leaving equal bars on the sides or top and bottom
         autoRound: false, // Disable rounding to avoid any potential delay
     },
     // Maximum responsiveness for input
@@ -86,10 +92,9 @@ function initializeGame() {
                         
                         // Only proceed if we have valid dimensions
                         if (containerWidth > 0 && containerHeight > 0) {
-                            console.log(`Resizing game to match container: ${containerWidth}x${containerHeight}`);
+                            console.log(`Fitting game to container: ${containerWidth}x${containerHeight}`);
                             
-                            // Force a resize of the game
-                            game.scale.resize(containerWidth, containerHeight);
+                            // Refit the view; the game's own size never changes
                             game.scale.refresh();
                             
                             // For orientation changes, we need multiple resize attempts
@@ -102,8 +107,7 @@ function initializeGame() {
                                         const newHeight = gameContainer.clientHeight;
                                         
                                         if (newWidth !== containerWidth || newHeight !== containerHeight) {
-                                            console.log(`Additional resize after ${delay}ms: ${newWidth}x${newHeight}`);
-                                            game.scale.resize(newWidth, newHeight);
+                                            console.log(`Additional refit after ${delay}ms: ${newWidth}x${newHeight}`);
                                             game.scale.refresh();
                                         }
                                     }, delay);
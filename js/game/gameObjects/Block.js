@@ -1,15 +1,46 @@
+// Horizontal distance between the delete and duplicate buttons
+const DUPLICATE_BUTTON_OFFSET = 18;
+// Spacing of the upward arrows drawn on one-way blocks
+const ONE_WAY_ARROW_SPACING = 30;
+
+// How the player interacts with a block it stands on. Friction is how quickly the
+// player's horizontal speed follows its controls (1 = instantly, near 0 = ice) and
+// bounce how much of its falling speed it keeps when landing (0 = none, 1 = all).
+// One-way blocks can be jumped through from below, stood on from above and dropped
+// through by holding down.
+export const SURFACE_DEFAULTS = {
+    color: '#00ff00',
+    friction: 1,
+    bounce: 0,
+    oneWay: false
+};
+
 export class Block extends Phaser.GameObjects.Container {
     constructor(scene, x, y, width = 100, height = 100) {
         super(scene, x, y);
         
+        this.objectType = 'block';
+        
+        // Whether the block has surface settings (subclasses that aren't stood on turn this off)
+        this.hasSurface = true;
+        this.friction = SURFACE_DEFAULTS.friction;
+        this.bounce = SURFACE_DEFAULTS.bounce;
+        this.oneWay = SURFACE_DEFAULTS.oneWay;
+        
         this.rectangle = scene.add.rectangle(0, 0, width, height, 0x00ff00);
         this.rectangle.setOrigin(0.5);
+        this.color = SURFACE_DEFAULTS.color;
         
         this.deleteButton = scene.add.text(0, 0, 'X', {
             fontSize: '16px',
             color: '#ff0000'
         }).setOrigin(0.5);
         
+        this.duplicateButton = scene.add.text(DUPLICATE_BUTTON_OFFSET, 0, '+', {
+            fontSize: '16px',
+            color: '#0066ff'
+        }).setOrigin(0.5);
+        
         this.resizeHandles = [];
         const handlePositions = [
             [-0.5, -0.5], [0.5, -0.5],
@@ -30,7 +61,7 @@ export class Block extends Phaser.GameObjects.Container {
         });
         
         // Add all elements to the container
-        this.add([this.rectangle, this.deleteButton, ...this.resizeHandles]);
+        this.add([this.rectangle, this.deleteButton, this.duplicateButton, ...this.resizeHandles]);
         scene.add.existing(this);
         
         this.setSize(width, height);
@@ -38,17 +69,42 @@ export class Block extends Phaser.GameObjects.Container {
         
         this.deleteButton.setInteractive();
         this.deleteButton.on('pointerdown', () => {
-            this.destroy();
+            this.scene.deleteObject(this);
+        });
+        
+        this.duplicateButton.setInteractive();
+        this.duplicateButton.on('pointerdown', (pointer, localX, localY, event) => {
+            // Keep the selector from treating this click as a selection change
+            event.stopPropagation();
+            this.scene.duplicateObjects([this]);
         });
         
         // Hide editor controls by default
         this.setSelected(false);
     }
     
-    resize(cornerIndex, deltaX, deltaY) {
+    /**
+     * Resize by dragging one corner, keeping the opposite corner in place
+     * @param {number} cornerIndex - The dragged corner (0 top-left, 1 top-right, 2 bottom-left, 3 bottom-right)
+     * @param {number} deltaX - How far the corner moved horizontally
+     * @param {number} deltaY - How far the corner moved vertically
+     * @param {boolean} snap - Whether to snap the dragged edges to the grid and nearby objects
+     */
+    resize(cornerIndex, deltaX, deltaY, snap = false) {
         const width = this.rectangle.width;
         const height = this.rectangle.height;
         
+        if (snap && this.scene.snapManager) {
+            const draggedLeft = cornerIndex === 0 || cornerIndex === 2;
+            const draggedTop = cornerIndex === 0 || cornerIndex === 1;
+            const edgeX = this.x + (draggedLeft ? -width : width) / 2;
+            const edgeY = this.y + (draggedTop ? -height : height) / 2;
+            
+            const snapped = this.scene.snapManager.snapEdges([this], edgeX + deltaX, edgeY + deltaY);
+            deltaX = snapped.x - edgeX;
+            deltaY = snapped.y - edgeY;
+        }
+        
         let newWidth = width;
         let newHeight = height;
         let offsetX = 0;
@@ -82,13 +138,137 @@ export class Block extends Phaser.GameObjects.Container {
         }
         
         if (newWidth >= 20 && newHeight >= 20) {
-            this.rectangle.setSize(newWidth, newHeight);
-            this.setSize(newWidth, newHeight);
             this.x += offsetX;
             this.y += offsetY;
-            
-            this.updateHandlePositions();
+            this.setDimensions(newWidth, newHeight);
+        }
+    }
+    
+    /**
+     * Set the width and height of the block, keeping its center in place
+     * @param {number} width - The new width
+     * @param {number} height - The new height
+     */
+    setDimensions(width, height) {
+        this.rectangle.setSize(width, height);
+        this.setSize(width, height);
+        
+        this.updateHandlePositions();
+        this.drawSurface();
+    }
+    
+    /**
+     * Set the block's fill color
+     * @param {string} color - A CSS hex color, e.g. '#00ff00'
+     */
+    setColor(color) {
+        this.color = color;
+        this.drawSurface();
+    }
+    
+    /**
+     * Make the block one-way (jump-through) or solid on all sides
+     * @param {boolean} oneWay - Whether the block is one-way
+     */
+    setOneWay(oneWay) {
+        this.oneWay = oneWay;
+        this.drawSurface();
+        this.updateBodyCollision();
+    }
+    
+    /**
+     * Draw the block in its color. A one-way block is see-through, with a solid top
+     * edge (the only side it collides on) and arrows pointing up through it.
+     */
+    drawSurface() {
+        if (!this.hasSurface) return;
+        
+        const fill = parseInt(this.color.slice(1), 16);
+        this.rectangle.setFillStyle(fill, this.oneWay ? 0.35 : 1);
+        
+        if (!this.oneWay) {
+            if (this.oneWayMarker) {
+                this.oneWayMarker.clear();
+            }
+            return;
+        }
+        
+        // Drawn over the rectangle and under the editor controls
+        if (!this.oneWayMarker) {
+            this.oneWayMarker = this.scene.add.graphics();
+            this.addAt(this.oneWayMarker, 1);
         }
+        
+        const width = this.rectangle.width;
+        const height = this.rectangle.height;
+        const left = -width / 2;
+        const top = -height / 2;
+        
+        this.oneWayMarker.clear();
+        this.oneWayMarker.fillStyle(fill, 1);
+        this.oneWayMarker.fillRect(left, top, width, Math.min(5, height));
+        
+        // Arrows only fit on blocks tall enough for them
+        if (height < 16) return;
+        this.oneWayMarker.lineStyle(2, 0xffffff, 0.8);
+        const arrowY = top + Math.min(height / 2, 14);
+        for (let x = left + ONE_WAY_ARROW_SPACING / 2; x < -left; x += ONE_WAY_ARROW_SPACING) {
+            this.oneWayMarker.beginPath();
+            this.oneWayMarker.moveTo(x - 5, arrowY + 3);
+            this.oneWayMarker.lineTo(x, arrowY - 2);
+            this.oneWayMarker.lineTo(x + 5, arrowY + 3);
+            this.oneWayMarker.strokePath();
+        }
+    }
+    
+    /**
+     * Make the physics body solid only from above if the block is one-way (call once it has a body)
+     */
+    updateBodyCollision() {
+        if (!this.body) return;
+        
+        const solidSides = !this.oneWay;
+        this.body.checkCollision.down = solidSides;
+        this.body.checkCollision.left = solidSides;
+        this.body.checkCollision.right = solidSides;
+    }
+    
+    /**
+     * Serialize the block into the shape stored by EditorScene.saveState
+     * @returns {Object} The serialized block data
+     */
+    serialize() {
+        const data = {
+            id: this.editorId,
+            x: this.x,
+            y: this.y,
+            width: this.rectangle.width,
+            height: this.rectangle.height
+        };
+        if (this.hasSurface) {
+            data.color = this.color;
+            data.friction = this.friction;
+            data.bounce = this.bounce;
+            data.oneWay = this.oneWay;
+        }
+        return data;
+    }
+    
+    /**
+     * Apply serialized data (as produced by serialize) to this block
+     * @param {Object} data - The serialized block data
+     */
+    applyData(data) {
+        this.setPosition(data.x, data.y);
+        if (data.width !== undefined && data.height !== undefined) {
+            this.setDimensions(data.width, data.height);
+        }
+        if (!this.hasSurface) return;
+        
+        if (data.color !== undefined) this.setColor(data.color);
+        if (data.friction !== undefined) this.friction = data.friction;
+        if (data.bounce !== undefined) this.bounce = data.bounce;
+        if (data.oneWay !== undefined) this.setOneWay(data.oneWay);
     }
     
     updateHandlePositions() {
@@ -117,7 +297,8 @@ export class Block extends Phaser.GameObjects.Container {
             handle.visible = selected;
         });
         
-        // Show/hide delete button
+        // Show/hide delete and duplicate buttons
         this.deleteButton.visible = selected;
+        this.duplicateButton.visible = selected;
     }
 }
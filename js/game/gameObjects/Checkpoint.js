@@ -0,0 +1,71 @@
+import { LevelEndTrigger } from './LevelEndTrigger.js';
+
+// Looks of a checkpoint before and after the player has touched it
+const CHECKPOINT_STYLES = {
+    inactive: { fill: 0x999999, fillAlpha: 0.4, label: '🏳️' },
+    active: { fill: 0x00cc66, fillAlpha: 0.5, label: '🚩' }
+};
+
+/**
+ * A sensor area that becomes the player's respawn point when touched in preview mode.
+ * It works like a level-end trigger (same sensor body and editor controls), but
+ * touching it activates it instead of ending the level.
+ */
+export class Checkpoint extends LevelEndTrigger {
+    /**
+     * @param {Phaser.Scene} scene - The editor scene
+     * @param {number} x - Center position
+     * @param {number} y - Center position
+     * @param {number} width - Checkpoint width
+     * @param {number} height - Checkpoint height
+     */
+    constructor(scene, x, y, width = 40, height = 100) {
+        super(scene, x, y, width, height);
+        
+        this.objectType = 'checkpoint';
+        this.text.setFontSize(24);
+        
+        this.setActivated(false);
+    }
+    
+    /**
+     * Checkpoints only keep their rectangle: their look shows their state, and
+     * they don't end the level, so they have no collectible requirement
+     * @returns {Object} The serialized checkpoint data
+     */
+    serialize() {
+        const { id, x, y, width, height } = super.serialize();
+        return { id, x, y, width, height };
+    }
+    
+    /**
+     * Show the flag for the checkpoint's state instead of the level end label
+     */
+    updateLabel() {
+        this.text.setText(this.isActivated ? CHECKPOINT_STYLES.active.label : CHECKPOINT_STYLES.inactive.label);
+    }
+    
+    /**
+     * Show whether the checkpoint is the player's current respawn point
+     * @param {boolean} activated - Whether it has been activated
+     */
+    setActivated(activated) {
+        this.isActivated = activated;
+        
+        const style = activated ? CHECKPOINT_STYLES.active : CHECKPOINT_STYLES.inactive;
+        this.rectangle.setFillStyle(style.fill, style.fillAlpha);
+        this.updateLabel();
+    }
+    
+    /**
+     * Where the player should respawn: standing on the checkpoint's bottom edge
+     * @param {number} playerHalfHeight - Half the height of the player's body
+     * @returns {{x: number, y: number}} The player's center
+     */
+    getRespawnPoint(playerHalfHeight) {
+        return {
+            x: this.x,
+            y: this.y + this.rectangle.height / 2 - playerHalfHeight
+        };
+    }
+}
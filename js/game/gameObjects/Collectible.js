@@ -0,0 +1,103 @@
+import { Block } from './Block.js';
+
+// Looks of each kind of collectible; every kind counts the same
+const COLLECTIBLE_STYLES = {
+    coin: { fill: 0xffd700, outline: 0xb8860b },
+    star: { fill: 0xffff66, outline: 0xff9900 }
+};
+
+/**
+ * A coin or star the player picks up by touching it in preview mode.
+ * The scene counts them, and a level end trigger can require a number of them.
+ */
+export class Collectible extends Block {
+    /**
+     * @param {Phaser.Scene} scene - The editor scene
+     * @param {number} x - Center position
+     * @param {number} y - Center position
+     * @param {number} width - Collectible width
+     * @param {number} height - Collectible height
+     * @param {string} kind - 'coin' or 'star'
+     */
+    constructor(scene, x, y, width = 30, height = 30, kind = 'coin') {
+        super(scene, x, y, width, height);
+        
+        this.objectType = 'collectible';
+        this.hasSurface = false;
+        this.isCollected = false;
+        
+        // Only the drawing shows; the rectangle is kept for the editor's bounds and handles
+        this.rectangle.setFillStyle(0x000000, 0);
+        this.iconGraphics = scene.add.graphics();
+        this.addAt(this.iconGraphics, 1);
+        
+        this.setKind(kind);
+    }
+    
+    /**
+     * Change what the collectible looks like
+     * @param {string} kind - 'coin' or 'star'
+     */
+    setKind(kind) {
+        this.kind = COLLECTIBLE_STYLES[kind] ? kind : 'coin';
+        this.drawIcon();
+    }
+    
+    setDimensions(width, height) {
+        super.setDimensions(width, height);
+        this.drawIcon();
+    }
+    
+    /**
+     * Draw the coin or star to fit the current size
+     */
+    drawIcon() {
+        // Block's constructor sizes the collectible before the graphics exist
+        if (!this.iconGraphics) return;
+        
+        const style = COLLECTIBLE_STYLES[this.kind];
+        const radius = Math.min(this.rectangle.width, this.rectangle.height) / 2;
+        
+        this.iconGraphics.clear();
+        this.iconGraphics.fillStyle(style.fill, 1);
+        this.iconGraphics.lineStyle(2, style.outline, 1);
+        
+        if (this.kind === 'coin') {
+            this.iconGraphics.fillCircle(0, 0, radius - 1);
+            this.iconGraphics.strokeCircle(0, 0, radius - 1);
+            this.iconGraphics.strokeCircle(0, 0, radius * 0.6);
+        } else {
+            // Five points, alternating between the outer and inner radius
+            const points = [];
+            for (let i = 0; i < 10; i++) {
+                const angle = -Math.PI / 2 + (Math.PI * i) / 5;
+                const distance = i % 2 === 0 ? radius - 1 : radius * 0.45;
+                points.push({ x: Math.cos(angle) * distance, y: Math.sin(angle) * distance });
+            }
+            this.iconGraphics.fillPoints(points, true);
+            this.iconGraphics.strokePoints(points, true);
+        }
+    }
+    
+    /**
+     * Serialize the collectible into the shape stored by EditorScene.saveState
+     * @returns {Object} The serialized collectible data
+     */
+    serialize() {
+        return {
+            ...super.serialize(),
+            kind: this.kind
+        };
+    }
+    
+    /**
+     * Apply serialized data (as produced by serialize) to this collectible
+     * @param {Object} data - The serialized collectible data
+     */
+    applyData(data) {
+        super.applyData(data);
+        if (data.kind !== undefined) {
+            this.setKind(data.kind);
+        }
+    }
+}
@@ -0,0 +1,284 @@
+import { Block } from './Block.js';
+
+// Depth of each decoration layer: the background is drawn over the tiles and behind
+// level objects, the foreground over level objects and the player
+const LAYER_DEPTHS = {
+    background: -93,
+    foreground: 500
+};
+
+// Color of a newly placed decoration of each kind (images are drawn as they are)
+const KIND_COLORS = {
+    bush: '#2e8b57',
+    sign: '#c8a165',
+    text: '#ffffff',
+    image: '#ffffff'
+};
+
+// Settings of a newly placed decoration. Parallax is how fast the decoration
+// scrolls with the camera while playing: 1 moves with the level, less looks
+// farther away and more looks closer.
+export const DECORATION_DEFAULTS = {
+    kind: 'bush',
+    layer: 'background',
+    parallax: 1,
+    text: 'Tekstas',
+    image: ''
+};
+
+// Color of a sign's post
+const SIGN_POST_COLOR = 0x6d4c41;
+
+/**
+ * A bush, sign, text label or image that's only there to look at: it has no
+ * physics body and the player passes through it. Decorations sit on the
+ * background or foreground layer, and either layer can be hidden while editing.
+ *
+ * In the editor a decoration is drawn where it's placed. While playing, a
+ * parallax other than 1 makes it scroll at its own speed, and it is only
+ * exactly where it was placed when the camera is centered on that spot.
+ */
+export class Decoration extends Block {
+    /**
+     * @param {Phaser.Scene} scene - The editor scene
+     * @param {number} x - Center position
+     * @param {number} y - Center position
+     * @param {number} width - Decoration width
+     * @param {number} height - Decoration height
+     * @param {string} kind - 'bush', 'sign', 'text' or 'image'
+     */
+    constructor(scene, x, y, width = 80, height = 60, kind = DECORATION_DEFAULTS.kind) {
+        super(scene, x, y, width, height);
+        
+        this.objectType = 'decoration';
+        this.hasSurface = false;
+        this.layer = DECORATION_DEFAULTS.layer;
+        this.parallax = DECORATION_DEFAULTS.parallax;
+        this.text = DECORATION_DEFAULTS.text;
+        this.image = DECORATION_DEFAULTS.image;
+        this.picture = null; // Image shown by image decorations, once loaded
+        this.loadingImage = null; // URL of the image being loaded (or that failed to load)
+        
+        // Only the drawing shows; the rectangle is kept for the editor's bounds and handles
+        this.rectangle.setFillStyle(0x000000, 0);
+        this.artGraphics = scene.add.graphics();
+        this.caption = scene.add.text(0, 0, '', {
+            color: '#ffffff',
+            align: 'center'
+        }).setOrigin(0.5);
+        this.addAt([this.artGraphics, this.caption], 1);
+        
+        this.kind = KIND_COLORS[kind] ? kind : DECORATION_DEFAULTS.kind;
+        this.color = KIND_COLORS[this.kind];
+        this.setLayer(this.layer);
+        this.draw();
+    }
+    
+    /**
+     * Change what the decoration is. A color still at the old kind's default
+     * becomes the new kind's default.
+     * @param {string} kind - 'bush', 'sign', 'text' or 'image'
+     */
+    setKind(kind) {
+        const newKind = KIND_COLORS[kind] ? kind : DECORATION_DEFAULTS.kind;
+        if (this.color === KIND_COLORS[this.kind]) {
+            this.color = KIND_COLORS[newKind];
+        }
+        this.kind = newKind;
+        this.draw();
+    }
+    
+    /**
+     * Move the decoration to the background or foreground layer
+     * @param {string} layer - 'background' or 'foreground'
+     */
+    setLayer(layer) {
+        this.layer = LAYER_DEPTHS[layer] !== undefined ? layer : DECORATION_DEFAULTS.layer;
+        this.setDepth(LAYER_DEPTHS[this.layer]);
+        this.updateVisibility();
+    }
+    
+    /**
+     * Hide the decoration if its layer is hidden in the editor (see EditorScene.setDecorationLayerVisible)
+     */
+    updateVisibility() {
+        this.setVisible(!this.scene.hiddenDecorationLayers.has(this.layer));
+    }
+    
+    setColor(color) {
+        this.color = color;
+        this.draw();
+    }
+    
+    setDimensions(width, height) {
+        super.setDimensions(width, height);
+        this.draw();
+    }
+    
+    /**
+     * Draw the decoration to fit the current size
+     */
+    draw() {
+        // Block's constructor sizes the decoration before the graphics exist
+        if (!this.artGraphics) return;
+        
+        const width = this.rectangle.width;
+        const height = this.rectangle.height;
+        const fill = parseInt(this.color.slice(1), 16);
+        
+        this.artGraphics.clear();
+        this.caption.setVisible(false);
+        if (this.picture) {
+            this.picture.setVisible(false);
+        }
+        
+        switch (this.kind) {
+            case 'bush':
+                // Three overlapping leafy clumps resting on the bottom edge
+                this.artGraphics.fillStyle(fill, 1);
+                this.artGraphics.fillEllipse(-width / 4, height / 6, width / 2, height * 2 / 3);
+                this.artGraphics.fillEllipse(width / 4, height / 6, width / 2, height * 2 / 3);
+                this.artGraphics.fillEllipse(0, 0, width * 0.6, height);
+                break;
+            case 'sign': {
+                // A board on the top two thirds, on a post reaching the bottom edge
+                const boardHeight = height * 2 / 3;
+                const boardTop = -height / 2;
+                this.artGraphics.fillStyle(SIGN_POST_COLOR, 1);
+                this.artGraphics.fillRect(-Math.min(6, width / 8), 0, Math.min(12, width / 4), height / 2);
+                this.artGraphics.fillStyle(fill, 1);
+                this.artGraphics.fillRect(-width / 2, boardTop, width, boardHeight);
+                this.artGraphics.lineStyle(2, SIGN_POST_COLOR, 1);
+                this.artGraphics.strokeRect(-width / 2, boardTop, width, boardHeight);
+                this.showCaption('#000000', boardTop + boardHeight / 2, width - 8, boardHeight);
+                break;
+            }
+            case 'text':
+                this.showCaption(this.color, 0, width, height);
+                break;
+            case 'image':
+                this.drawImage(width, height);
+                break;
+        }
+    }
+    
+    /**
+     * Show the decoration's text, as large as fits the given box
+     * @param {string} color - CSS color of the text
+     * @param {number} y - Vertical center of the box, relative to the decoration's center
+     * @param {number} width - Width of the box
+     * @param {number} height - Height of the box
+     */
+    showCaption(color, y, width, height) {
+        this.caption.setText(this.text);
+        this.caption.setColor(color);
+        this.caption.setFontSize(Math.max(8, Math.round(height * 0.5)));
+        this.caption.setWordWrapWidth(Math.max(1, width));
+        this.caption.setPosition(0, y);
+        this.caption.setVisible(true);
+    }
+    
+    /**
+     * Show the decoration's image stretched over it, or an outlined placeholder
+     * while there's no image or it's still loading
+     * @param {number} width - Decoration width
+     * @param {number} height - Decoration height
+     */
+    drawImage(width, height) {
+        const key = `decoration:${this.image}`;
+        if (this.image && this.scene.textures.exists(key)) {
+            if (!this.picture) {
+                this.picture = this.scene.add.image(0, 0, key);
+                this.addAt(this.picture, 1);
+            }
+            this.picture.setTexture(key);
+            this.picture.setDisplaySize(width, height);
+            this.picture.setVisible(true);
+            return;
+        }
+        
+        this.artGraphics.lineStyle(2, 0xffffff, 0.6);
+        this.artGraphics.strokeRect(-width / 2, -height / 2, width, height);
+        this.artGraphics.lineBetween(-width / 2, -height / 2, width / 2, height / 2);
+        this.artGraphics.lineBetween(width / 2, -height / 2, -width / 2, height / 2);
+        
+        if (this.image) {
+            this.loadImage();
+        }
+    }
+    
+    /**
+     * Load the decoration's image into the texture manager, redrawing once it's there.
+     * Decorations showing the same image share one texture.
+     */
+    loadImage() {
+        const url = this.image;
+        if (this.loadingImage === url) return;
+        this.loadingImage = url;
+        
+        const element = new Image();
+        element.onload = () => {
+            // Skip it if the decoration was removed or given another image in the meantime
+            if (!this.scene || this.image !== url) return;
+            this.loadingImage = null;
+            
+            const key = `decoration:${url}`;
+            if (!this.scene.textures.exists(key)) {
+                this.scene.textures.addImage(key, element);
+            }
+            this.draw();
+        };
+        element.onerror = () => {
+            // Left as the loading image, so redrawing doesn't try again
+            console.warn(`Decoration image could not be loaded: ${url}`);
+        };
+        element.src = url;
+    }
+    
+    /**
+     * Make the decoration scroll at its parallax speed, for preview mode. It's
+     * moved so that it's seen where it was placed when the camera is centered there.
+     * @param {number} viewWidth - Width of the camera's view, in world pixels
+     * @param {number} viewHeight - Height of the camera's view, in world pixels
+     */
+    startParallax(viewWidth, viewHeight) {
+        if (this.parallax === 1) return;
+        
+        this.setPosition(
+            viewWidth / 2 + (this.x - viewWidth / 2) * this.parallax,
+            viewHeight / 2 + (this.y - viewHeight / 2) * this.parallax
+        );
+        this.setScrollFactor(this.parallax, this.parallax, true);
+    }
+    
+    /**
+     * Serialize the decoration into the shape stored by EditorScene.saveState
+     * @returns {Object} The serialized decoration data
+     */
+    serialize() {
+        return {
+            ...super.serialize(),
+            kind: this.kind,
+            layer: this.layer,
+            parallax: this.parallax,
+            color: this.color,
+            text: this.text,
+            image: this.image
+        };
+    }
+    
+    /**
+     * Apply serialized data (as produced by serialize) to this decoration
+     * @param {Object} data - The serialized decoration data
+     */
+    applyData(data) {
+        super.applyData(data);
+        if (data.kind !== undefined) this.setKind(data.kind);
+        if (data.layer !== undefined) this.setLayer(data.layer);
+        if (data.parallax !== undefined) this.parallax = data.parallax;
+        if (data.text !== undefined) this.text = data.text;
+        if (data.image !== undefined) this.image = data.image;
+        if (data.color !== undefined) this.color = data.color;
+        this.draw();
+    }
+}
@@ -0,0 +1,112 @@
+import { Block } from './Block.js';
+
+// Looks of each kind of hazard; every kind ends the player's life the same way
+const HAZARD_STYLES = {
+    spikes: { fill: 0x555555, fillAlpha: 0.25, detail: 0xb0b0b0 },
+    lava: { fill: 0xff4500, fillAlpha: 1, detail: 0xffd000 }
+};
+
+// Approximate width of one spike
+const SPIKE_WIDTH = 20;
+
+/**
+ * An area that kills the player on contact in preview mode (spikes or lava).
+ * It has no solid body: the scene only checks for overlap with the player.
+ */
+export class Hazard extends Block {
+    /**
+     * @param {Phaser.Scene} scene - The editor scene
+     * @param {number} x - Center position
+     * @param {number} y - Center position
+     * @param {number} width - Hazard width
+     * @param {number} height - Hazard height
+     * @param {string} kind - 'spikes' or 'lava'
+     */
+    constructor(scene, x, y, width = 100, height = 30, kind = 'spikes') {
+        super(scene, x, y, width, height);
+        
+        this.objectType = 'hazard';
+        this.hasSurface = false;
+        
+        // Spikes or lava waves, drawn over the rectangle and under the editor controls
+        this.detailGraphics = scene.add.graphics();
+        this.addAt(this.detailGraphics, 1);
+        
+        this.setKind(kind);
+    }
+    
+    /**
+     * Change what the hazard looks like
+     * @param {string} kind - 'spikes' or 'lava'
+     */
+    setKind(kind) {
+        this.kind = HAZARD_STYLES[kind] ? kind : 'spikes';
+        this.drawDetails();
+    }
+    
+    setDimensions(width, height) {
+        super.setDimensions(width, height);
+        this.drawDetails();
+    }
+    
+    /**
+     * Draw the hazard's look to fit its current size
+     */
+    drawDetails() {
+        // Block's constructor sizes the block before the graphics exist
+        if (!this.detailGraphics) return;
+        
+        const style = HAZARD_STYLES[this.kind];
+        const width = this.rectangle.width;
+        const height = this.rectangle.height;
+        const left = -width / 2;
+        const top = -height / 2;
+        
+        this.rectangle.setFillStyle(style.fill, style.fillAlpha);
+        this.detailGraphics.clear();
+        
+        if (this.kind === 'spikes') {
+            // A row of spikes standing on the bottom edge
+            const count = Math.max(1, Math.round(width / SPIKE_WIDTH));
+            const spikeWidth = width / count;
+            this.detailGraphics.fillStyle(style.detail, 1);
+            this.detailGraphics.lineStyle(1, 0x333333, 1);
+            for (let i = 0; i < count; i++) {
+                const spikeLeft = left + i * spikeWidth;
+                this.detailGraphics.fillTriangle(spikeLeft, -top, spikeLeft + spikeWidth / 2, top, spikeLeft + spikeWidth, -top);
+                this.detailGraphics.strokeTriangle(spikeLeft, -top, spikeLeft + spikeWidth / 2, top, spikeLeft + spikeWidth, -top);
+            }
+        } else {
+            // Bright waves along the surface
+            this.detailGraphics.lineStyle(3, style.detail, 0.8);
+            this.detailGraphics.beginPath();
+            this.detailGraphics.moveTo(left, top + 4);
+            for (let x = left; x <= -left; x += 10) {
+                this.detailGraphics.lineTo(x, top + 4 + Math.sin((x - left) / 10) * 3);
+            }
+            this.detailGraphics.strokePath();
+        }
+    }
+    
+    /**
+     * Serialize the hazard into the shape stored by EditorScene.saveState
+     * @returns {Object} The serialized hazard data
+     */
+    serialize() {
+        return {
+            ...super.serialize(),
+            kind: this.kind
+        };
+    }
+    
+    /**
+     * Apply serialized data (as produced by serialize) to this hazard
+     * @param {Object} data - The serialized hazard data
+     */
+    applyData(data) {
+        super.applyData(data);
+        if (data.kind !== undefined) {
+            this.setKind(data.kind);
+        }
+    }
+}
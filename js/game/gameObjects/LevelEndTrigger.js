@@ -1,27 +1,57 @@
 import Phaser from 'phaser';
 
+// Horizontal distance between the delete and duplicate buttons
+const DUPLICATE_BUTTON_OFFSET = 18;
+
+// Look of a newly placed trigger
+export const TRIGGER_DEFAULTS = {
+    color: '#ff0000',
+    label: 'Pabaiga'
+};
+
 export class LevelEndTrigger extends Phaser.GameObjects.Container {
-    constructor(scene, x, y, width = 50, height = 100) {
+    /**
+     * @param {Phaser.Scene} scene - The editor scene
+     * @param {number} x - Center position
+     * @param {number} y - Center position
+     * @param {number} width - Trigger width
+     * @param {number} height - Trigger height
+     * @param {number} requiredCollectibles - How many collectibles the player needs to finish the level (0 for none)
+     */
+    constructor(scene, x, y, width = 50, height = 100, requiredCollectibles = 0) {
         super(scene, x, y);
         
+        this.objectType = 'trigger';
+        
         this.scene = scene;
         this.isTriggered = false;
         this.levelCompleteOverlay = null;
+        this.requirementHint = null;
+        this.requiredCollectibles = requiredCollectibles;
+        this.color = TRIGGER_DEFAULTS.color;
+        this.label = TRIGGER_DEFAULTS.label;
         
         // Create the visual elements
         this.rectangle = scene.add.rectangle(0, 0, width, height, 0xff0000, 0.5);
         this.rectangle.setOrigin(0.5);
         
-        this.text = scene.add.text(0, 0, 'Pabaiga', {
+        this.text = scene.add.text(0, 0, '', {
             fontSize: '16px',
-            color: '#ffffff'
+            color: '#ffffff',
+            align: 'center'
         }).setOrigin(0.5);
+        this.updateLabel();
         
         this.deleteButton = scene.add.text(0, -height/2, 'X', {
             fontSize: '16px',
             color: '#ff0000'
         }).setOrigin(0.5);
         
+        this.duplicateButton = scene.add.text(DUPLICATE_BUTTON_OFFSET, -height/2, '+', {
+            fontSize: '16px',
+            color: '#0066ff'
+        }).setOrigin(0.5);
+        
         this.resizeHandles = [];
         const handlePositions = [
             [-0.5, -0.5], [0.5, -0.5],
@@ -41,7 +71,7 @@ export class LevelEndTrigger extends Phaser.GameObjects.Container {
             this.resizeHandles.push(handle);
         });
         
-        this.add([this.rectangle, this.text, this.deleteButton, ...this.resizeHandles]);
+        this.add([this.rectangle, this.text, this.deleteButton, this.duplicateButton, ...this.resizeHandles]);
         scene.add.existing(this);
         
         this.setSize(width, height);
@@ -49,7 +79,14 @@ export class LevelEndTrigger extends Phaser.GameObjects.Container {
         
         this.deleteButton.setInteractive();
         this.deleteButton.on('pointerdown', () => {
-            this.destroy();
+            this.scene.deleteObject(this);
+        });
+        
+        this.duplicateButton.setInteractive();
+        this.duplicateButton.on('pointerdown', (pointer, localX, localY, event) => {
+            // Keep the selector from treating this click as a selection change
+            event.stopPropagation();
+            this.scene.duplicateObjects([this]);
         });
         
         // Create physics body for collision detection in preview mode
@@ -63,10 +100,28 @@ export class LevelEndTrigger extends Phaser.GameObjects.Container {
         this.setSelected(false);
     }
     
-    resize(cornerIndex, deltaX, deltaY) {
+    /**
+     * Resize by dragging one corner, keeping the opposite corner in place
+     * @param {number} cornerIndex - The dragged corner (0 top-left, 1 top-right, 2 bottom-left, 3 bottom-right)
+     * @param {number} deltaX - How far the corner moved horizontally
+     * @param {number} deltaY - How far the corner moved vertically
+     * @param {boolean} snap - Whether to snap the dragged edges to the grid and nearby objects
+     */
+    resize(cornerIndex, deltaX, deltaY, snap = false) {
         const width = this.rectangle.width;
         const height = this.rectangle.height;
         
+        if (snap && this.scene.snapManager) {
+            const draggedLeft = cornerIndex === 0 || cornerIndex === 2;
+            const draggedTop = cornerIndex === 0 || cornerIndex === 1;
+            const edgeX = this.x + (draggedLeft ? -width : width) / 2;
+            const edgeY = this.y + (draggedTop ? -height : height) / 2;
+            
+            const snapped = this.scene.snapManager.snapEdges([this], edgeX + deltaX, edgeY + deltaY);
+            deltaX = snapped.x - edgeX;
+            deltaY = snapped.y - edgeY;
+        }
+        
         let newWidth = width;
         let newHeight = height;
         let offsetX = 0;
@@ -100,13 +155,76 @@ export class LevelEndTrigger extends Phaser.GameObjects.Container {
         }
         
         if (newWidth >= 20 && newHeight >= 20) {
-            this.rectangle.setSize(newWidth, newHeight);
-            this.setSize(newWidth, newHeight);
             this.x += offsetX;
             this.y += offsetY;
-            
-            this.updateHandlePositions();
+            this.setDimensions(newWidth, newHeight);
+        }
+    }
+    
+    /**
+     * Set the width and height of the trigger, keeping its center in place
+     * @param {number} width - The new width
+     * @param {number} height - The new height
+     */
+    setDimensions(width, height) {
+        this.rectangle.setSize(width, height);
+        this.setSize(width, height);
+        
+        this.updateHandlePositions();
+    }
+    
+    /**
+     * Set the trigger's fill color (it's drawn half transparent)
+     * @param {string} color - A CSS hex color, e.g. '#ff0000'
+     */
+    setColor(color) {
+        this.color = color;
+        this.rectangle.setFillStyle(parseInt(color.slice(1), 16), 0.5);
+    }
+    
+    /**
+     * Serialize the trigger into the shape stored by EditorScene.saveState
+     * @returns {Object} The serialized trigger data
+     */
+    serialize() {
+        return {
+            id: this.editorId,
+            x: this.x,
+            y: this.y,
+            width: this.rectangle.width,
+            height: this.rectangle.height,
+            color: this.color,
+            label: this.label,
+            requiredCollectibles: this.requiredCollectibles
+        };
+    }
+    
+    /**
+     * Apply serialized data (as produced by serialize) to this trigger
+     * @param {Object} data - The serialized trigger data
+     */
+    applyData(data) {
+        this.setPosition(data.x, data.y);
+        if (data.width !== undefined && data.height !== undefined) {
+            this.setDimensions(data.width, data.height);
         }
+        if (data.color !== undefined) {
+            this.setColor(data.color);
+        }
+        if (data.label !== undefined) {
+            this.label = data.label;
+        }
+        if (data.requiredCollectibles !== undefined) {
+            this.requiredCollectibles = data.requiredCollectibles;
+        }
+        this.updateLabel();
+    }
+    
+    /**
+     * Show the trigger's label, and how many collectibles it needs if any
+     */
+    updateLabel() {
+        this.text.setText(this.requiredCollectibles > 0 ? `${this.label}\n🪙 ${this.requiredCollectibles}` : this.label);
     }
     
     updateHandlePositions() {
@@ -122,6 +240,7 @@ export class LevelEndTrigger extends Phaser.GameObjects.Container {
         });
         
         this.deleteButton.setPosition(0, -height/2);
+        this.duplicateButton.setPosition(DUPLICATE_BUTTON_OFFSET, -height/2);
         
         // Update physics body size if it exists
         if (this.body) {
@@ -139,14 +258,57 @@ export class LevelEndTrigger extends Phaser.GameObjects.Container {
             handle.visible = selected;
         });
         
-        // Show/hide delete button
+        // Show/hide delete and duplicate buttons
         this.deleteButton.visible = selected;
+        this.duplicateButton.visible = selected;
+    }
+    
+    /**
+     * Tell the player how many more collectibles they need, above the trigger.
+     * Called every frame the player stays inside, so an existing hint is reused.
+     * @param {number} collected - How many collectibles the player has
+     */
+    showRequirementHint(collected) {
+        const message = `Surink dar ${this.requiredCollectibles - collected} 🪙`;
+        
+        if (this.requirementHint) {
+            this.requirementHint.setText(message);
+            return;
+        }
+        
+        this.requirementHint = this.scene.add.text(this.x, this.y - this.rectangle.height / 2 - 20, message, {
+            fontSize: '16px',
+            color: '#ffffff',
+            backgroundColor: '#333333',
+            padding: { x: 6, y: 3 }
+        }).setOrigin(0.5).setDepth(900);
+        
+        this.scene.time.delayedCall(1500, () => this.hideRequirementHint());
+    }
+    
+    /**
+     * Remove the collectible requirement hint if it's shown
+     */
+    hideRequirementHint() {
+        if (this.requirementHint) {
+            this.requirementHint.destroy();
+            this.requirementHint = null;
+        }
+    }
+    
+    /**
+     * Also remove the requirement hint, which lives outside the container
+     */
+    destroy(fromScene) {
+        this.hideRequirementHint();
+        super.destroy(fromScene);
     }
     
     /**
      * Close the level complete overlay if it exists
      */
     closeLevelComplete() {
+        this.hideRequirementHint();
         if (this.levelCompleteOverlay) {
             this.levelCompleteOverlay.destroy();
             this.levelCompleteOverlay = null;
@@ -161,8 +323,10 @@ export class LevelEndTrigger extends Phaser.GameObjects.Container {
     
     /**
      * Show the level complete overlay
+     * @param {number} collected - How many collectibles the player picked up
+     * @param {number} total - How many collectibles the level has (the count is left out when 0)
      */
-    showLevelComplete() {
+    showLevelComplete(collected = 0, total = 0) {
         if (this.isTriggered) return; // Prevent multiple triggers
         this.isTriggered = true;
         
@@ -190,7 +354,7 @@ export class LevelEndTrigger extends Phaser.GameObjects.Container {
         // Create a smaller victory panel
         const isMobile = cameraWidth < 768;
         const panelWidth = isMobile ? Math.min(240, cameraWidth * 0.6) : Math.min(300, cameraWidth * 0.7);
-        const panelHeight = isMobile ? 120 : 140;
+        const panelHeight = (isMobile ? 120 : 140) + (total > 0 ? 40 : 0);
         const panel = this.scene.add.rectangle(
             cameraWidth / 2, 
             cameraHeight / 2,
@@ -202,7 +366,7 @@ export class LevelEndTrigger extends Phaser.GameObjects.Container {
         
         // Add victory text and trophy icon inline
         const fontSize = isMobile ? '32px' : '40px';
-        const completeText = this.scene.add.text(cameraWidth / 2, cameraHeight / 2, 'Pergalė! 🏆', {
+        const completeText = this.scene.add.text(cameraWidth / 2, cameraHeight / 2 - (total > 0 ? 20 : 0), 'Pergalė! 🏆', {
             fontSize: fontSize,
             color: '#ffffff',
             fontStyle: 'bold',
@@ -212,6 +376,16 @@ export class LevelEndTrigger extends Phaser.GameObjects.Container {
         // Add all elements to the container
         this.levelCompleteOverlay.add([bg, panel, completeText]);
         
+        // Show the collected total under the title when the level has collectibles
+        if (total > 0) {
+            const totalText = this.scene.add.text(cameraWidth / 2, cameraHeight / 2 + 30, `Surinkta: ${collected} / ${total} 🪙`, {
+                fontSize: isMobile ? '16px' : '20px',
+                color: '#ffd700',
+                fontFamily: 'Arial, sans-serif'
+            }).setOrigin(0.5);
+            this.levelCompleteOverlay.add(totalText);
+        }
+        
         // Make sure the overlay stays fixed to the camera and is on top of everything
         this.levelCompleteOverlay.setDepth(1000);
     }
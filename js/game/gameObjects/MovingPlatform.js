@@ -0,0 +1,269 @@
+import { Block } from './Block.js';
+
+// Settings of a newly placed platform; speed is in pixels per second, pause in seconds.
+// The mode is 'pingpong' (back and forth along the path) or 'loop' (back to the start).
+export const PLATFORM_DEFAULTS = {
+    width: 120,
+    height: 20,
+    speed: 100,
+    mode: 'pingpong',
+    pause: 0.5
+};
+
+const PLATFORM_COLOR = '#3399ff';
+const PATH_COLOR = 0x3399ff;
+const WAYPOINT_HANDLE_RADIUS = 7;
+// Where a new waypoint goes when there's no previous segment to continue
+const NEW_WAYPOINT_OFFSET = 200;
+
+/**
+ * A solid platform that travels along a path of waypoints in preview mode.
+ *
+ * Waypoints are stored relative to the platform's own position (where it starts
+ * moving from), so moving the platform in the editor moves its whole path. The
+ * path is drawn in the editor with an outline of the platform at each waypoint;
+ * while selected, each waypoint gets a handle the selector tool can drag.
+ */
+export class MovingPlatform extends Block {
+    /**
+     * @param {Phaser.Scene} scene - The editor scene
+     * @param {number} x - Start position (center)
+     * @param {number} y - Start position (center)
+     * @param {number} width - Platform width
+     * @param {number} height - Platform height
+     * @param {Object} settings - Any of { waypoints, speed, mode, pause }
+     */
+    constructor(scene, x, y, width = PLATFORM_DEFAULTS.width, height = PLATFORM_DEFAULTS.height, settings = {}) {
+        super(scene, x, y, width, height);
+        
+        this.objectType = 'platform';
+        this.setColor(PLATFORM_COLOR);
+        
+        this.waypoints = (settings.waypoints || [{ x: NEW_WAYPOINT_OFFSET, y: 0 }]).map(point => ({ ...point }));
+        this.speed = settings.speed !== undefined ? settings.speed : PLATFORM_DEFAULTS.speed;
+        this.mode = settings.mode || PLATFORM_DEFAULTS.mode;
+        this.pause = settings.pause !== undefined ? settings.pause : PLATFORM_DEFAULTS.pause;
+        
+        // The path lives outside the container, so it doesn't count toward the platform's bounds
+        this.pathGraphics = scene.add.graphics();
+        this.waypointHandles = [];
+        this.isPlatformSelected = false;
+        
+        // Set up when preview starts
+        this.route = null;
+        this.elapsed = 0;
+        
+        this.drawPath();
+    }
+    
+    resize(cornerIndex, deltaX, deltaY, snap = false) {
+        super.resize(cornerIndex, deltaX, deltaY, snap);
+        this.drawPath();
+    }
+    
+    /**
+     * Serialize the platform into the shape stored by EditorScene.saveState
+     * @returns {Object} The serialized platform data
+     */
+    serialize() {
+        return {
+            ...super.serialize(),
+            waypoints: this.waypoints.map(point => ({ x: point.x, y: point.y })),
+            speed: this.speed,
+            mode: this.mode,
+            pause: this.pause
+        };
+    }
+    
+    /**
+     * Apply serialized data (as produced by serialize) to this platform
+     * @param {Object} data - The serialized platform data
+     */
+    applyData(data) {
+        super.applyData(data);
+        
+        if (data.waypoints !== undefined) {
+            this.waypoints = data.waypoints.map(point => ({ ...point }));
+        }
+        if (data.speed !== undefined) this.speed = data.speed;
+        if (data.mode !== undefined) this.mode = data.mode;
+        if (data.pause !== undefined) this.pause = data.pause;
+        
+        this.drawPath();
+    }
+    
+    /**
+     * Move a waypoint to a world position
+     * @param {number} index - The waypoint's index in this.waypoints
+     * @param {number} x - World position of the platform's center at that waypoint
+     * @param {number} y - World position of the platform's center at that waypoint
+     */
+    moveWaypoint(index, x, y) {
+        this.waypoints[index] = { x: x - this.x, y: y - this.y };
+        this.drawPath();
+    }
+    
+    /**
+     * The waypoints with one more added after the last, continuing the path's last segment
+     * @returns {{x: number, y: number}[]} The new waypoint list
+     */
+    getExtendedWaypoints() {
+        const last = this.waypoints[this.waypoints.length - 1] || { x: 0, y: 0 };
+        const previous = this.waypoints[this.waypoints.length - 2] || { x: 0, y: 0 };
+        let step = { x: last.x - previous.x, y: last.y - previous.y };
+        if (step.x === 0 && step.y === 0) {
+            step = { x: NEW_WAYPOINT_OFFSET, y: 0 };
+        }
+        return [...this.waypoints, { x: last.x + step.x, y: last.y + step.y }];
+    }
+    
+    /**
+     * Find the waypoint handle under a world point
+     * @returns {number} The waypoint index, or -1 if no visible handle was hit
+     */
+    getWaypointHandleAt(worldX, worldY) {
+        return this.waypointHandles.findIndex(handle => (
+            handle.visible && Phaser.Math.Distance.Between(handle.x, handle.y, worldX, worldY) <= WAYPOINT_HANDLE_RADIUS + 2
+        ));
+    }
+    
+    setSelected(selected) {
+        super.setSelected(selected);
+        
+        // Block's constructor deselects before the path exists
+        if (!this.pathGraphics) return;
+        this.isPlatformSelected = selected;
+        this.drawPath();
+    }
+    
+    /**
+     * Show or hide the path (it's hidden while playing)
+     * @param {boolean} visible - Whether the path is shown
+     */
+    setPathVisible(visible) {
+        this.pathGraphics.setVisible(visible);
+        this.waypointHandles.forEach(handle => handle.setVisible(visible && this.isPlatformSelected));
+    }
+    
+    /**
+     * Draw the path through the waypoints with an outline of the platform at each one,
+     * and place a handle on every waypoint while the platform is selected
+     */
+    drawPath() {
+        const width = this.rectangle.width;
+        const height = this.rectangle.height;
+        const points = this.getPathPoints(this.x, this.y);
+        
+        this.pathGraphics.clear();
+        this.pathGraphics.lineStyle(2, PATH_COLOR, this.isPlatformSelected ? 0.9 : 0.4);
+        this.pathGraphics.strokePoints(points, this.mode === 'loop');
+        points.slice(1).forEach(point => {
+            this.pathGraphics.strokeRect(point.x - width / 2, point.y - height / 2, width, height);
+        });
+        
+        // One handle per waypoint, kept in step with the waypoint list
+        while (this.waypointHandles.length < this.waypoints.length) {
+            const handle = this.scene.add.circle(0, 0, WAYPOINT_HANDLE_RADIUS, 0xffff00);
+            handle.setStrokeStyle(1, 0x000000);
+            handle.setDepth(900);
+            this.waypointHandles.push(handle);
+        }
+        while (this.waypointHandles.length > this.waypoints.length) {
+            this.waypointHandles.pop().destroy();
+        }
+        this.waypointHandles.forEach((handle, index) => {
+            handle.setPosition(points[index + 1].x, points[index + 1].y);
+            handle.setVisible(this.isPlatformSelected && this.pathGraphics.visible);
+        });
+    }
+    
+    /**
+     * The path's points in world space, starting with the platform's start position
+     * @param {number} originX - The start position
+     * @param {number} originY - The start position
+     * @returns {{x: number, y: number}[]} The path points
+     */
+    getPathPoints(originX, originY) {
+        return [
+            { x: originX, y: originY },
+            ...this.waypoints.map(point => ({ x: originX + point.x, y: originY + point.y }))
+        ];
+    }
+    
+    /**
+     * Start following the path from the current position (when preview starts)
+     */
+    startMoving() {
+        const points = this.getPathPoints(this.x, this.y);
+        // Ping-pong comes back the same way; a loop returns straight to the start
+        const stops = this.mode === 'loop'
+            ? [...points, points[0]]
+            : [...points, ...points.slice(0, -1).reverse()];
+        
+        // Each leg travels to the next stop at the platform's speed, then waits there
+        const pauseTime = this.pause * 1000;
+        this.route = stops.slice(1).map((to, index) => {
+            const from = stops[index];
+            const distance = Phaser.Math.Distance.Between(from.x, from.y, to.x, to.y);
+            return { from, to, travelTime: this.speed > 0 ? distance / this.speed * 1000 : 0, pauseTime };
+        });
+        this.routeTime = this.route.reduce((total, leg) => total + leg.travelTime + leg.pauseTime, 0);
+        this.elapsed = 0;
+    }
+    
+    /**
+     * Where the platform should be at a point in time along its route
+     * @param {number} time - Milliseconds since it started moving
+     * @returns {{x: number, y: number}} The platform's center
+     */
+    getRoutePosition(time) {
+        if (!this.route || this.route.length === 0 || this.routeTime <= 0) {
+            return this.route && this.route.length > 0 ? this.route[0].from : { x: this.x, y: this.y };
+        }
+        
+        let remaining = time % this.routeTime;
+        for (const leg of this.route) {
+            if (remaining < leg.travelTime) {
+                const progress = remaining / leg.travelTime;
+                return {
+                    x: leg.from.x + (leg.to.x - leg.from.x) * progress,
+                    y: leg.from.y + (leg.to.y - leg.from.y) * progress
+                };
+            }
+            remaining -= leg.travelTime;
+            if (remaining < leg.pauseTime) {
+                return leg.to;
+            }
+            remaining -= leg.pauseTime;
+        }
+        return this.route[0].from;
+    }
+    
+    /**
+     * Steer the platform's body towards where it should be on its route. It's moved by
+     * velocity rather than by setting its position, so physics carries the player with it.
+     * @param {number} delta - Milliseconds since the last frame
+     */
+    updateMovement(delta) {
+        if (!this.body || !this.route || delta <= 0) return;
+        
+        this.elapsed += delta;
+        const target = this.getRoutePosition(this.elapsed);
+        const seconds = delta / 1000;
+        this.body.setVelocity((target.x - this.x) / seconds, (target.y - this.y) / seconds);
+    }
+    
+    /**
+     * Also destroy the path and waypoint handles, which live outside the container
+     */
+    destroy(fromScene) {
+        if (this.pathGraphics) {
+            this.pathGraphics.destroy();
+            this.pathGraphics = null;
+        }
+        this.waypointHandles.forEach(handle => handle.destroy());
+        this.waypointHandles = [];
+        
+        super.destroy(fromScene);
+    }
+}
@@ -1,9 +1,14 @@
 import { PlayerLogicProcessor } from '../../rete/PlayerLogicProcessor';
 
+// The player's own gravity while playing, added to the world's (see setGravityScale)
+const PLAYER_GRAVITY = 300;
+
 export class Player extends Phaser.Physics.Arcade.Sprite {
     constructor(scene, x, y) {
         super(scene, x, y, 'player');
         
+        this.objectType = 'player';
+        
         scene.add.existing(this);
         scene.physics.add.existing(this);
         
@@ -118,6 +123,7 @@ export class Player extends Phaser.Physics.Arcade.Sprite {
         this.useNodeLogic = false; // Flag to determine if we should use node logic
         this.lastNodeCount = 0; // Store the current state of nodes for change detection
         this.lastConnectionCount = 0; // Store the current state of connections for change detection
+        this.gravityScale = 1; // How strongly gravity pulls the player while playing, set by its script
         
         // Input state for use with node logic
         this.inputState = {
@@ -134,6 +140,9 @@ export class Player extends Phaser.Physics.Arcade.Sprite {
             
             // Create a new logic processor
             console.log('Creating PlayerLogicProcessor with editor');
+            if (this.logicProcessor) {
+                this.logicProcessor.destroy();
+            }
             this.logicProcessor = new PlayerLogicProcessor(editor, this);
             
             // CRITICAL FIX: Manually ensure the entry points are found
@@ -152,7 +161,9 @@ export class Player extends Phaser.Physics.Arcade.Sprite {
                     console.log(`Node ID: ${node.id}, Label: ${node.label || 'Unlabeled'}, Has outputs: ${!!node.outputs?.execOut}`);
                     
                     // If it seems like an OnUpdate node, mark it specifically
-                    if (node.outputs && node.outputs.execOut && !node.inputs?.execIn) {
+                    // (event nodes have the same sockets, but a TYPE of their own)
+                    const type = node.constructor && node.constructor.TYPE;
+                    if (node.outputs && node.outputs.execOut && !node.inputs?.execIn && (!type || type === 'ON_UPDATE')) {
                         console.log(`---> This appears to be an OnUpdate node: ${node.id}`);
                         
                         // Force it into the entry points array if needed
@@ -328,7 +339,7 @@ export class Player extends Phaser.Physics.Arcade.Sprite {
             this.body.velocity.y = 0;
             
             // Also disable gravity temporarily to prevent any falling
-            this.body.setGravityY(0);
+            this.body.setAllowGravity(false);
             
             // Set immovable to true to prevent any physics interactions from moving the player
             this.body.immovable = true;
@@ -338,8 +349,8 @@ export class Player extends Phaser.Physics.Arcade.Sprite {
         // Otherwise, process movement normally
         else if (this.logicProcessor) {
             // Re-enable gravity if it was disabled
-            if (this.body && this.body.gravity.y === 0) {
-                this.body.setGravityY(600);
+            if (this.body && !this.body.allowGravity) {
+                this.body.setAllowGravity(true);
                 this.body.immovable = false;
             }
             
@@ -389,7 +400,7 @@ export class Player extends Phaser.Physics.Arcade.Sprite {
         // Make delete button interactive
         this.deleteButton.setInteractive();
         this.deleteButton.on('pointerdown', () => {
-            this.destroy();
+            this.scene.deleteObject(this);
         });
         
         // Create empty array for resize handles to match Block/Trigger API
@@ -413,6 +424,51 @@ export class Player extends Phaser.Physics.Arcade.Sprite {
         }
     }
     
+    /**
+     * Serialize the player into the shape stored by EditorScene.saveState
+     * @returns {Object} The serialized player data
+     */
+    serialize() {
+        return {
+            id: this.editorId,
+            x: this.x,
+            y: this.y
+        };
+    }
+    
+    /**
+     * Apply serialized data (as produced by serialize) to the player
+     * @param {Object} data - The serialized player data
+     */
+    applyData(data) {
+        this.setPosition(data.x, data.y);
+        if (this.body) {
+            this.body.reset(data.x, data.y);
+        }
+    }
+    
+    /**
+     * Scale the gravity pulling the player while playing, keeping the world's gravity as it is
+     * @param {number} scale - 1 for normal gravity, 0 to float, 2 to fall twice as fast
+     */
+    setGravityScale(scale) {
+        this.gravityScale = scale;
+        const worldGravity = this.scene.physics.world.gravity.y;
+        this.body.setGravityY((worldGravity + PLAYER_GRAVITY) * scale - worldGravity);
+    }
+    
+    /**
+     * Tell the player's script that the player touched an object in this physics step,
+     * for its OnTouchBlock and OnEnterTrigger nodes
+     * @param {string} kind - 'block' for blocks, moving platforms and tiles, 'trigger' for level end triggers
+     * @param {Object} object - The object touched
+     */
+    notifyContact(kind, object) {
+        if (this.logicProcessor) {
+            this.logicProcessor.notifyContact(kind, object);
+        }
+    }
+    
     /**
      * Override destroy method to also destroy editor controls
      */
@@ -422,6 +478,12 @@ export class Player extends Phaser.Physics.Arcade.Sprite {
             this.deleteButton.destroy();
         }
         
+        // Stop the script listening to the physics world
+        if (this.logicProcessor) {
+            this.logicProcessor.destroy();
+            this.logicProcessor = null;
+        }
+        
         // Call parent destroy method
         super.destroy();
     }
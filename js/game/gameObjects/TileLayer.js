@@ -0,0 +1,288 @@
+// Size of a tile in world pixels; columns and rows count from the level's top left corner
+export const TILE_SIZE = 40;
+
+// Looks of each kind of tile, by the number stored in level files (0 means no tile).
+// The top band is drawn only on tiles with nothing above them.
+const TILE_KINDS = {
+    1: { name: 'grass', fill: 0x8b5a2b, top: 0x4caf50 },
+    2: { name: 'dirt', fill: 0x8b5a2b, top: 0x9c6b3c },
+    3: { name: 'stone', fill: 0x808080, top: 0x9e9e9e }
+};
+
+// Height of a tile's top band, in world pixels
+const TOP_BAND_HEIGHT = 8;
+
+/**
+ * The level's terrain painted on a grid of square tiles.
+ * Unlike blocks, tiles aren't separate objects: the whole layer is one drawing,
+ * edited cell by cell with the tile tools. In preview mode neighbouring tiles are
+ * merged into as few rectangular bodies as possible.
+ */
+export class TileLayer {
+    /**
+     * @param {Phaser.Scene} scene - The editor scene
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.tiles = new Map(); // Tile kind by "column,row"
+        this.bodies = null; // Static group of merged tile bodies while previewing
+        
+        this.graphics = scene.add.graphics();
+        this.graphics.setDepth(-95); // Above the sky and clouds, below the snap grid and level objects
+    }
+    
+    /**
+     * Get the tile cell a world position falls in
+     * @param {number} x - World position
+     * @param {number} y - World position
+     * @returns {{col: number, row: number}} The cell
+     */
+    worldToCell(x, y) {
+        return {
+            col: Math.floor(x / TILE_SIZE),
+            row: Math.floor(y / TILE_SIZE)
+        };
+    }
+    
+    /**
+     * Check whether a cell is inside the level, where tiles can be painted
+     * @param {number} col - Cell column
+     * @param {number} row - Cell row
+     * @returns {boolean} Whether the cell is inside the level
+     */
+    isInside(col, row) {
+        return col >= 0 && row >= 0 &&
+            col < Math.ceil(this.scene.levelWidth / TILE_SIZE) &&
+            row < Math.ceil(this.scene.levelHeight / TILE_SIZE);
+    }
+    
+    /**
+     * @param {number} col - Cell column
+     * @param {number} row - Cell row
+     * @returns {number} The kind of tile in the cell, or 0 if it's empty
+     */
+    getTile(col, row) {
+        return this.tiles.get(`${col},${row}`) || 0;
+    }
+    
+    /**
+     * Change a batch of cells and redraw the layer once
+     * @param {Array<{col: number, row: number, kind: number}>} cells - Cells to set; kind 0 removes the tile
+     */
+    setTiles(cells) {
+        cells.forEach(({ col, row, kind }) => {
+            if (kind) {
+                this.tiles.set(`${col},${row}`, kind);
+            } else {
+                this.tiles.delete(`${col},${row}`);
+            }
+        });
+        this.draw();
+    }
+    
+    /**
+     * Find the connected area of same-kind cells (or empty cells) around a cell, as the fill tool does
+     * @param {number} col - Cell column to start from
+     * @param {number} row - Cell row to start from
+     * @param {number} limit - Most cells to return; bigger areas give null
+     * @returns {Array<{col: number, row: number}>|null} The cells in the area, or null if it's too big
+     */
+    findArea(col, row, limit) {
+        if (!this.isInside(col, row)) return [];
+        
+        const kind = this.getTile(col, row);
+        const seen = new Set([`${col},${row}`]);
+        const area = [];
+        const queue = [{ col, row }];
+        
+        while (queue.length > 0) {
+            const cell = queue.shift();
+            area.push(cell);
+            if (area.length > limit) return null;
+            
+            [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dx, dy]) => {
+                const next = { col: cell.col + dx, row: cell.row + dy };
+                const key = `${next.col},${next.row}`;
+                if (seen.has(key) || !this.isInside(next.col, next.row) || this.getTile(next.col, next.row) !== kind) return;
+                
+                seen.add(key);
+                queue.push(next);
+            });
+        }
+        
+        return area;
+    }
+    
+    /**
+     * Redraw every tile
+     */
+    draw() {
+        this.graphics.clear();
+        
+        this.tiles.forEach((kind, key) => {
+            const [col, row] = key.split(',').map(Number);
+            const style = TILE_KINDS[kind];
+            const x = col * TILE_SIZE;
+            const y = row * TILE_SIZE;
+            
+            this.graphics.fillStyle(style.fill, 1);
+            this.graphics.fillRect(x, y, TILE_SIZE, TILE_SIZE);
+            if (!this.getTile(col, row - 1)) {
+                this.graphics.fillStyle(style.top, 1);
+                this.graphics.fillRect(x, y, TILE_SIZE, TOP_BAND_HEIGHT);
+            }
+            
+            // A faint outline keeps single tiles visible in a large area of them
+            this.graphics.lineStyle(1, 0x000000, 0.15);
+            this.graphics.strokeRect(x, y, TILE_SIZE, TILE_SIZE);
+        });
+    }
+    
+    /**
+     * Get the tiles as horizontal runs of the same kind, ordered by row and then column
+     * @returns {Array<number[]>} Runs of [column, row, length, kind]
+     */
+    getRuns() {
+        const cells = [...this.tiles.keys()]
+            .map(key => key.split(',').map(Number))
+            .sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+        
+        const runs = [];
+        cells.forEach(([col, row]) => {
+            const kind = this.getTile(col, row);
+            const last = runs[runs.length - 1];
+            if (last && last[1] === row && last[0] + last[2] === col && last[3] === kind) {
+                last[2] += 1;
+            } else {
+                runs.push([col, row, 1, kind]);
+            }
+        });
+        return runs;
+    }
+    
+    /**
+     * Serialize the layer into the compact shape stored by EditorScene.saveState
+     * @returns {Array<number[]>} Runs of [column, row, length, kind]
+     */
+    serialize() {
+        return this.getRuns();
+    }
+    
+    /**
+     * Replace all tiles with serialized ones (as produced by serialize). Only the
+     * part of each run inside the level is kept, as only that can be painted.
+     * @param {Array<number[]>} runs - Runs of [column, row, length, kind]
+     */
+    load(runs) {
+        this.tiles.clear();
+        const columns = Math.ceil(this.scene.levelWidth / TILE_SIZE);
+        runs.forEach(([col, row, length, kind]) => {
+            for (let i = Math.max(0, -col); i < length && col + i < columns; i++) {
+                if (this.isInside(col + i, row)) {
+                    this.tiles.set(`${col + i},${row}`, kind);
+                }
+            }
+        });
+        this.draw();
+    }
+    
+    /**
+     * Remove the tiles left outside the level, e.g. after it was made smaller
+     * @returns {Array<{col: number, row: number, kind: number}>} The removed tiles, for setTiles to bring back
+     */
+    clipToLevel() {
+        const removed = [];
+        this.tiles.forEach((kind, key) => {
+            const [col, row] = key.split(',').map(Number);
+            if (!this.isInside(col, row)) {
+                removed.push({ col, row, kind });
+            }
+        });
+        
+        if (removed.length > 0) {
+            this.setTiles(removed.map(({ col, row }) => ({ col, row, kind: 0 })));
+        }
+        return removed;
+    }
+    
+    /**
+     * Cover the tiles with as few rectangles as possible, ignoring their kinds: runs
+     * across each row, stacked with identical runs in the rows below
+     * @returns {Array<{col: number, row: number, width: number, height: number}>} Rectangles in cells
+     */
+    getMergedRects() {
+        const rects = [];
+        let open = new Map(); // Rectangles the previous row's runs can extend, by "column,width"
+        let previousRow = null;
+        
+        const rowRuns = [];
+        this.getRuns().forEach(([col, row, length]) => {
+            // Runs of different kinds next to each other make one solid run
+            const last = rowRuns[rowRuns.length - 1];
+            if (last && last.row === row && last.col + last.width === col) {
+                last.width += length;
+            } else {
+                rowRuns.push({ col, row, width: length });
+            }
+        });
+        
+        rowRuns.forEach(run => {
+            if (run.row !== previousRow) {
+                // Only rectangles that reached the previous row can grow into this one
+                const reachable = new Map();
+                if (previousRow === run.row - 1) {
+                    open.forEach((rect, key) => {
+                        if (rect.row + rect.height === run.row) reachable.set(key, rect);
+                    });
+                }
+                open = reachable;
+                previousRow = run.row;
+            }
+            
+            const key = `${run.col},${run.width}`;
+            const rect = open.get(key);
+            if (rect) {
+                rect.height += 1;
+            } else {
+                const newRect = { col: run.col, row: run.row, width: run.width, height: 1 };
+                rects.push(newRect);
+                open.set(key, newRect);
+            }
+        });
+        
+        return rects;
+    }
+    
+    /**
+     * Give the tiles static bodies for preview mode, merged into as few as possible
+     * @returns {Phaser.Physics.Arcade.StaticGroup} The group of bodies to collide with
+     */
+    createBodies() {
+        this.destroyBodies();
+        this.bodies = this.scene.physics.add.staticGroup();
+        
+        this.getMergedRects().forEach(rect => {
+            const body = this.scene.add.rectangle(
+                (rect.col + rect.width / 2) * TILE_SIZE,
+                (rect.row + rect.height / 2) * TILE_SIZE,
+                rect.width * TILE_SIZE,
+                rect.height * TILE_SIZE,
+                0x000000,
+                0
+            );
+            this.bodies.add(body);
+        });
+        
+        return this.bodies;
+    }
+    
+    /**
+     * Remove the preview mode bodies
+     */
+    destroyBodies() {
+        if (this.bodies) {
+            this.bodies.clear(true, true);
+            this.bodies = null;
+        }
+    }
+}
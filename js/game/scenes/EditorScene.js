@@ -1,12 +1,59 @@
 import { Block } from '../gameObjects/Block.js';
 import { Player } from '../gameObjects/Player.js';
 import { LevelEndTrigger } from '../gameObjects/LevelEndTrigger.js';
+import { MovingPlatform } from '../gameObjects/MovingPlatform.js';
+import { Hazard } from '../gameObjects/Hazard.js';
+import { Checkpoint } from '../gameObjects/Checkpoint.js';
+import { Collectible } from '../gameObjects/Collectible.js';
+import { Decoration } from '../gameObjects/Decoration.js';
+import { TileLayer } from '../gameObjects/TileLayer.js';
 import { SelectorTool } from '../tools/SelectorTool.js';
 // MoverTool removed as requested
 import { BlockTool } from '../tools/BlockTool.js';
 import { TriggerTool } from '../tools/TriggerTool.js';
 import { PlayerTool } from '../tools/PlayerTool.js';
-import { saveStateToStorage, loadStateFromStorage } from '../../utils/cookieManager.js';
+import { PlatformTool } from '../tools/PlatformTool.js';
+import { HazardTool } from '../tools/HazardTool.js';
+import { CheckpointTool } from '../tools/CheckpointTool.js';
+import { CollectibleTool } from '../tools/CollectibleTool.js';
+import { DecorationTool } from '../tools/DecorationTool.js';
+import { TileTool } from '../tools/TileTool.js';
+import { SnapManager } from '../tools/SnapManager.js';
+import { CommandHistory } from '../commands/CommandHistory.js';
+import { CreateObjectCommand } from '../commands/CreateObjectCommand.js';
+import { DeleteObjectCommand } from '../commands/DeleteObjectCommand.js';
+import { UpdateObjectCommand } from '../commands/UpdateObjectCommand.js';
+import { CompositeCommand } from '../commands/CompositeCommand.js';
+import { ResizeLevelCommand } from '../commands/ResizeLevelCommand.js';
+import { saveStateToStorage, loadStateFromStorage } from '../../utils/storage.js';
+import { readLevelData, DEFAULT_LEVEL_SIZE } from '../../utils/levelFormat.js';
+
+// saveState section each copyable object type is stored under (the player can't be copied)
+const CLIPBOARD_SECTIONS = {
+    block: 'blocks',
+    trigger: 'triggers',
+    platform: 'platforms',
+    hazard: 'hazards',
+    checkpoint: 'checkpoints',
+    collectible: 'collectibles',
+    decoration: 'decorations'
+};
+
+// How far duplicated objects are shifted from their originals
+const DUPLICATE_OFFSET = 20;
+
+// How far the ground's center sits above the bottom edge of the level
+const GROUND_OFFSET = 80;
+
+// How long the player stays dead before respawning, in milliseconds
+const RESPAWN_DELAY = 700;
+
+// Slowest landing (in pixels per second) that bounces off a bouncy surface, so the player comes to rest
+const MIN_BOUNCE_SPEED = 60;
+// Lowest share of the speed change a slippery surface lets through each frame, so the player never gets stuck
+const MIN_SURFACE_GRIP = 0.02;
+// How long one-way surfaces let the player fall through after it presses down on one, in milliseconds
+const DROP_THROUGH_DURATION = 250;
 
 export class EditorScene extends Phaser.Scene {
     // Helper method to detect mobile devices more accurately using user agent
@@ -25,21 +72,46 @@ export class EditorScene extends Phaser.Scene {
         this.twoFingerScrolling = false; // Track if user is using two-finger scrolling
         this.twoFingerStartX = 0; // Starting X position for two-finger scrolling
         this.isVictoryPopupShown = false; // Track if victory popup is currently shown
+        this.ridingPlatform = null; // Moving platform the player stood on during the last physics step
+        this.standingSurface = null; // Block or platform the player stood on during the last physics step
+        this.pendingObjectChange = null; // { id, before } while an inspector change is shown but not yet committed
+        this.playerFallSpeed = 0; // Player's vertical speed before the last physics step, for bouncing
+        this.dropThroughTime = 0; // Milliseconds left of falling through one-way surfaces
+        this.respawnPoint = null; // Where the player comes back after dying in preview (start or last checkpoint)
+        this.isRespawning = false; // Whether the death/respawn sequence is running
+        this.collectedCount = 0; // Collectibles picked up in the current preview
+        this.collectibleHud = null; // Collected count shown in the corner during preview
+        this.nextObjectId = 1; // Next editorId to hand out to a level object
+        this.tileKind = 1; // Kind of tile the tile tools paint
+        this.hiddenDecorationLayers = new Set(); // Decoration layers hidden in the editor ('background', 'foreground')
+        this.history = new CommandHistory(() => this.notifyHistoryChange()); // Undo/redo stack
+        this.clipboard = null; // Copied objects, in the same shape saveState uses
+        this.snapManager = new SnapManager(this); // Grid snapping and alignment guides
     }
     
     create() {
-        // Set up world bounds
-        this.levelWidth = 6400; // Increased from 3200 to allow for larger levels
-        // Use the camera's height (game config height) instead of the window height
-        this.levelHeight = this.cameras.main.height;
+        // Set up world bounds; a loaded level brings its own size (see setLevelSize)
+        this.levelWidth = DEFAULT_LEVEL_SIZE.width;
+        this.levelHeight = DEFAULT_LEVEL_SIZE.height;
         this.cameras.main.setBounds(0, 0, this.levelWidth, this.levelHeight);
         
         // Create a gradient sky background
         this.createSkyBackground();
         
-        // Create groups for blocks and triggers
+        // Create groups for blocks, triggers, moving platforms, hazards, checkpoints, collectibles and decorations
         this.blocks = this.add.group();
         this.triggers = this.add.group();
+        this.platforms = this.add.group();
+        this.hazards = this.add.group();
+        this.checkpoints = this.add.group();
+        this.collectibles = this.add.group();
+        this.decorations = this.add.group();
+        
+        // Create the tile layer for painted terrain
+        this.tileLayer = new TileLayer(this);
+        
+        // Create the snap grid overlay
+        this.snapManager.create();
         
         // Create the minimap for level navigation
         this.createMinimap();
@@ -72,14 +144,15 @@ export class EditorScene extends Phaser.Scene {
         console.log('Resize handler registered');
         
         // Create ground - position it near the bottom but fully visible
-        const ground = new Block(this, this.levelWidth/2, this.levelHeight - 80, this.levelWidth, 40);
+        const ground = new Block(this, this.levelWidth/2, this.levelHeight - GROUND_OFFSET, this.levelWidth, 40);
         ground.setInteractive(false);
         ground.resizeHandles.forEach(handle => handle.destroy());
         ground.deleteButton.destroy();
+        ground.duplicateButton.destroy();
         ground.isGround = true;
         
         // Make the ground visually green
-        ground.rectangle.setFillStyle(0x00aa00); // Darker green for better visibility
+        ground.setColor('#00aa00'); // Darker green for better visibility
         ground.rectangle.setAlpha(1); // Ensure it's fully visible
         
         this.blocks.add(ground);
@@ -96,6 +169,15 @@ export class EditorScene extends Phaser.Scene {
             selector: new SelectorTool(this),
             block: new BlockTool(this),
             trigger: new TriggerTool(this),
+            platform: new PlatformTool(this),
+            hazard: new HazardTool(this),
+            checkpoint: new CheckpointTool(this),
+            collectible: new CollectibleTool(this),
+            decoration: new DecorationTool(this),
+            tileBrush: new TileTool(this, 'brush'),
+            tileEraser: new TileTool(this, 'eraser'),
+            tileFill: new TileTool(this, 'fill'),
+            tileRect: new TileTool(this, 'rect'),
             player: new PlayerTool(this)
         };
         
@@ -103,6 +185,7 @@ export class EditorScene extends Phaser.Scene {
         this.input.on('pointerdown', this.onPointerDown, this);
         this.input.on('pointermove', this.onPointerMove, this);
         this.input.on('pointerup', this.onPointerUp, this);
+        this.input.on('wheel', this.onWheel, this);
         
         // Add touch-specific input handlers
         if (this.isTouchDevice) {
@@ -115,15 +198,22 @@ export class EditorScene extends Phaser.Scene {
             this.input.on('pointermove', this.handleTouchMove, this);
         }
         
-        // Load saved state from cookies/localStorage if available
-        const savedState = loadStateFromStorage();
-        if (savedState) {
+        // Load saved state from storage if available
+        loadStateFromStorage().then(savedState => {
+            // Skip it if the user has already started playing in the meantime
+            if (!savedState || this.isPreviewMode) return;
+            
             console.log('Loading saved state from storage');
-            this.restoreState(savedState);
+            try {
+                this.restoreState(readLevelData(savedState));
+            } catch (e) {
+                // Start with an empty level rather than failing to open the editor
+                console.error('Saved level could not be loaded:', e.message, e.details || '');
+            }
             
             // Ensure the selector tool is active after loading
             this.setTool('selector');
-        }
+        });
         
         // Set up auto-save timer (save every 10 seconds)
         this.time.addEvent({
@@ -141,7 +231,17 @@ export class EditorScene extends Phaser.Scene {
         const state = {
             blocks: [],
             triggers: [],
+            platforms: [],
+            hazards: [],
+            checkpoints: [],
+            collectibles: [],
+            decorations: [],
+            tiles: this.tileLayer.serialize(),
             player: null,
+            size: {
+                width: this.levelWidth,
+                height: this.levelHeight
+            },
             camera: {
                 scrollX: this.cameras.main.scrollX,
                 scrollY: this.cameras.main.scrollY
@@ -152,102 +252,560 @@ export class EditorScene extends Phaser.Scene {
         // Save blocks state
         this.blocks.getChildren().forEach(block => {
             if (!block.isGround) {
-                state.blocks.push({
-                    x: block.x,
-                    y: block.y,
-                    width: block.rectangle.width,
-                    height: block.rectangle.height
-                });
+                state.blocks.push(block.serialize());
             }
         });
         
         // Save triggers state
         this.triggers.getChildren().forEach(trigger => {
-            state.triggers.push({
-                x: trigger.x,
-                y: trigger.y,
-                width: trigger.rectangle.width,
-                height: trigger.rectangle.height
-            });
+            state.triggers.push(trigger.serialize());
+        });
+        
+        // Save moving platforms state
+        this.platforms.getChildren().forEach(platform => {
+            state.platforms.push(platform.serialize());
+        });
+        
+        // Save hazards state
+        this.hazards.getChildren().forEach(hazard => {
+            state.hazards.push(hazard.serialize());
+        });
+        
+        // Save checkpoints state
+        this.checkpoints.getChildren().forEach(checkpoint => {
+            state.checkpoints.push(checkpoint.serialize());
+        });
+        
+        // Save collectibles state
+        this.collectibles.getChildren().forEach(collectible => {
+            state.collectibles.push(collectible.serialize());
+        });
+        
+        // Save decorations state
+        this.decorations.getChildren().forEach(decoration => {
+            state.decorations.push(decoration.serialize());
         });
         
         // Save player state
         if (this.player) {
-            state.player = {
-                x: this.player.x,
-                y: this.player.y
-            };
+            state.player = this.player.serialize();
         }
         
         return state;
     }
     
     restoreState(state) {
-        // Remove all non-ground blocks
-        this.blocks.getChildren().forEach(block => {
+        // Remove all non-ground blocks (copying the list, which shrinks as they're destroyed)
+        [...this.blocks.getChildren()].forEach(block => {
             if (!block.isGround) {
                 block.destroy();
             }
         });
         
         // Remove all triggers
-        this.triggers.getChildren().forEach(trigger => trigger.destroy());
+        [...this.triggers.getChildren()].forEach(trigger => trigger.destroy());
+        
+        // Remove all moving platforms, hazards, checkpoints, collectibles and decorations (copying the lists, which shrink as they're destroyed)
+        [...this.platforms.getChildren()].forEach(platform => platform.destroy());
+        [...this.hazards.getChildren()].forEach(hazard => hazard.destroy());
+        [...this.checkpoints.getChildren()].forEach(checkpoint => checkpoint.destroy());
+        [...this.collectibles.getChildren()].forEach(collectible => collectible.destroy());
+        [...this.decorations.getChildren()].forEach(decoration => decoration.destroy());
         
         // Remove player
         if (this.player) {
             this.player.destroy();
+            this.player = null;
+        }
+        
+        // Resize the level before restoring the camera position inside it
+        if (state.size.width !== this.levelWidth || state.size.height !== this.levelHeight) {
+            this.setLevelSize(state.size.width, state.size.height);
         }
         
         // Restore blocks
-        state.blocks.forEach(blockData => {
-            const block = new Block(this, blockData.x, blockData.y, blockData.width, blockData.height);
-            // Make sure the block is interactive
-            block.setInteractive(new Phaser.Geom.Rectangle(-blockData.width/2, -blockData.height/2, blockData.width, blockData.height), Phaser.Geom.Rectangle.Contains);
-            this.blocks.add(block);
-            
-            // Ensure block is properly initialized for selection
-            if (block.setSelected) {
-                block.setSelected(false);
-            }
-        });
+        state.blocks.forEach(blockData => this.createObject('block', blockData));
         
         // Restore triggers
-        state.triggers.forEach(triggerData => {
-            const trigger = new LevelEndTrigger(this, triggerData.x, triggerData.y, triggerData.width, triggerData.height);
-            // Make sure the trigger is interactive
-            trigger.setInteractive(new Phaser.Geom.Rectangle(-triggerData.width/2, -triggerData.height/2, triggerData.width, triggerData.height), Phaser.Geom.Rectangle.Contains);
-            this.triggers.add(trigger);
-            
-            // Ensure trigger is properly initialized for selection
-            if (trigger.setSelected) {
-                trigger.setSelected(false);
-            }
-        });
+        state.triggers.forEach(triggerData => this.createObject('trigger', triggerData));
+        
+        // Restore moving platforms
+        state.platforms.forEach(platformData => this.createObject('platform', platformData));
+        
+        // Restore hazards
+        state.hazards.forEach(hazardData => this.createObject('hazard', hazardData));
+        
+        // Restore checkpoints
+        state.checkpoints.forEach(checkpointData => this.createObject('checkpoint', checkpointData));
+        
+        // Restore collectibles
+        state.collectibles.forEach(collectibleData => this.createObject('collectible', collectibleData));
+        
+        // Restore decorations
+        state.decorations.forEach(decorationData => this.createObject('decoration', decorationData));
+        
+        // Restore tiles
+        this.tileLayer.load(state.tiles);
         
         // Restore player
         if (state.player) {
-            this.player = new Player(this, state.player.x, state.player.y);
-            
-            // Ensure player is properly initialized for selection
-            if (this.player.setSelected) {
-                this.player.setSelected(false);
-            }
+            this.createObject('player', state.player);
         }
         
         // Restore camera position
-        this.cameras.main.setScroll(state.camera.scrollX, state.camera.scrollY);
+        if (state.camera) {
+            this.cameras.main.setScroll(state.camera.scrollX, state.camera.scrollY);
+        }
         
         // Reset selector tool state to ensure it's ready for new selections
         if (this.tools && this.tools.selector) {
-            this.tools.selector.selectedObject = null;
-            this.tools.selector.isDraggingHandle = false;
-            this.tools.selector.dragStartPos = null;
-            this.tools.selector.draggingHandle = null;
+            this.tools.selector.clearSelection();
+            this.tools.selector.cancelGesture();
         }
         
         console.log('State restored - objects should now be selectable');
     }
     
+    /**
+     * Create a level object from serialized data and add it to the scene
+     * @param {string} type - Object type ('block', 'trigger', 'platform', 'hazard', 'checkpoint', 'collectible', 'decoration', 'player')
+     * @param {Object} data - Serialized object data; a missing id gets a fresh one
+     * @returns {Phaser.GameObjects.GameObject} The created object
+     */
+    createObject(type, data) {
+        let object;
+        
+        switch (type) {
+            case 'block':
+                object = new Block(this, data.x, data.y, data.width, data.height);
+                this.blocks.add(object);
+                break;
+            case 'trigger':
+                object = new LevelEndTrigger(this, data.x, data.y, data.width, data.height, data.requiredCollectibles);
+                this.triggers.add(object);
+                break;
+            case 'platform':
+                object = new MovingPlatform(this, data.x, data.y, data.width, data.height, data);
+                this.platforms.add(object);
+                break;
+            case 'hazard':
+                object = new Hazard(this, data.x, data.y, data.width, data.height, data.kind);
+                this.hazards.add(object);
+                break;
+            case 'checkpoint':
+                object = new Checkpoint(this, data.x, data.y, data.width, data.height);
+                this.checkpoints.add(object);
+                break;
+            case 'collectible':
+                object = new Collectible(this, data.x, data.y, data.width, data.height, data.kind);
+                this.collectibles.add(object);
+                break;
+            case 'decoration':
+                object = new Decoration(this, data.x, data.y, data.width, data.height, data.kind);
+                this.decorations.add(object);
+                break;
+            case 'player':
+                object = new Player(this, data.x, data.y);
+                this.player = object;
+                break;
+            default:
+                console.error(`Unknown object type: ${type}`);
+                return null;
+        }
+        
+        // Apply the settings the constructors don't take, such as colors and surface properties
+        if (type !== 'player') {
+            object.applyData(data);
+        }
+        
+        // Reuse the saved id so history entries keep pointing at the same object
+        if (data.id !== undefined) {
+            object.editorId = data.id;
+            this.nextObjectId = Math.max(this.nextObjectId, data.id + 1);
+        } else {
+            object.editorId = this.nextObjectId++;
+        }
+        
+        // Ensure object is properly initialized for selection
+        object.setSelected(false);
+        
+        return object;
+    }
+    
+    /**
+     * Destroy a level object, clearing any editor references to it
+     * @param {Phaser.GameObjects.GameObject} object - The object to destroy
+     */
+    destroyObject(object) {
+        const selector = this.tools && this.tools.selector;
+        if (selector && selector.isSelected(object)) {
+            selector.cancelGesture();
+            selector.removeFromSelection(object);
+        }
+        
+        if (object === this.player) {
+            this.player = null;
+        }
+        
+        object.destroy();
+    }
+    
+    /**
+     * Get all objects the user can select and edit (excludes the ground)
+     * @returns {Phaser.GameObjects.GameObject[]} The editable objects
+     */
+    getEditableObjects() {
+        const objects = [
+            ...this.blocks.getChildren().filter(block => !block.isGround),
+            ...this.triggers.getChildren(),
+            ...this.platforms.getChildren(),
+            ...this.hazards.getChildren(),
+            ...this.checkpoints.getChildren(),
+            ...this.collectibles.getChildren(),
+            ...this.decorations.getChildren()
+        ];
+        if (this.player) {
+            objects.push(this.player);
+        }
+        return objects;
+    }
+    
+    /**
+     * Get the editable objects that can be clicked or rubber-band selected
+     * (decorations on layers hidden in the editor are left out)
+     * @returns {Phaser.GameObjects.GameObject[]} The selectable objects
+     */
+    getSelectableObjects() {
+        return this.getEditableObjects().filter(object => object.visible);
+    }
+    
+    /**
+     * Find a level object by its editorId
+     * @param {number} id - The editorId to look for
+     * @returns {Phaser.GameObjects.GameObject|null} The object, or null if it doesn't exist
+     */
+    findObjectById(id) {
+        return this.getEditableObjects().find(object => object.editorId === id) || null;
+    }
+    
+    /**
+     * Show a change to a level object straight away, while it's still being typed in the
+     * property inspector. It becomes an undoable action once updateObject commits it.
+     * @param {number} id - The object's editorId
+     * @param {Object} changes - Serialized fields to change, e.g. { width: 150 }
+     */
+    previewObjectChange(id, changes) {
+        const object = this.findObjectById(id);
+        if (this.isPreviewMode || !object) return;
+        
+        // Remember the object as it was before the first previewed change
+        if (!this.pendingObjectChange || this.pendingObjectChange.id !== id) {
+            this.pendingObjectChange = { id, before: object.serialize() };
+        }
+        object.applyData({ ...object.serialize(), ...changes });
+        this.tools.selector.updateSelectionVisuals();
+    }
+    
+    /**
+     * Change some of a level object's data as an undoable action (used by the property inspector)
+     * @param {number} id - The object's editorId
+     * @param {Object} changes - Serialized fields to change, e.g. { speed: 150 }
+     */
+    updateObject(id, changes) {
+        const object = this.findObjectById(id);
+        const pending = this.pendingObjectChange;
+        this.pendingObjectChange = null;
+        if (this.isPreviewMode || !object) return;
+        
+        // Undo goes back to before any previewed changes
+        const before = pending && pending.id === id ? pending.before : object.serialize();
+        const after = { ...object.serialize(), ...changes };
+        if (JSON.stringify(before) !== JSON.stringify(after)) {
+            this.history.execute(new UpdateObjectCommand(this, before, after));
+        } else {
+            object.applyData(after);
+        }
+        this.tools.selector.refreshSelection();
+    }
+    
+    /**
+     * Add a waypoint to the end of a moving platform's path as an undoable action
+     * @param {number} id - The platform's editorId
+     */
+    addPlatformWaypoint(id) {
+        const platform = this.findObjectById(id);
+        if (platform && platform.objectType === 'platform') {
+            this.updateObject(id, { waypoints: platform.getExtendedWaypoints() });
+        }
+    }
+    
+    /**
+     * Remove the last waypoint of a moving platform's path as an undoable action (one always stays)
+     * @param {number} id - The platform's editorId
+     */
+    removePlatformWaypoint(id) {
+        const platform = this.findObjectById(id);
+        if (platform && platform.objectType === 'platform' && platform.waypoints.length > 1) {
+            this.updateObject(id, { waypoints: platform.waypoints.slice(0, -1) });
+        }
+    }
+    
+    /**
+     * Delete a level object as an undoable action
+     * @param {Phaser.GameObjects.GameObject} object - The object to delete
+     */
+    deleteObject(object) {
+        this.deleteObjects([object]);
+    }
+    
+    /**
+     * Delete several level objects as a single undoable action
+     * @param {Phaser.GameObjects.GameObject[]} objects - The objects to delete
+     */
+    deleteObjects(objects) {
+        if (this.isPreviewMode || objects.length === 0) return;
+        
+        const commands = objects.map(object => new DeleteObjectCommand(this, object.objectType, object.serialize()));
+        this.history.execute(commands.length === 1 ? commands[0] : new CompositeCommand(this, commands));
+    }
+    
+    /**
+     * Delete everything currently selected with the selector tool
+     */
+    deleteSelection() {
+        if (this.tools && this.tools.selector) {
+            this.deleteObjects([...this.tools.selector.selectedObjects]);
+        }
+    }
+    
+    /**
+     * Serialize objects into clipboard form: the object sections of saveState, without ids
+     * @param {Phaser.GameObjects.GameObject[]} objects - The objects to serialize
+     * @returns {Object} The clipboard data
+     */
+    serializeForClipboard(objects) {
+        const clipboard = { blocks: [], triggers: [], platforms: [], hazards: [], checkpoints: [], collectibles: [], decorations: [] };
+        
+        objects.forEach(object => {
+            const section = CLIPBOARD_SECTIONS[object.objectType];
+            if (!section) return;
+            
+            const data = object.serialize();
+            delete data.id;
+            clipboard[section].push(data);
+        });
+        
+        return clipboard;
+    }
+    
+    /**
+     * Flatten clipboard data into a list of object types and their data
+     * @param {Object} clipboard - The clipboard data
+     * @returns {{type: string, data: Object}[]} The clipboard entries
+     */
+    getClipboardEntries(clipboard) {
+        return Object.entries(CLIPBOARD_SECTIONS).flatMap(([type, section]) =>
+            clipboard[section].map(data => ({ type, data }))
+        );
+    }
+    
+    /**
+     * Copy the current selection to the clipboard
+     */
+    copySelection() {
+        if (this.isPreviewMode || !this.tools || !this.tools.selector) return;
+        
+        const clipboard = this.serializeForClipboard(this.tools.selector.selectedObjects);
+        if (this.getClipboardEntries(clipboard).length > 0) {
+            this.clipboard = clipboard;
+        }
+    }
+    
+    /**
+     * Paste the clipboard contents, centered on the pointer
+     */
+    pasteClipboard() {
+        if (this.isPreviewMode || !this.clipboard) return;
+        
+        const entries = this.getClipboardEntries(this.clipboard);
+        if (entries.length === 0) return;
+        
+        // Center the pasted group on the pointer's world position
+        const left = Math.min(...entries.map(({ data }) => data.x - data.width / 2));
+        const right = Math.max(...entries.map(({ data }) => data.x + data.width / 2));
+        const top = Math.min(...entries.map(({ data }) => data.y - data.height / 2));
+        const bottom = Math.max(...entries.map(({ data }) => data.y + data.height / 2));
+        
+        const pointer = this.input.activePointer;
+        const worldPoint = this.cameras.main.getWorldPoint(pointer.x, pointer.y);
+        const offsetX = worldPoint.x - (left + right) / 2;
+        const offsetY = worldPoint.y - (top + bottom) / 2;
+        
+        this.createObjects(entries, offsetX, offsetY);
+    }
+    
+    /**
+     * Duplicate the current selection
+     */
+    duplicateSelection() {
+        if (this.tools && this.tools.selector) {
+            this.duplicateObjects([...this.tools.selector.selectedObjects]);
+        }
+    }
+    
+    /**
+     * Duplicate objects as a single undoable action, placing the clones slightly offset
+     * @param {Phaser.GameObjects.GameObject[]} objects - The objects to duplicate
+     */
+    duplicateObjects(objects) {
+        if (this.isPreviewMode) return;
+        
+        const entries = this.getClipboardEntries(this.serializeForClipboard(objects));
+        if (entries.length === 0) return;
+        
+        this.createObjects(entries, DUPLICATE_OFFSET, DUPLICATE_OFFSET);
+    }
+    
+    /**
+     * Create objects from clipboard entries as a single undoable action and select them
+     * @param {{type: string, data: Object}[]} entries - The objects to create
+     * @param {number} offsetX - Horizontal offset applied to every object
+     * @param {number} offsetY - Vertical offset applied to every object
+     */
+    createObjects(entries, offsetX, offsetY) {
+        // Hand out ids up front so redo recreates the same objects
+        const commands = entries.map(({ type, data }) => new CreateObjectCommand(this, type, {
+            ...data,
+            id: this.nextObjectId++,
+            x: data.x + offsetX,
+            y: data.y + offsetY
+        }));
+        this.history.execute(commands.length === 1 ? commands[0] : new CompositeCommand(this, commands));
+        
+        this.setTool('selector');
+        this.tools.selector.select(commands.map(command => this.findObjectById(command.data.id)));
+    }
+    
+    /**
+     * Change the snap grid settings (called from the React toolbar)
+     * @param {Object} settings - Any of { enabled, gridSize }
+     */
+    setSnapSettings(settings) {
+        this.snapManager.setSettings(settings);
+    }
+    
+    /**
+     * Choose the kind of tile the tile tools paint (called from the React toolbar)
+     * @param {number} kind - A tile kind (see TILE_KINDS in TileLayer.js)
+     */
+    setTileKind(kind) {
+        this.tileKind = kind;
+    }
+    
+    /**
+     * Show or hide a decoration layer in the editor (called from the React toolbar).
+     * Every layer shows while playing, whatever is hidden here.
+     * @param {string} layer - 'background' or 'foreground'
+     * @param {boolean} visible - Whether the layer's decorations show
+     */
+    setDecorationLayerVisible(layer, visible) {
+        if (visible) {
+            this.hiddenDecorationLayers.delete(layer);
+        } else {
+            this.hiddenDecorationLayers.add(layer);
+        }
+        
+        // Leaving preview mode recreates the decorations, which picks up the change
+        if (this.isPreviewMode) return;
+        
+        this.decorations.getChildren().forEach(decoration => decoration.updateVisibility());
+        
+        // Hidden decorations can't stay selected
+        const selector = this.tools && this.tools.selector;
+        if (selector && selector.selectedObjects.some(object => !object.visible)) {
+            selector.select(selector.selectedObjects.filter(object => object.visible));
+        }
+    }
+    
+    /**
+     * Change the size of the level as an undoable edit (called from the React level settings dialog)
+     * @param {number} width - New level width in world pixels
+     * @param {number} height - New level height in world pixels
+     */
+    resizeLevel(width, height) {
+        if (this.isPreviewMode) return;
+        if (width === this.levelWidth && height === this.levelHeight) return;
+        
+        this.history.execute(new ResizeLevelCommand(
+            this,
+            { width: this.levelWidth, height: this.levelHeight },
+            { width, height }
+        ));
+    }
+    
+    /**
+     * Set the size of the level and move everything that follows it: the camera
+     * bounds, the ground, the boundary walls, the sky and clouds, the snap grid
+     * and the minimap
+     * @param {number} width - Level width in world pixels
+     * @param {number} height - Level height in world pixels
+     */
+    setLevelSize(width, height) {
+        this.levelWidth = width;
+        this.levelHeight = height;
+        this.cameras.main.setBounds(0, 0, width, height);
+        
+        // The ground always spans the level and sits near its bottom edge
+        const ground = this.blocks.getChildren().find(block => block.isGround);
+        if (ground) {
+            ground.setPosition(width / 2, height - GROUND_OFFSET);
+            ground.setDimensions(width, ground.rectangle.height);
+        }
+        
+        this.createBoundaryWalls();
+        this.createSkyBackground();
+        this.snapManager.drawGrid();
+        
+        if (!this.isPreviewMode) {
+            this.createMinimap(true);
+        }
+    }
+    
+    undo() {
+        if (this.isPreviewMode) return;
+        this.history.undo();
+        this.tools.selector.refreshSelection();
+    }
+    
+    redo() {
+        if (this.isPreviewMode) return;
+        this.history.redo();
+        this.tools.selector.refreshSelection();
+    }
+    
+    // Dispatch a custom event so React components can show settings for the selected objects
+    notifySelectionChange(objects) {
+        window.dispatchEvent(new CustomEvent('objectselectionchange', {
+            detail: {
+                objects: objects.map(object => ({
+                    id: object.editorId,
+                    type: object.objectType,
+                    data: object.serialize()
+                }))
+            }
+        }));
+    }
+    
+    // Dispatch a custom event to notify React components about undo/redo availability
+    notifyHistoryChange() {
+        window.dispatchEvent(new CustomEvent('historychange', {
+            detail: {
+                canUndo: this.history.canUndo(),
+                canRedo: this.history.canRedo()
+            }
+        }));
+    }
+    
     setTool(toolName) {
         if (this.isPreviewMode) return;
         
@@ -271,25 +829,48 @@ export class EditorScene extends Phaser.Scene {
         }));
     }
     
-    // Auto-save state to cookies/localStorage
+    // Auto-save state to storage
     autoSaveState() {
         if (!this.isPreviewMode) {
             const state = this.saveState();
-            saveStateToStorage(state);
-            console.log('Auto-saved game state', new Date().toLocaleTimeString());
+            saveStateToStorage(state).then(success => {
+                if (success) {
+                    console.log('Auto-saved game state', new Date().toLocaleTimeString());
+                }
+            });
         }
     }
     
-    // Manual save state to cookies/localStorage
+    /**
+     * Replace the whole level with an imported one (already migrated and validated by levelFormat.js)
+     * @param {Object} state - The level state, in the shape saveState produces
+     * @returns {boolean} Whether the level was loaded
+     */
+    importLevel(state) {
+        if (this.isPreviewMode) return false;
+        
+        this.cleanupAllObjects();
+        this.restoreState(state);
+        
+        // Old history entries refer to objects that no longer exist
+        this.history.clear();
+        this.setTool('selector');
+        
+        this.saveStateToStorage();
+        return true;
+    }
+    
+    // Manual save state to storage, resolving to whether it was saved
     saveStateToStorage() {
         const state = this.saveState();
-        const success = saveStateToStorage(state);
-        if (success) {
-            console.log('Game state saved successfully');
-        } else {
-            console.error('Failed to save game state');
-        }
-        return success;
+        return saveStateToStorage(state).then(success => {
+            if (success) {
+                console.log('Game state saved successfully');
+            } else {
+                console.error('Failed to save game state');
+            }
+            return success;
+        });
     }
     
     togglePreview() {
@@ -334,6 +915,9 @@ export class EditorScene extends Phaser.Scene {
             // Disable all tools and deselect all objects
             Object.values(this.tools).forEach(tool => tool.deactivate());
             
+            // Hide the snap grid while playing
+            this.snapManager.drawGrid();
+            
             // Ensure all objects are deselected
             this.deselectAllObjects();
             
@@ -355,6 +939,42 @@ export class EditorScene extends Phaser.Scene {
                         console.log('Ground physics body configured with fixed dimensions');
                     }
                 }
+                block.updateBodyCollision();
+            });
+            
+            // Moving platforms are immovable bodies driven by velocity, so whatever stands on them rides along
+            this.platforms.getChildren().forEach(platform => {
+                if (!platform.body) {
+                    this.physics.add.existing(platform);
+                }
+                platform.body.setAllowGravity(false);
+                platform.body.setImmovable(true);
+                platform.updateBodyCollision();
+                platform.setPathVisible(false);
+                platform.startMoving();
+            });
+            
+            // Hazards and collectibles only need to detect the player, so they get static bodies without a collider
+            this.hazards.getChildren().forEach(hazard => {
+                if (!hazard.body) {
+                    this.physics.add.existing(hazard, true);
+                }
+            });
+            this.collectibles.getChildren().forEach(collectible => {
+                if (!collectible.body) {
+                    this.physics.add.existing(collectible, true);
+                }
+            });
+            this.collectedCount = 0;
+            this.createCollectibleHud();
+            
+            // Tiles collide through a few merged bodies rather than one per tile
+            this.tileLayer.createBodies();
+            
+            // Decorations have no bodies; every layer shows while playing, scrolling at its parallax speed
+            this.decorations.getChildren().forEach(decoration => {
+                decoration.setVisible(true);
+                decoration.startParallax(this.cameras.main.width, this.cameras.main.height);
             });
             
             // Follow player with camera if it exists
@@ -367,7 +987,7 @@ export class EditorScene extends Phaser.Scene {
                 // Ensure player body is enabled and has gravity
                 if (this.player.body) {
                     this.player.body.enable = true;
-                    this.player.body.gravity.y = 300;
+                    this.player.setGravityScale(1);
                     console.log('Player physics enabled with gravity:', this.player.body.gravity.y);
                 }
                 
@@ -378,12 +998,40 @@ export class EditorScene extends Phaser.Scene {
                 this.cameras.main.startFollow(this.player, true);
                 this.cameras.main.setLerp(0.1);
                 
-                // Add collision with blocks
-                this.physics.add.collider(this.player, this.blocks);
+                // Add collision with blocks, whose surface properties act on the player standing on them
+                this.playerFallSpeed = 0;
+                this.dropThroughTime = 0;
+                this.physics.add.collider(
+                    this.player,
+                    this.blocks,
+                    (player, block) => {
+                        this.handleSurfaceContact(block);
+                        player.notifyContact('block', block);
+                    },
+                    (player, block) => this.canCollideWithSurface(block)
+                );
+                
+                // Add collision with the tile layer, which counts as one object for the player's
+                // script, so walking across merged bodies isn't a new touch
+                this.physics.add.collider(this.player, this.tileLayer.bodies, player => player.notifyContact('block', this.tileLayer));
+                
+                // Add collision with moving platforms, noting the one the player stands on
+                this.physics.add.collider(this.player, this.platforms, (player, platform) => {
+                    if (player.body.touching.down && platform.body.touching.up) {
+                        this.ridingPlatform = platform;
+                    }
+                    this.handleSurfaceContact(platform);
+                    player.notifyContact('block', platform);
+                }, (player, platform) => this.canCollideWithSurface(platform));
                 
                 // Check if player is inside any block and move them to a safe position
                 this.checkAndFixPlayerPosition();
                 
+                // Dying sends the player back to where it started, until it reaches a checkpoint
+                this.respawnPoint = { x: this.player.x, y: this.player.y };
+                this.isRespawning = false;
+                this.physics.add.overlap(this.player, this.hazards, () => this.killPlayer());
+                
                 // Add collision with level end triggers
                 this.triggers.getChildren().forEach(trigger => {
                     // Enable physics for trigger as a sensor (no solid collision)
@@ -402,11 +1050,32 @@ export class EditorScene extends Phaser.Scene {
                     
                     // Add overlap detection
                     this.physics.add.overlap(this.player, trigger, () => {
-                        // Show level complete when player reaches the trigger
-                        trigger.showLevelComplete();
+                        this.player.notifyContact('trigger', trigger);
+                        
+                        // Show level complete when player reaches the trigger with enough collectibles
+                        if (this.collectedCount < trigger.requiredCollectibles) {
+                            trigger.showRequirementHint(this.collectedCount);
+                        } else {
+                            trigger.showLevelComplete(this.collectedCount, this.collectibles.getLength());
+                        }
                     });
                 });
                 
+                // Checkpoints are sensors like the level end triggers; touching one moves the respawn point there
+                this.checkpoints.getChildren().forEach(checkpoint => {
+                    if (checkpoint.body) {
+                        checkpoint.body.enable = true;
+                        checkpoint.body.position.x = checkpoint.x - checkpoint.body.width / 2;
+                        checkpoint.body.position.y = checkpoint.y - checkpoint.body.height / 2;
+                    } else {
+                        this.physics.add.existing(checkpoint, true);
+                    }
+                    
+                    this.physics.add.overlap(this.player, checkpoint, () => this.activateCheckpoint(checkpoint));
+                });
+                
+                this.physics.add.overlap(this.player, this.collectibles, (player, collectible) => this.collectItem(collectible));
+                
                 // Connect the Rete editor to the player if available
                 if (window.reteEditor) {
                     console.log('Connecting Rete editor to player...');
@@ -469,6 +1138,53 @@ export class EditorScene extends Phaser.Scene {
                 }
             });
             
+            this.platforms.getChildren().forEach(platform => {
+                if (platform.body) {
+                    // Destroy the physics body but keep the game object
+                    this.physics.world.remove(platform.body);
+                    platform.body = null;
+                }
+            });
+            this.ridingPlatform = null;
+            this.standingSurface = null;
+            
+            this.hazards.getChildren().forEach(hazard => {
+                if (hazard.body) {
+                    // Destroy the physics body but keep the game object
+                    this.physics.world.remove(hazard.body);
+                    hazard.body = null;
+                }
+            });
+            this.isRespawning = false;
+            
+            this.collectibles.getChildren().forEach(collectible => {
+                if (collectible.body) {
+                    // Destroy the physics body but keep the game object
+                    this.physics.world.remove(collectible.body);
+                    collectible.body = null;
+                }
+            });
+            if (this.collectibleHud) {
+                this.collectibleHud.destroy();
+                this.collectibleHud = null;
+            }
+            
+            this.tileLayer.destroyBodies();
+            
+            this.checkpoints.getChildren().forEach(checkpoint => {
+                checkpoint.setActivated(false);
+                if (checkpoint.body) {
+                    // Destroy the physics body but keep the game object
+                    this.physics.world.remove(checkpoint.body);
+                    checkpoint.body = null;
+                }
+            });
+            
+            if (this.player) {
+                // Stop a death/respawn effect that's still playing
+                this.tweens.killTweensOf(this.player);
+            }
+            
             if (this.player && this.player.body) {
                 this.physics.world.remove(this.player.body);
                 this.player.body = null;
@@ -487,6 +1203,9 @@ export class EditorScene extends Phaser.Scene {
             // Re-enable selector tool
             this.setTool('selector');
             
+            // Show the snap grid again
+            this.snapManager.drawGrid();
+            
             // Hide touch controls when exiting preview mode
             if (this.touchControlsContainer) {
                 this.touchControlsContainer.classList.remove('preview-active');
@@ -535,18 +1254,221 @@ export class EditorScene extends Phaser.Scene {
     }
     
     update(time, delta) {
+        if (this.isPreviewMode) {
+            this.platforms.getChildren().forEach(platform => platform.updateMovement(delta));
+            
+            // Gravity alone lets the player drop away from a platform moving down every
+            // frame (so it never counts as on the ground); keep it standing on it instead
+            if (this.player && this.player.body && this.ridingPlatform && this.ridingPlatform.body) {
+                const platformVelocityY = this.ridingPlatform.body.velocity.y;
+                if (platformVelocityY > 0 && this.player.body.velocity.y >= 0 && this.player.body.velocity.y < platformVelocityY) {
+                    this.player.body.velocity.y = platformVelocityY;
+                }
+            }
+            this.ridingPlatform = null;
+        }
+        
         if (this.player && this.isPreviewMode) {
+            const previousVelocityX = this.player.body ? this.player.body.velocity.x : 0;
+            
             // Pass time and delta to the player update method
             this.player.update(time, delta);
+            this.updateDropThrough(delta);
+            this.applySurfaceFriction(previousVelocityX);
             
             // Check if player is outside level boundaries and teleport them back inside
             this.checkAndFixPlayerBoundaries();
+            
+            if (this.player.body) {
+                this.playerFallSpeed = this.player.body.velocity.y;
+            }
         }
         
         // Update moving clouds
         this.updateClouds(delta);
     }
     
+    /**
+     * Note the block or platform the player landed on, bouncing it off if the surface is bouncy
+     * @param {Block} surface - The block or platform the player collided with
+     */
+    handleSurfaceContact(surface) {
+        const player = this.player;
+        if (!player || !player.body || !player.body.touching.down || !surface.body.touching.up) return;
+        
+        this.standingSurface = surface;
+        
+        // The collision has already stopped the fall, so bounce with the speed from before it
+        if (surface.bounce > 0 && this.playerFallSpeed > MIN_BOUNCE_SPEED) {
+            player.body.setVelocityY(-this.playerFallSpeed * surface.bounce);
+            this.playerFallSpeed = 0;
+        }
+    }
+    
+    /**
+     * Whether the player should collide with a block or platform: one-way surfaces
+     * let it through for a moment after it presses down while standing on one
+     * @param {Block} surface - The block or platform
+     * @returns {boolean} False to let the player pass through
+     */
+    canCollideWithSurface(surface) {
+        return !(surface.oneWay && this.dropThroughTime > 0);
+    }
+    
+    /**
+     * Start dropping through the one-way surface the player stands on when it presses down
+     * (on the keyboard or the touch controls, which both set keyboardState.down)
+     * @param {number} delta - Milliseconds since the last frame
+     */
+    updateDropThrough(delta) {
+        if (this.dropThroughTime > 0) {
+            this.dropThroughTime -= delta;
+        } else if (this.standingSurface && this.standingSurface.oneWay && this.player.keyboardState.down) {
+            this.dropThroughTime = DROP_THROUGH_DURATION;
+            this.standingSurface = null;
+        }
+    }
+    
+    /**
+     * On a slippery surface, let the player's horizontal speed change only part of the
+     * way towards what its controls asked for this frame
+     * @param {number} previousVelocityX - The player's horizontal speed before its update
+     */
+    applySurfaceFriction(previousVelocityX) {
+        const surface = this.standingSurface;
+        this.standingSurface = null;
+        if (!surface || !this.player.body || surface.friction >= 1) return;
+        
+        const grip = Math.max(surface.friction, MIN_SURFACE_GRIP);
+        const body = this.player.body;
+        body.velocity.x = previousVelocityX + (body.velocity.x - previousVelocityX) * grip;
+    }
+    
+    /**
+     * Show the collected count in the top left corner, if the level has collectibles
+     */
+    createCollectibleHud() {
+        if (this.collectibles.getLength() === 0) return;
+        
+        this.collectibleHud = this.add.text(16, 16, '', {
+            fontSize: '20px',
+            color: '#ffffff',
+            fontStyle: 'bold',
+            backgroundColor: 'rgba(0, 0, 0, 0.5)',
+            padding: { x: 8, y: 4 }
+        });
+        this.collectibleHud.setScrollFactor(0);
+        this.collectibleHud.setDepth(950);
+        this.updateCollectibleHud();
+    }
+    
+    /**
+     * Refresh the collected count shown by the HUD
+     */
+    updateCollectibleHud() {
+        if (this.collectibleHud) {
+            this.collectibleHud.setText(`🪙 ${this.collectedCount} / ${this.collectibles.getLength()}`);
+        }
+    }
+    
+    /**
+     * Pick up a collectible the player touched
+     * @param {Collectible} collectible - The touched collectible
+     */
+    collectItem(collectible) {
+        if (collectible.isCollected || this.isRespawning) return;
+        
+        // It stays hidden for the rest of the preview; leaving preview restores the level
+        collectible.isCollected = true;
+        collectible.body.enable = false;
+        this.collectedCount++;
+        this.updateCollectibleHud();
+        
+        this.tweens.add({
+            targets: collectible,
+            y: collectible.y - 30,
+            alpha: 0,
+            duration: 300,
+            onComplete: () => collectible.setVisible(false)
+        });
+    }
+    
+    /**
+     * Make a checkpoint the player's respawn point, deactivating the previous one
+     * @param {Checkpoint} checkpoint - The checkpoint the player touched
+     */
+    activateCheckpoint(checkpoint) {
+        // Touching a checkpoint while dead (the body is off then) or again while it's active changes nothing
+        if (checkpoint.isActivated || this.isRespawning || !this.player || !this.player.body) return;
+        
+        this.checkpoints.getChildren().forEach(other => {
+            if (other.isActivated) {
+                other.setActivated(false);
+            }
+        });
+        checkpoint.setActivated(true);
+        this.respawnPoint = checkpoint.getRespawnPoint(this.player.body.halfHeight);
+        
+        // Pop the flag so the player notices
+        this.tweens.add({ targets: checkpoint.text, scale: 1.6, duration: 150, yoyo: true });
+    }
+    
+    /**
+     * Run the death sequence after the player touches a hazard: a burst and a camera
+     * shake, then the player comes back at the respawn point after a short delay
+     */
+    killPlayer() {
+        const player = this.player;
+        if (!player || !player.body || this.isRespawning || this.isVictoryPopupShown) return;
+        
+        this.isRespawning = true;
+        player.body.setVelocity(0, 0);
+        player.body.enable = false;
+        
+        this.cameras.main.shake(200, 0.01);
+        this.createDeathBurst(player.x, player.y);
+        this.tweens.add({ targets: player, alpha: 0, scale: 1.5, duration: 250 });
+        
+        this.time.delayedCall(RESPAWN_DELAY, () => {
+            // Preview may have ended (and the player been recreated) in the meantime
+            if (!this.isPreviewMode || this.player !== player || !player.body) return;
+            
+            this.tweens.killTweensOf(player);
+            player.setScale(1);
+            player.setAlpha(1);
+            player.body.enable = true;
+            player.body.reset(this.respawnPoint.x, this.respawnPoint.y);
+            
+            // Blink where the player came back
+            this.tweens.add({ targets: player, alpha: 0.3, duration: 100, yoyo: true, repeat: 3 });
+            this.isRespawning = false;
+        });
+    }
+    
+    /**
+     * Scatter a few fading particles from where the player died
+     * @param {number} x - World position
+     * @param {number} y - World position
+     */
+    createDeathBurst(x, y) {
+        const count = 10;
+        for (let i = 0; i < count; i++) {
+            const angle = (Math.PI * 2 * i) / count;
+            const particle = this.add.circle(x, y, 5, i % 2 === 0 ? 0xff0000 : 0xffa500);
+            particle.setDepth(800);
+            this.tweens.add({
+                targets: particle,
+                x: x + Math.cos(angle) * 60,
+                y: y + Math.sin(angle) * 60,
+                alpha: 0,
+                scale: 0.3,
+                duration: 500,
+                ease: 'Cubic.easeOut',
+                onComplete: () => particle.destroy()
+            });
+        }
+    }
+    
     // Update cloud positions and manage cloud lifecycle
     updateClouds(delta) {
         if (!this.clouds || this.clouds.length === 0) return;
@@ -654,6 +1576,29 @@ export class EditorScene extends Phaser.Scene {
         }
     }
     
+    /**
+     * Scroll the editor view with the mouse wheel: up and down, or sideways
+     * with Shift held (trackpads can also swipe sideways directly)
+     * @param {Phaser.Input.Pointer} pointer - The pointer over the game
+     * @param {Phaser.GameObjects.GameObject[]} gameObjects - Objects under the pointer
+     * @param {number} deltaX - Horizontal wheel movement
+     * @param {number} deltaY - Vertical wheel movement
+     */
+    onWheel(pointer, gameObjects, deltaX, deltaY) {
+        if (this.isPreviewMode) return;
+        
+        const camera = this.cameras.main;
+        const sideways = pointer.event && pointer.event.shiftKey;
+        const range = this.getScrollRange();
+        
+        camera.scrollX = Phaser.Math.Clamp(camera.scrollX + (sideways ? deltaY : deltaX), 0, range.x);
+        if (!sideways) {
+            camera.scrollY = Phaser.Math.Clamp(camera.scrollY + deltaY, 0, range.y);
+        }
+        
+        this.updateMinimapCamera();
+    }
+    
     /**
      * Deselect all objects in the scene
      */
@@ -671,38 +1616,17 @@ export class EditorScene extends Phaser.Scene {
                 trigger.setSelected(false);
             }
         });
-    }
-    
-    /**
-     * Create invisible walls for level boundaries in preview mode
-     */
-    createBoundaryWalls() {
-        // Create a physics group for the boundary walls
-        this.boundaryWalls = this.physics.add.staticGroup();
-        
-        // Wall thickness
-        const wallThickness = 50;
-        
-        // Create left wall
-        const leftWall = this.add.rectangle(0 - wallThickness/2, this.levelHeight/2, wallThickness, this.levelHeight, 0x000000, 0);
-        this.boundaryWalls.add(leftWall);
         
-        // Create right wall
-        const rightWall = this.add.rectangle(this.levelWidth + wallThickness/2, this.levelHeight/2, wallThickness, this.levelHeight, 0x000000, 0);
-        this.boundaryWalls.add(rightWall);
-        
-        // Create top wall (optional, can be removed if you want the player to be able to jump above the screen)
-        const topWall = this.add.rectangle(this.levelWidth/2, 0 - wallThickness/2, this.levelWidth, wallThickness, 0x000000, 0);
-        this.boundaryWalls.add(topWall);
+        // Deselect all moving platforms and hazards
+        this.platforms.getChildren().forEach(platform => platform.setSelected(false));
+        this.hazards.getChildren().forEach(hazard => hazard.setSelected(false));
         
-        // Create bottom wall (optional, usually there's already a ground block)
-        const bottomWall = this.add.rectangle(this.levelWidth/2, this.levelHeight + wallThickness/2, this.levelWidth, wallThickness, 0x000000, 0);
-        this.boundaryWalls.add(bottomWall);
+        // Deselect all checkpoints and collectibles
+        this.checkpoints.getChildren().forEach(checkpoint => checkpoint.setSelected(false));
+        this.collectibles.getChildren().forEach(collectible => collectible.setSelected(false));
         
-        // Add collision between player and boundary walls if player exists
-        if (this.player) {
-            this.physics.add.collider(this.player, this.boundaryWalls);
-        }
+        // Deselect all decorations
+        this.decorations.getChildren().forEach(decoration => decoration.setSelected(false));
     }
     
     // Create a gradient sky background with moving clouds and sun
@@ -738,9 +1662,9 @@ export class EditorScene extends Phaser.Scene {
     drawSkyGradient() {
         if (!this.skyBackground) return;
         
-        const width = this.cameras.main.width;
-        const height = this.cameras.main.height;
-        const levelWidth = Math.max(width, this.levelWidth);
+        // Cover the whole level, and the whole view when the level is smaller than it
+        const levelWidth = Math.max(this.cameras.main.width, this.levelWidth);
+        const height = Math.max(this.cameras.main.height, this.levelHeight);
         
         this.skyBackground.clear();
         
@@ -826,7 +1750,7 @@ export class EditorScene extends Phaser.Scene {
     
     // Create a single cloud with uniform transparency
     createCloud(isInitial = false) {
-        const height = this.cameras.main.height;
+        const height = this.levelHeight;
         
         // Cloud properties
         const cloudWidth = Phaser.Math.Between(150, 300);
@@ -844,12 +1768,10 @@ export class EditorScene extends Phaser.Scene {
     
     // Create a cloud at a specific position
     createCloudAtPosition(x, y = null, width = null, height = null) {
-        const cameraHeight = this.cameras.main.height;
-        
         // Use provided values or generate random ones
         const cloudWidth = width || Phaser.Math.Between(150, 300);
         const cloudHeight = height || Phaser.Math.Between(50, 80);
-        const cloudY = y || Phaser.Math.Between(cameraHeight * 0.05, cameraHeight * 0.3);
+        const cloudY = y || Phaser.Math.Between(this.levelHeight * 0.05, this.levelHeight * 0.3);
         
         // Create a container to hold all cloud parts
         const cloudContainer = this.add.container(x, cloudY);
@@ -885,24 +1807,6 @@ export class EditorScene extends Phaser.Scene {
         return cloudContainer;
     }
     
-    // Update the sky background (for resize events)
-    updateSkyBackground() {
-        if (!this.skyBackground) return;
-        
-        // Redraw the sky gradient
-        this.drawSkyGradient();
-        
-        // Recreate clouds if needed
-        if (!this.clouds || this.clouds.length === 0) {
-            this.createInitialClouds();
-        }
-        
-        // Recreate sun if needed
-        if (!this.sun) {
-            this.createSun();
-        }
-    }
-    
     /**
      * Create invisible boundary walls to prevent the player from going out of bounds
      * These walls are positioned at the edges of the level
@@ -943,146 +1847,16 @@ export class EditorScene extends Phaser.Scene {
     
     /**
      * Handle resize events from the scale manager
-     * This adjusts camera bounds, ground position, and other elements to fit the new size
-     * @param {Phaser.Structs.Size} gameSize - The new game size
+     * The view always shows the same area of the level (see VIEW_WIDTH and VIEW_HEIGHT in game.js),
+     * scaled and letterboxed to fit the screen, so only the HTML touch controls need to move
+     * @param {Phaser.Structs.Size} gameSize - The game size (always the fixed view size)
      * @param {Phaser.Structs.Size} baseSize - The base game size
-     * @param {Phaser.Structs.Size} displaySize - The new display size
+     * @param {Phaser.Structs.Size} displaySize - The size the view is shown at on screen
      * @param {number} resolution - The resolution
      */
     handleResize(gameSize, baseSize, displaySize, resolution) {
-        // Get the game container element
-        const gameContainer = document.getElementById('phaser-game');
-        
-        // Skip resize handling during view transitions or when scene is not active
-        // This prevents issues when switching between game and editor views
-        if (!this.scene.isActive() || (gameContainer && gameContainer.offsetWidth === 0)) {
-            console.log('Skipping resize for inactive or hidden EditorScene');
-            return;
-        }
-        
-        // Reduce debounce time for mobile to be more responsive
-        const debounceTime = 300; // Reduced from 500ms to 300ms
-        
-        // Skip resize handling when switching between views
-        // This is a critical fix to prevent the ground collider from moving
-        if (this._lastResizeTime && Date.now() - this._lastResizeTime < debounceTime) {
-            console.log('Skipping resize - too soon after last resize');
-            return;
-        }
-        this._lastResizeTime = Date.now();
-        
-        // Get actual dimensions from the container rather than relying solely on the passed parameters
-        // This helps with mobile browsers that might report incorrect dimensions during transitions
-        const containerWidth = gameContainer ? gameContainer.clientWidth : displaySize.width;
-        const containerHeight = gameContainer ? gameContainer.clientHeight : displaySize.height;
-        
-        // Use the most reliable dimensions available
-        const width = Math.max(containerWidth, displaySize.width);
-        const height = Math.max(containerHeight, displaySize.height);
-        
-        console.log('Resize handler called', { 
-            displayWidth: displaySize.width, 
-            displayHeight: displaySize.height,
-            containerWidth: containerWidth,
-            containerHeight: containerHeight,
-            finalWidth: width,
-            finalHeight: height,
-            active: this.scene.isActive()
-        });
-        
-        // Update camera bounds to match new height while maintaining level width
-        this.levelHeight = height;
-        this.cameras.main.setBounds(0, 0, this.levelWidth, this.levelHeight);
-        
-        // Find and reposition the ground
-        const ground = this.blocks.getChildren().find(block => block.isGround);
-        if (ground) {
-            // Position ground exactly at the bottom of the screen on mobile
-            // The constant offset might be causing the gap on mobile devices
-            // Use our more accurate mobile detection helper method
-            const isMobile = this.isMobileDevice();
-            ground.y = this.levelHeight - (isMobile ? 40 : 80); // Less offset on mobile devices
-            
-            // For containers like Block, we need to update the rectangle inside
-            if (ground.rectangle) {
-                ground.rectangle.width = this.levelWidth; // Ensure ground covers entire level width
-            }
-            
-            // Only update the physics body if it exists and we're not in a view transition
-            if (ground.body) {
-                // Store the original position before updating
-                const originalY = ground.y;
-                
-                // Manually update the physics body with fixed dimensions
-                ground.body.setSize(this.levelWidth, 50);
-                
-                // Ensure the ground position hasn't changed
-                ground.y = originalY;
-                
-                console.log('Ground repositioned to:', ground.y);
-            }
-        }
-        
-        // Schedule a second resize check after a short delay to catch any dimension changes
-        // that might have happened during the resize operation (especially on mobile)
-        setTimeout(() => {
-            if (this.scene && this.scene.isActive()) {
-                const newContainerWidth = gameContainer ? gameContainer.clientWidth : displaySize.width;
-                const newContainerHeight = gameContainer ? gameContainer.clientHeight : displaySize.height;
-                
-                // Only perform the second resize if dimensions have changed
-                if (newContainerWidth !== containerWidth || newContainerHeight !== containerHeight) {
-                    console.log('Secondary resize check - dimensions changed:', {
-                        width: newContainerWidth,
-                        height: newContainerHeight
-                    });
-                    
-                    // Update camera and level height
-                    this.levelHeight = newContainerHeight;
-                    this.cameras.main.setBounds(0, 0, this.levelWidth, this.levelHeight);
-                    
-                    // Reposition ground again if needed
-                    if (ground) {
-                        // Use our more accurate mobile detection helper method
-                        const isMobile = this.isMobileDevice();
-                        ground.y = this.levelHeight - (isMobile ? 40 : 80); // Less offset on mobile devices
-                        if (ground.rectangle) {
-                            ground.rectangle.width = this.levelWidth;
-                        }
-                        if (ground.body) {
-                            ground.body.setSize(this.levelWidth, 50);
-                        }
-                    }
-                }
-            }
-        }, 100);
-        
-        // Update boundary walls if they exist
-        if (this.boundaryWalls) {
-            this.boundaryWalls.clear(true, true); // Remove existing walls
-        }
-        this.createBoundaryWalls(); // Recreate walls with new dimensions
-        
-        // Update sky background to match new dimensions
-        this.updateSkyBackground();
-        
-        // Only recreate the minimap if not in preview mode
-        if (!this.isPreviewMode) {
-            // Recreate the minimap with new dimensions while preserving camera position
-            this.createMinimap(true);
-        } else {
-            // In preview mode, ensure the minimap remains destroyed
-            if (this.minimap) {
-                this.minimap.destroy();
-                this.minimap = null;
-            }
-            if (this.minimapHitArea) {
-                this.minimapHitArea.destroy();
-                this.minimapHitArea = null;
-            }
-            // Keep the flag set so we know to recreate the minimap when exiting preview mode
-            this.minimapDestroyedForPreview = true;
-        }
+        // Skip resize handling when the scene is not active
+        if (!this.scene.isActive()) return;
         
         // Reposition touch controls if they exist
         if (this.touchControlsContainer) {
@@ -1244,7 +2018,7 @@ export class EditorScene extends Phaser.Scene {
      */
     createMinimap(preservePosition = false) {
         // Store current camera position for restoration if needed
-        const currentRelativeX = this.cameras.main.scrollX / (this.levelWidth - this.cameras.main.width);
+        const currentScroll = this.getRelativeScroll();
         // Remove existing minimap if it exists
         if (this.minimap) {
             this.minimap.destroy();
@@ -1277,14 +2051,16 @@ export class EditorScene extends Phaser.Scene {
         border.setStrokeStyle(1, 0xffffff, 0.5);
         this.minimap.add(border);
         
-        // Create line representing the ground
-        const groundLine = this.add.rectangle(0, minimapHeight / 4, minimapWidth, 2, 0xaaaaaa, 0.8);
+        // Create line representing the ground (the minimap squeezes the level's height into its own)
+        const groundY = ((this.levelHeight - GROUND_OFFSET) / this.levelHeight - 0.5) * minimapHeight;
+        const groundLine = this.add.rectangle(0, groundY, minimapWidth, 2, 0xaaaaaa, 0.8);
         groundLine.setOrigin(0.5);
         this.minimap.add(groundLine);
         
         // Create camera view indicator
         const cameraWidth = Math.min(minimapWidth, gameWidth * minimapScale);
-        this.minimapCamera = this.add.rectangle(0, 0, cameraWidth, minimapHeight - 4, 0xffffff, 0.3);
+        const cameraHeight = Math.min(1, gameHeight / this.levelHeight) * (minimapHeight - 4);
+        this.minimapCamera = this.add.rectangle(0, 0, cameraWidth, cameraHeight, 0xffffff, 0.3);
         this.minimapCamera.setOrigin(0.5);
         this.minimapCamera.setStrokeStyle(1, 0xffffff, 0.8);
         this.minimap.add(this.minimapCamera);
@@ -1321,11 +2097,10 @@ export class EditorScene extends Phaser.Scene {
                 pointer.event.stopPropagation();
             }
             
-            // Completely deselect any selected object when using the minimap camera
-            if (this.tools.selector && this.tools.selector.selectedObject) {
-                this.tools.selector.selectedObject.setSelected(false);
-                this.tools.selector.selectedObject = null;
-                this.tools.selector.dragStartPos = null;
+            // Completely deselect any selected objects when using the minimap camera
+            if (this.tools.selector) {
+                this.tools.selector.clearSelection();
+                this.tools.selector.cancelGesture();
             }
             
             // Start dragging the camera indicator
@@ -1335,7 +2110,7 @@ export class EditorScene extends Phaser.Scene {
             // This is used to maintain the same relative position when dragging
             const minimapCameraBounds = this.minimapCamera.getBounds();
             this.dragOffsetX = pointer.x - minimapCameraBounds.centerX;
-            this.dragStartScrollX = this.cameras.main.scrollX;
+            this.dragOffsetY = pointer.y - minimapCameraBounds.centerY;
             
             // Prevent any other objects from being selected during this click
             this.minimapInteractionInProgress = true;
@@ -1364,11 +2139,10 @@ export class EditorScene extends Phaser.Scene {
                 pointer.event.stopPropagation();
             }
             
-            // Deselect any selected object when using the minimap
-            if (this.tools.selector && this.tools.selector.selectedObject) {
-                this.tools.selector.selectedObject.setSelected(false);
-                this.tools.selector.selectedObject = null;
-                this.tools.selector.dragStartPos = null;
+            // Deselect any selected objects when using the minimap
+            if (this.tools.selector) {
+                this.tools.selector.clearSelection();
+                this.tools.selector.cancelGesture();
             }
             
             // Prevent any other objects from being selected during this click
@@ -1376,7 +2150,7 @@ export class EditorScene extends Phaser.Scene {
             
             // When clicking on the minimap background, immediately teleport the camera indicator to that position
             this.isDraggingMinimap = true;
-            this.updateMinimapCameraPosition(pointer.x);
+            this.updateMinimapCameraPosition(pointer.x, pointer.y);
         };
         
         // Add drag functionality to minimap hit area (lower priority)
@@ -1397,25 +2171,11 @@ export class EditorScene extends Phaser.Scene {
         this.minimapMoveListener = (pointer) => {
             if (this.isDraggingMinimap && !this.isPreviewMode) {
                 // Dragging the background - update camera position directly
-                this.updateMinimapCameraPosition(pointer.x);
+                this.updateMinimapCameraPosition(pointer.x, pointer.y);
             } else if (this.isDraggingMinimapCamera && !this.isPreviewMode) {
                 // When dragging the camera indicator, account for the offset to maintain
                 // the same relative position of the pointer within the indicator
-                const adjustedPointerX = pointer.x - this.dragOffsetX;
-                
-                // Get minimap hit area bounds
-                const minimapWidth = this.minimapHitArea.width;
-                const minimapLeft = this.minimapHitArea.x - minimapWidth / 2;
-                
-                // Calculate relative position within minimap (0 to 1)
-                const relativeX = Phaser.Math.Clamp((adjustedPointerX - minimapLeft) / minimapWidth, 0, 1);
-                
-                // Convert to level position and scroll camera
-                const targetScrollX = relativeX * (this.levelWidth - this.cameras.main.width);
-                this.cameras.main.scrollX = targetScrollX;
-                
-                // Update minimap camera indicator
-                this.updateMinimapCamera();
+                this.updateMinimapCameraPosition(pointer.x - this.dragOffsetX, pointer.y - this.dragOffsetY);
             }
         };
         
@@ -1438,41 +2198,69 @@ export class EditorScene extends Phaser.Scene {
         // Update minimap camera position initially
         if (preservePosition) {
             // Restore the camera position based on the stored relative position
-            const targetScrollX = currentRelativeX * (this.levelWidth - this.cameras.main.width);
-            this.cameras.main.scrollX = targetScrollX;
+            this.setRelativeScroll(currentScroll.x, currentScroll.y);
         }
         this.updateMinimapCamera();
     }
     
+    /**
+     * How far the camera can scroll within the level (0 along a side where the level is no bigger than the view)
+     * @returns {{x: number, y: number}} The largest scrollX and scrollY
+     */
+    getScrollRange() {
+        const camera = this.cameras.main;
+        return {
+            x: Math.max(0, this.levelWidth - camera.width),
+            y: Math.max(0, this.levelHeight - camera.height)
+        };
+    }
+    
+    /**
+     * Where the camera is scrolled to, as a share of how far it can scroll each way
+     * @returns {{x: number, y: number}} Horizontal and vertical position, each from 0 to 1
+     */
+    getRelativeScroll() {
+        const camera = this.cameras.main;
+        const range = this.getScrollRange();
+        return {
+            x: range.x > 0 ? Phaser.Math.Clamp(camera.scrollX / range.x, 0, 1) : 0,
+            y: range.y > 0 ? Phaser.Math.Clamp(camera.scrollY / range.y, 0, 1) : 0
+        };
+    }
+    
+    /**
+     * Scroll the camera to a position given as a share of how far it can scroll each way
+     * @param {number} relativeX - Horizontal position from 0 (left edge) to 1 (right edge)
+     * @param {number} relativeY - Vertical position from 0 (top edge) to 1 (bottom edge)
+     */
+    setRelativeScroll(relativeX, relativeY) {
+        const range = this.getScrollRange();
+        this.cameras.main.setScroll(relativeX * range.x, relativeY * range.y);
+    }
+    
     /**
      * Updates the camera position based on minimap interaction
      * @param {number} pointerX - The x position of the pointer in screen coordinates
+     * @param {number} pointerY - The y position of the pointer in screen coordinates
      */
-    updateMinimapCameraPosition(pointerX) {
+    updateMinimapCameraPosition(pointerX, pointerY) {
         if (!this.minimap || !this.minimapCamera || !this.minimapHitArea) return;
         
         // Get minimap hit area bounds
         const minimapWidth = this.minimapHitArea.width;
+        const minimapHeight = this.minimapHitArea.height;
         const minimapLeft = this.minimapHitArea.x - minimapWidth / 2;
+        const minimapTop = this.minimapHitArea.y - minimapHeight / 2;
         
         // Calculate relative position within minimap (0 to 1)
         const relativeX = Phaser.Math.Clamp((pointerX - minimapLeft) / minimapWidth, 0, 1);
+        const relativeY = Phaser.Math.Clamp((pointerY - minimapTop) / minimapHeight, 0, 1);
         
         // Convert to level position and scroll camera
-        const targetScrollX = relativeX * (this.levelWidth - this.cameras.main.width);
-        this.cameras.main.scrollX = targetScrollX;
+        this.setRelativeScroll(relativeX, relativeY);
         
         // Update minimap camera indicator
         this.updateMinimapCamera();
-        
-        // Debug info
-        console.log('Minimap interaction:', {
-            pointerX,
-            minimapLeft,
-            minimapWidth,
-            relativeX,
-            targetScrollX
-        });
     }
     
     /**
@@ -1482,14 +2270,14 @@ export class EditorScene extends Phaser.Scene {
         if (!this.minimap || !this.minimapCamera) return;
         
         // Get minimap dimensions
-        const minimapWidth = this.minimapCamera.parentContainer.list[0].width;
+        const minimapBackground = this.minimapCamera.parentContainer.list[0];
         
         // Calculate relative position of camera in level (0 to 1)
-        const relativeX = this.cameras.main.scrollX / (this.levelWidth - this.cameras.main.width);
+        const scroll = this.getRelativeScroll();
         
-        // Calculate position within minimap
-        const minimapX = (relativeX - 0.5) * (minimapWidth - this.minimapCamera.width);
-        this.minimapCamera.x = minimapX;
+        // Calculate position within minimap, keeping the indicator inside its 2px margin
+        this.minimapCamera.x = (scroll.x - 0.5) * (minimapBackground.width - this.minimapCamera.width);
+        this.minimapCamera.y = (scroll.y - 0.5) * (minimapBackground.height - 4 - this.minimapCamera.height);
     }
     
     /**
@@ -1673,8 +2461,15 @@ export class EditorScene extends Phaser.Scene {
         // Remove blocks outside the loop to avoid modifying the array while iterating
         blocksToRemove.forEach(block => block.destroy());
         
-        // Remove all triggers
-        this.triggers.getChildren().forEach(trigger => trigger.destroy());
+        // Remove all triggers (copying the list, which shrinks as they're destroyed)
+        [...this.triggers.getChildren()].forEach(trigger => trigger.destroy());
+        
+        // Remove all moving platforms, hazards, checkpoints, collectibles and decorations (copying the lists, which shrink as they're destroyed)
+        [...this.platforms.getChildren()].forEach(platform => platform.destroy());
+        [...this.hazards.getChildren()].forEach(hazard => hazard.destroy());
+        [...this.checkpoints.getChildren()].forEach(checkpoint => checkpoint.destroy());
+        [...this.collectibles.getChildren()].forEach(collectible => collectible.destroy());
+        [...this.decorations.getChildren()].forEach(decoration => decoration.destroy());
         
         // Remove player if it exists
         if (this.player) {
@@ -1811,6 +2606,7 @@ export class EditorScene extends Phaser.Scene {
             
             // Calculate the midpoint between the two touches
             const midX = (this.input.pointer1.x + this.input.pointer2.x) / 2;
+            const midY = (this.input.pointer1.y + this.input.pointer2.y) / 2;
             
             // Detect if this is a horizontal scrolling gesture or a pinch gesture
             // If the pointers are roughly at the same Y position (within 100px), it's likely a horizontal scroll
@@ -1823,7 +2619,9 @@ export class EditorScene extends Phaser.Scene {
                 if (!this.twoFingerScrolling) {
                     this.twoFingerScrolling = true;
                     this.twoFingerStartX = midX;
+                    this.twoFingerStartY = midY;
                     this.twoFingerStartScrollX = this.cameras.main.scrollX;
+                    this.twoFingerStartScrollY = this.cameras.main.scrollY;
                 } else {
                     // Calculate how far we've moved and scroll the camera accordingly
                     // Use a multiplier to make the scrolling more responsive
@@ -1834,7 +2632,16 @@ export class EditorScene extends Phaser.Scene {
                         this.levelWidth - this.cameras.main.width
                     );
                     
+                    // Both fingers dragging together also pan up and down
+                    const deltaY = (this.twoFingerStartY - midY) * 2;
+                    const newScrollY = Phaser.Math.Clamp(
+                        this.twoFingerStartScrollY + deltaY,
+                        0,
+                        this.getScrollRange().y
+                    );
+                    
                     this.cameras.main.scrollX = newScrollX;
+                    this.cameras.main.scrollY = newScrollY;
                     
                     // Update the minimap camera indicator
                     this.updateMinimapCamera();
@@ -1,5 +1,5 @@
 import { Tool } from './Tool.js';
-import { Block } from '../gameObjects/Block.js';
+import { CreateObjectCommand } from '../commands/CreateObjectCommand.js';
 
 export class BlockTool extends Tool {
     constructor(scene) {
@@ -10,22 +10,16 @@ export class BlockTool extends Tool {
         if (!this.active) return;
         
         const worldPoint = this.scene.cameras.main.getWorldPoint(pointer.x, pointer.y);
-        const block = new Block(this.scene, worldPoint.x, worldPoint.y);
-        this.scene.blocks.add(block);
+        const block = this.scene.createObject('block', { x: worldPoint.x, y: worldPoint.y });
+        this.scene.snapManager.snapPlacement(block, pointer);
+        this.scene.history.record(new CreateObjectCommand(this.scene, 'block', block.serialize()));
         
         // Switch to selector tool after placing a block
         this.scene.setTool('selector');
         
         // Select the newly created block
         if (this.scene.tools.selector) {
-            // Deselect any previously selected object
-            if (this.scene.tools.selector.selectedObject) {
-                this.scene.tools.selector.selectedObject.setSelected(false);
-            }
-            
-            // Select the new block
-            this.scene.tools.selector.selectedObject = block;
-            block.setSelected(true);
+            this.scene.tools.selector.select([block]);
         }
     }
 }
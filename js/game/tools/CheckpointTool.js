@@ -0,0 +1,25 @@
+import { Tool } from './Tool.js';
+import { CreateObjectCommand } from '../commands/CreateObjectCommand.js';
+
+export class CheckpointTool extends Tool {
+    constructor(scene) {
+        super(scene);
+    }
+    
+    onPointerDown(pointer) {
+        if (!this.active) return;
+        
+        const worldPoint = this.scene.cameras.main.getWorldPoint(pointer.x, pointer.y);
+        const checkpoint = this.scene.createObject('checkpoint', { x: worldPoint.x, y: worldPoint.y });
+        this.scene.snapManager.snapPlacement(checkpoint, pointer);
+        this.scene.history.record(new CreateObjectCommand(this.scene, 'checkpoint', checkpoint.serialize()));
+        
+        // Switch to selector tool after placing a checkpoint
+        this.scene.setTool('selector');
+        
+        // Select the newly created checkpoint
+        if (this.scene.tools.selector) {
+            this.scene.tools.selector.select([checkpoint]);
+        }
+    }
+}
@@ -0,0 +1,25 @@
+import { Tool } from './Tool.js';
+import { CreateObjectCommand } from '../commands/CreateObjectCommand.js';
+
+export class CollectibleTool extends Tool {
+    constructor(scene) {
+        super(scene);
+    }
+    
+    onPointerDown(pointer) {
+        if (!this.active) return;
+        
+        const worldPoint = this.scene.cameras.main.getWorldPoint(pointer.x, pointer.y);
+        const collectible = this.scene.createObject('collectible', { x: worldPoint.x, y: worldPoint.y });
+        this.scene.snapManager.snapPlacement(collectible, pointer);
+        this.scene.history.record(new CreateObjectCommand(this.scene, 'collectible', collectible.serialize()));
+        
+        // Switch to selector tool after placing a collectible
+        this.scene.setTool('selector');
+        
+        // Select the newly created collectible
+        if (this.scene.tools.selector) {
+            this.scene.tools.selector.select([collectible]);
+        }
+    }
+}
@@ -0,0 +1,25 @@
+import { Tool } from './Tool.js';
+import { CreateObjectCommand } from '../commands/CreateObjectCommand.js';
+
+export class DecorationTool extends Tool {
+    constructor(scene) {
+        super(scene);
+    }
+    
+    onPointerDown(pointer) {
+        if (!this.active) return;
+        
+        const worldPoint = this.scene.cameras.main.getWorldPoint(pointer.x, pointer.y);
+        const decoration = this.scene.createObject('decoration', { x: worldPoint.x, y: worldPoint.y });
+        this.scene.snapManager.snapPlacement(decoration, pointer);
+        this.scene.history.record(new CreateObjectCommand(this.scene, 'decoration', decoration.serialize()));
+        
+        // Switch to selector tool after placing a decoration
+        this.scene.setTool('selector');
+        
+        // Select the newly created decoration
+        if (this.scene.tools.selector) {
+            this.scene.tools.selector.select([decoration]);
+        }
+    }
+}
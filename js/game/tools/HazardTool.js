@@ -0,0 +1,25 @@
+import { Tool } from './Tool.js';
+import { CreateObjectCommand } from '../commands/CreateObjectCommand.js';
+
+export class HazardTool extends Tool {
+    constructor(scene) {
+        super(scene);
+    }
+    
+    onPointerDown(pointer) {
+        if (!this.active) return;
+        
+        const worldPoint = this.scene.cameras.main.getWorldPoint(pointer.x, pointer.y);
+        const hazard = this.scene.createObject('hazard', { x: worldPoint.x, y: worldPoint.y });
+        this.scene.snapManager.snapPlacement(hazard, pointer);
+        this.scene.history.record(new CreateObjectCommand(this.scene, 'hazard', hazard.serialize()));
+        
+        // Switch to selector tool after placing a hazard
+        this.scene.setTool('selector');
+        
+        // Select the newly created hazard
+        if (this.scene.tools.selector) {
+            this.scene.tools.selector.select([hazard]);
+        }
+    }
+}
@@ -18,9 +18,11 @@ export class MoverTool extends Tool {
         if (!this.active || !this.isDragging) return;
         
         const deltaX = pointer.x - this.lastPointerPosition.x;
+        const deltaY = pointer.y - this.lastPointerPosition.y;
         const camera = this.scene.cameras.main;
         
         camera.scrollX -= deltaX / camera.zoom;
+        camera.scrollY -= deltaY / camera.zoom;
         
         this.lastPointerPosition = { x: pointer.x, y: pointer.y };
     }
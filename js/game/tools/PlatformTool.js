@@ -0,0 +1,26 @@
+import { Tool } from './Tool.js';
+import { CreateObjectCommand } from '../commands/CreateObjectCommand.js';
+
+export class PlatformTool extends Tool {
+    constructor(scene) {
+        super(scene);
+    }
+    
+    onPointerDown(pointer) {
+        if (!this.active) return;
+        
+        const worldPoint = this.scene.cameras.main.getWorldPoint(pointer.x, pointer.y);
+        const platform = this.scene.createObject('platform', { x: worldPoint.x, y: worldPoint.y });
+        this.scene.snapManager.snapPlacement(platform, pointer);
+        platform.drawPath();
+        this.scene.history.record(new CreateObjectCommand(this.scene, 'platform', platform.serialize()));
+        
+        // Switch to selector tool after placing a platform
+        this.scene.setTool('selector');
+        
+        // Select the newly created platform, showing its waypoint handles
+        if (this.scene.tools.selector) {
+            this.scene.tools.selector.select([platform]);
+        }
+    }
+}
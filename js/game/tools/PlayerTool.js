@@ -1,5 +1,7 @@
 import { Tool } from './Tool.js';
-import { Player } from '../gameObjects/Player.js';
+import { CreateObjectCommand } from '../commands/CreateObjectCommand.js';
+import { DeleteObjectCommand } from '../commands/DeleteObjectCommand.js';
+import { CompositeCommand } from '../commands/CompositeCommand.js';
 
 export class PlayerTool extends Tool {
     constructor(scene) {
@@ -11,27 +13,27 @@ export class PlayerTool extends Tool {
         
         const worldPoint = this.scene.cameras.main.getWorldPoint(pointer.x, pointer.y);
         
+        const commands = [];
+        
         // Remove existing player if there is one
         if (this.scene.player) {
-            this.scene.player.destroy();
+            commands.push(new DeleteObjectCommand(this.scene, 'player', this.scene.player.serialize()));
+            this.scene.destroyObject(this.scene.player);
         }
         
         // Create new player
-        this.scene.player = new Player(this.scene, worldPoint.x, worldPoint.y);
+        const player = this.scene.createObject('player', { x: worldPoint.x, y: worldPoint.y });
+        commands.push(new CreateObjectCommand(this.scene, 'player', player.serialize()));
+        
+        // Replacing the player is a single undo step
+        this.scene.history.record(new CompositeCommand(this.scene, commands));
         
         // Switch to selector tool after placing player
         this.scene.setTool('selector');
         
         // Select the newly created player
-        if (this.scene.tools.selector && this.scene.player.setSelected) {
-            // Deselect any previously selected object
-            if (this.scene.tools.selector.selectedObject) {
-                this.scene.tools.selector.selectedObject.setSelected(false);
-            }
-            
-            // Select the new player
-            this.scene.tools.selector.selectedObject = this.scene.player;
-            this.scene.player.setSelected(true);
+        if (this.scene.tools.selector) {
+            this.scene.tools.selector.select([this.scene.player]);
         }
     }
 }
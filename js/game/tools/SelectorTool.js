@@ -1,97 +1,164 @@
 import { Tool } from './Tool.js';
+import { UpdateObjectCommand } from '../commands/UpdateObjectCommand.js';
+import { CompositeCommand } from '../commands/CompositeCommand.js';
+
+const HANDLE_SIZE = 10; // Matches the resize handles on Block and LevelEndTrigger
+const MIN_OBJECT_SIZE = 20; // Matches the minimum size enforced by Block.resize
+const MIN_MARQUEE_SIZE = 3; // Smaller rubber bands are treated as plain clicks
 
 export class SelectorTool extends Tool {
     constructor(scene) {
         super(scene);
-        this.selectedObject = null;
+        this.selectedObjects = [];
         this.isDraggingHandle = false;
+        this.isDraggingGroupHandle = false;
+        this.draggingWaypointIndex = -1; // Waypoint of a selected moving platform being dragged
         this.dragStartPos = null;
+        this.gestureStartData = null; // Selected objects' state when the current drag began, for undo
+        this.groupStartBounds = null; // Combined bounding box when the current drag began
+        this.marqueeStart = null; // World position where a rubber-band selection began
+        this.marqueeAdditive = false; // Whether the rubber band adds to the current selection
+        this.selectionGraphics = null; // Combined bounding box for multi-selections
+        this.marqueeGraphics = null; // Rubber-band rectangle
+        this.groupDeleteButton = null; // Delete button for multi-selections
     }
     
     onPointerDown(pointer) {
         if (!this.active) return;
         
         const worldPoint = this.scene.cameras.main.getWorldPoint(pointer.x, pointer.y);
+        const additive = !!(pointer.event && pointer.event.shiftKey);
+        
+        // Check if we clicked the delete button of a multi-selection
+        if (this.selectedObjects.length > 1 && this.groupDeleteButton && this.groupDeleteButton.visible &&
+            this.groupDeleteButton.getBounds().contains(worldPoint.x, worldPoint.y)) {
+            this.scene.deleteObjects([...this.selectedObjects]);
+            return;
+        }
         
-        // Check if we clicked a resize handle of the selected object
-        if (this.selectedObject) {
-            const handle = this.selectedObject.resizeHandles.find(h => h.getBounds().contains(worldPoint.x, worldPoint.y));
+        // Check if we clicked a resize handle of a single selected object
+        if (this.selectedObjects.length === 1) {
+            const handle = this.selectedObjects[0].resizeHandles.find(h => h.getBounds().contains(worldPoint.x, worldPoint.y));
             if (handle && handle.visible) {
                 this.isDraggingHandle = true;
                 this.dragStartPos = { x: worldPoint.x, y: worldPoint.y };
                 this.draggingHandle = handle;
+                this.beginGesture();
                 return;
             }
         }
         
-        // Check if we clicked an object
-        const objects = [...this.scene.blocks.getChildren(), ...this.scene.triggers.getChildren()];
-        // Add player to objects list if it exists
-        if (this.scene.player) {
-            objects.push(this.scene.player);
+        // Check if we clicked a waypoint handle of a single selected moving platform
+        if (this.selectedObjects.length === 1 && this.selectedObjects[0].getWaypointHandleAt) {
+            const waypointIndex = this.selectedObjects[0].getWaypointHandleAt(worldPoint.x, worldPoint.y);
+            if (waypointIndex !== -1) {
+                this.draggingWaypointIndex = waypointIndex;
+                this.dragStartPos = { x: worldPoint.x, y: worldPoint.y };
+                this.beginGesture();
+                return;
+            }
         }
         
-        const clickedObject = objects.find(obj => {
-            const bounds = obj.getBounds();
-            return bounds.contains(worldPoint.x, worldPoint.y) && !obj.isGround; // Ignore ground block
-        });
-        
-        // Deselect previous object if it exists and is different from the clicked object
-        if (this.selectedObject && this.selectedObject !== clickedObject) {
-            this.selectedObject.setSelected(false);
+        // Check if we clicked a resize handle of the combined bounding box
+        if (this.selectedObjects.length > 1) {
+            const cornerIndex = this.getGroupHandleAt(worldPoint);
+            if (cornerIndex !== -1) {
+                this.isDraggingGroupHandle = true;
+                this.draggingCornerIndex = cornerIndex;
+                this.dragStartPos = { x: worldPoint.x, y: worldPoint.y };
+                this.beginGesture();
+                return;
+            }
         }
         
+        // Check if we clicked an object (the ground is not editable)
+        const clickedObject = this.scene.getSelectableObjects().find(obj => {
+            return obj.getBounds().contains(worldPoint.x, worldPoint.y);
+        });
+        
         if (clickedObject) {
-            this.selectedObject = clickedObject;
-            this.selectedObject.setSelected(true);
+            if (additive) {
+                // Shift-click toggles the object in the selection
+                if (this.isSelected(clickedObject)) {
+                    this.removeFromSelection(clickedObject);
+                    return;
+                }
+                this.select([...this.selectedObjects, clickedObject]);
+            } else if (!this.isSelected(clickedObject)) {
+                this.select([clickedObject]);
+            }
+            
+            // Start dragging the whole selection
             this.dragStartPos = { x: worldPoint.x, y: worldPoint.y };
-            this.objectStartPos = { x: clickedObject.x, y: clickedObject.y };
+            this.beginGesture();
         } else {
-            // Deselect current object if clicking empty space
-            if (this.selectedObject) {
-                this.selectedObject.setSelected(false);
-                this.selectedObject = null;
+            // Clicking empty space deselects and starts a rubber-band selection
+            if (!additive) {
+                this.clearSelection();
             }
+            this.marqueeStart = { x: worldPoint.x, y: worldPoint.y };
+            this.marqueeAdditive = additive;
         }
     }
     
     onPointerMove(pointer) {
-        if (!this.active || !this.dragStartPos) return;
+        if (!this.active) return;
+        
+        const worldPoint = { x: pointer.worldX, y: pointer.worldY };
+        
+        if (this.marqueeStart) {
+            this.drawMarquee(this.getMarqueeRect(worldPoint));
+            return;
+        }
+        
+        if (!this.dragStartPos || this.selectedObjects.length === 0) return;
+        
+        const snap = this.scene.snapManager.isActiveFor(pointer);
+        if (!snap) {
+            this.scene.snapManager.clearGuides();
+        }
         
         // Skip any processing and directly set position to pointer location for maximum responsiveness
-        if (this.isDraggingHandle && this.selectedObject) {
-            // For handle dragging, calculate directly from pointer position
-            const worldPoint = { x: pointer.worldX, y: pointer.worldY };
-            const deltaX = worldPoint.x - this.dragStartPos.x;
-            const deltaY = worldPoint.y - this.dragStartPos.y;
+        if (this.isDraggingHandle) {
+            const obj = this.selectedObjects[0];
+            const cornerIndex = this.draggingHandle.cornerIndex;
             
-            // Apply resize directly
-            this.selectedObject.resize(this.draggingHandle.cornerIndex, deltaX, deltaY);
+            // Resize by the distance between the corner and where the pointer has dragged it to,
+            // so snapping never lets the corner drift away from the pointer
+            const [startX, startY] = this.getGroupHandlePositions(this.groupStartBounds)[cornerIndex];
+            const [currentX, currentY] = this.getGroupHandlePositions(this.getObjectBounds(obj))[cornerIndex];
+            const deltaX = startX + worldPoint.x - this.dragStartPos.x - currentX;
+            const deltaY = startY + worldPoint.y - this.dragStartPos.y - currentY;
             
-            // Update the start position for next move
-            this.dragStartPos = { x: worldPoint.x, y: worldPoint.y };
-        } else if (this.selectedObject) {
+            obj.resize(cornerIndex, deltaX, deltaY, snap);
+        } else if (this.isDraggingGroupHandle) {
+            this.resizeGroup(worldPoint, snap);
+        } else if (this.draggingWaypointIndex !== -1) {
+            this.moveWaypoint(worldPoint, snap);
+        } else {
             // For object dragging, directly follow the pointer with no smoothing
-            const worldX = pointer.worldX;
-            const worldY = pointer.worldY;
-            const deltaX = worldX - this.dragStartPos.x;
-            const deltaY = worldY - this.dragStartPos.y;
-            
-            // Direct position update with no intermediary calculations
-            this.selectedObject.x = this.objectStartPos.x + deltaX;
-            this.selectedObject.y = this.objectStartPos.y + deltaY;
+            let deltaX = worldPoint.x - this.dragStartPos.x;
+            let deltaY = worldPoint.y - this.dragStartPos.y;
             
-            // Force immediate update of all visual components
-            if (this.selectedObject.update) {
-                this.selectedObject.update();
+            if (snap) {
+                const bounds = Phaser.Geom.Rectangle.Clone(this.groupStartBounds);
+                bounds.x += deltaX;
+                bounds.y += deltaY;
+                
+                const offset = this.scene.snapManager.snapBounds(bounds, this.selectedObjects);
+                deltaX += offset.x;
+                deltaY += offset.y;
             }
             
-            // Force immediate physics update if applicable
-            if (this.selectedObject.body) {
-                this.selectedObject.body.reset(this.selectedObject.x, this.selectedObject.y);
-            }
+            // Move every selected object relative to where it was when the drag began
+            this.selectedObjects.forEach((obj, index) => {
+                const startData = this.gestureStartData[index];
+                obj.applyData({ ...startData, x: startData.x + deltaX, y: startData.y + deltaY });
+            });
         }
         
+        this.updateSelectionVisuals();
+        
         // Force an immediate render update
         if (this.scene.renderer && this.scene.renderer.snapshot) {
             this.scene.renderer.snapshot();
@@ -99,21 +166,305 @@ export class SelectorTool extends Tool {
     }
     
     onPointerUp() {
+        if (this.marqueeStart) {
+            this.finishMarquee();
+        }
+        
+        // Record the whole drag gesture as a single history entry
+        if (this.gestureStartData) {
+            const commands = [];
+            this.selectedObjects.forEach((obj, index) => {
+                const startData = this.gestureStartData[index];
+                const endData = obj.serialize();
+                if (JSON.stringify(endData) !== JSON.stringify(startData)) {
+                    commands.push(new UpdateObjectCommand(this.scene, startData, endData));
+                }
+            });
+            
+            if (commands.length === 1) {
+                this.scene.history.record(commands[0]);
+            } else if (commands.length > 1) {
+                this.scene.history.record(new CompositeCommand(this.scene, commands));
+            }
+            if (commands.length > 0) {
+                this.scene.notifySelectionChange(this.selectedObjects);
+            }
+        }
+        
+        this.cancelGesture();
+    }
+    
+    deactivate() {
+        super.deactivate();
+        
+        // Deselect current objects if there are any
+        this.clearSelection();
+        this.cancelGesture();
+    }
+    
+    /**
+     * Remember the state of the selected objects at the start of a drag
+     */
+    beginGesture() {
+        this.gestureStartData = this.selectedObjects.map(obj => obj.serialize());
+        this.groupStartBounds = this.getSelectionBounds();
+    }
+    
+    /**
+     * Reset all drag state without recording anything
+     */
+    cancelGesture() {
         this.isDraggingHandle = false;
+        this.isDraggingGroupHandle = false;
+        this.draggingWaypointIndex = -1;
         this.dragStartPos = null;
         this.draggingHandle = null;
+        this.gestureStartData = null;
+        this.groupStartBounds = null;
+        this.marqueeStart = null;
+        this.lastMarqueeRect = null;
+        
+        if (this.marqueeGraphics) {
+            this.marqueeGraphics.clear();
+        }
+        
+        if (this.scene.snapManager) {
+            this.scene.snapManager.clearGuides();
+        }
     }
     
-    deactivate() {
-        super.deactivate();
+    /**
+     * Replace the selection with the given objects
+     * @param {Phaser.GameObjects.GameObject[]} objects - The objects to select
+     */
+    select(objects) {
+        this.selectedObjects.forEach(obj => {
+            if (obj.scene && !objects.includes(obj)) {
+                obj.setSelected(false);
+            }
+        });
+        
+        this.selectedObjects = [...new Set(objects)];
+        this.updateSelectionVisuals();
+        this.scene.notifySelectionChange(this.selectedObjects);
+    }
+    
+    clearSelection() {
+        this.select([]);
+    }
+    
+    /**
+     * Remove a single object from the selection
+     * @param {Phaser.GameObjects.GameObject} object - The object to deselect
+     */
+    removeFromSelection(object) {
+        this.select(this.selectedObjects.filter(obj => obj !== object));
+    }
+    
+    isSelected(object) {
+        return this.selectedObjects.includes(object);
+    }
+    
+    /**
+     * Drop destroyed objects from the selection and redraw it (e.g. after undo/redo)
+     */
+    refreshSelection() {
+        this.select(this.selectedObjects.filter(obj => obj.scene));
+    }
+    
+    /**
+     * Show per-object editor controls for a single selection, or one combined
+     * bounding box with its own handles and delete button for a multi-selection
+     */
+    updateSelectionVisuals() {
+        const isMultiple = this.selectedObjects.length > 1;
+        this.selectedObjects.forEach(obj => obj.setSelected(!isMultiple));
         
-        // Deselect current object if there is one
-        if (this.selectedObject) {
-            this.selectedObject.setSelected(false);
-            this.selectedObject = null;
+        if (!this.selectionGraphics) {
+            this.selectionGraphics = this.scene.add.graphics();
+            this.selectionGraphics.setDepth(900); // Above level objects, below the minimap
+            
+            this.groupDeleteButton = this.scene.add.text(0, 0, 'X', {
+                fontSize: '16px',
+                color: '#ff0000'
+            }).setOrigin(0.5);
+            this.groupDeleteButton.setDepth(900);
         }
         
-        this.isDraggingHandle = false;
-        this.dragStartPos = null;
+        this.selectionGraphics.clear();
+        this.groupDeleteButton.visible = isMultiple;
+        
+        if (!isMultiple) return;
+        
+        const bounds = this.getSelectionBounds();
+        
+        this.selectionGraphics.lineStyle(1, 0xffff00, 1);
+        this.selectionGraphics.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+        
+        this.selectionGraphics.fillStyle(0xffff00, 1);
+        this.getGroupHandlePositions(bounds).forEach(([x, y]) => {
+            this.selectionGraphics.fillRect(x - HANDLE_SIZE / 2, y - HANDLE_SIZE / 2, HANDLE_SIZE, HANDLE_SIZE);
+        });
+        
+        this.groupDeleteButton.setPosition(bounds.centerX, bounds.y - HANDLE_SIZE);
+    }
+    
+    /**
+     * Get the bounds of an object's body, without its editor controls
+     * @param {Phaser.GameObjects.GameObject} obj - The object
+     * @returns {Phaser.Geom.Rectangle} The object's bounds in world space
+     */
+    getObjectBounds(obj) {
+        if (obj.rectangle) {
+            const width = obj.rectangle.width;
+            const height = obj.rectangle.height;
+            return new Phaser.Geom.Rectangle(obj.x - width / 2, obj.y - height / 2, width, height);
+        }
+        return obj.getBounds();
+    }
+    
+    /**
+     * Get the combined bounding box of all selected objects
+     * @returns {Phaser.Geom.Rectangle} The combined bounds
+     */
+    getSelectionBounds() {
+        return this.selectedObjects
+            .map(obj => this.getObjectBounds(obj))
+            .reduce((union, bounds) => Phaser.Geom.Rectangle.Union(union, bounds));
+    }
+    
+    /**
+     * Corner positions in the same order as the objects' resize handles
+     * (top-left, top-right, bottom-left, bottom-right)
+     */
+    getGroupHandlePositions(bounds) {
+        return [
+            [bounds.left, bounds.top], [bounds.right, bounds.top],
+            [bounds.left, bounds.bottom], [bounds.right, bounds.bottom]
+        ];
+    }
+    
+    /**
+     * Find the combined bounding box handle under a world point
+     * @returns {number} The corner index, or -1 if no handle was hit
+     */
+    getGroupHandleAt(worldPoint) {
+        const bounds = this.getSelectionBounds();
+        return this.getGroupHandlePositions(bounds).findIndex(([x, y]) => {
+            return Math.abs(worldPoint.x - x) <= HANDLE_SIZE / 2 && Math.abs(worldPoint.y - y) <= HANDLE_SIZE / 2;
+        });
+    }
+    
+    /**
+     * Scale every selected object relative to the combined bounding box,
+     * keeping the corner opposite the dragged handle fixed
+     * @param {Object} worldPoint - The current pointer position in world space
+     * @param {boolean} snap - Whether to snap the dragged corner to the grid and nearby objects
+     */
+    resizeGroup(worldPoint, snap) {
+        const bounds = this.groupStartBounds;
+        const corner = this.draggingCornerIndex;
+        const draggedLeft = corner === 0 || corner === 2;
+        const draggedTop = corner === 0 || corner === 1;
+        
+        let deltaX = worldPoint.x - this.dragStartPos.x;
+        let deltaY = worldPoint.y - this.dragStartPos.y;
+        
+        if (snap) {
+            const [cornerX, cornerY] = this.getGroupHandlePositions(bounds)[corner];
+            const snapped = this.scene.snapManager.snapEdges(this.selectedObjects, cornerX + deltaX, cornerY + deltaY);
+            deltaX = snapped.x - cornerX;
+            deltaY = snapped.y - cornerY;
+        }
+        
+        let scaleX = (bounds.width + (draggedLeft ? -deltaX : deltaX)) / bounds.width;
+        let scaleY = (bounds.height + (draggedTop ? -deltaY : deltaY)) / bounds.height;
+        
+        // Don't let any member shrink below the minimum object size
+        const sizedData = this.gestureStartData.filter(data => data.width !== undefined);
+        scaleX = Math.max(scaleX, ...sizedData.map(data => MIN_OBJECT_SIZE / data.width), 0.1);
+        scaleY = Math.max(scaleY, ...sizedData.map(data => MIN_OBJECT_SIZE / data.height), 0.1);
+        
+        const anchorX = draggedLeft ? bounds.right : bounds.left;
+        const anchorY = draggedTop ? bounds.bottom : bounds.top;
+        
+        this.selectedObjects.forEach((obj, index) => {
+            const startData = this.gestureStartData[index];
+            const data = {
+                ...startData,
+                x: anchorX + (startData.x - anchorX) * scaleX,
+                y: anchorY + (startData.y - anchorY) * scaleY
+            };
+            if (startData.width !== undefined) {
+                data.width = startData.width * scaleX;
+                data.height = startData.height * scaleY;
+            }
+            obj.applyData(data);
+        });
+    }
+    
+    /**
+     * Move the dragged waypoint of the selected moving platform. When snapping, the
+     * platform's outline at the waypoint lines up like a dragged object would.
+     * @param {Object} worldPoint - The current pointer position in world space
+     * @param {boolean} snap - Whether to snap to the grid and nearby objects
+     */
+    moveWaypoint(worldPoint, snap) {
+        const platform = this.selectedObjects[0];
+        const startData = this.gestureStartData[0];
+        const startWaypoint = startData.waypoints[this.draggingWaypointIndex];
+        let x = startData.x + startWaypoint.x + worldPoint.x - this.dragStartPos.x;
+        let y = startData.y + startWaypoint.y + worldPoint.y - this.dragStartPos.y;
+        
+        if (snap) {
+            const width = platform.rectangle.width;
+            const height = platform.rectangle.height;
+            const bounds = new Phaser.Geom.Rectangle(x - width / 2, y - height / 2, width, height);
+            const offset = this.scene.snapManager.snapBounds(bounds, [platform]);
+            x += offset.x;
+            y += offset.y;
+        }
+        
+        platform.moveWaypoint(this.draggingWaypointIndex, x, y);
+    }
+    
+    getMarqueeRect(worldPoint) {
+        return new Phaser.Geom.Rectangle(
+            Math.min(this.marqueeStart.x, worldPoint.x),
+            Math.min(this.marqueeStart.y, worldPoint.y),
+            Math.abs(worldPoint.x - this.marqueeStart.x),
+            Math.abs(worldPoint.y - this.marqueeStart.y)
+        );
+    }
+    
+    drawMarquee(rect) {
+        if (!this.marqueeGraphics) {
+            this.marqueeGraphics = this.scene.add.graphics();
+            this.marqueeGraphics.setDepth(900);
+        }
+        
+        this.marqueeGraphics.clear();
+        this.marqueeGraphics.fillStyle(0xffff00, 0.15);
+        this.marqueeGraphics.fillRect(rect.x, rect.y, rect.width, rect.height);
+        this.marqueeGraphics.lineStyle(1, 0xffff00, 0.8);
+        this.marqueeGraphics.strokeRect(rect.x, rect.y, rect.width, rect.height);
+        
+        this.lastMarqueeRect = rect;
+    }
+    
+    /**
+     * Select every object touched by the rubber band
+     */
+    finishMarquee() {
+        const rect = this.lastMarqueeRect;
+        this.lastMarqueeRect = null;
+        
+        if (!rect || (rect.width < MIN_MARQUEE_SIZE && rect.height < MIN_MARQUEE_SIZE)) return;
+        
+        const touched = this.scene.getSelectableObjects().filter(obj => {
+            return Phaser.Geom.Intersects.RectangleToRectangle(rect, this.getObjectBounds(obj));
+        });
+        
+        this.select(this.marqueeAdditive ? [...this.selectedObjects, ...touched] : touched);
     }
 }
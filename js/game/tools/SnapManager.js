@@ -0,0 +1,218 @@
+const DEFAULT_GRID_SIZE = 20;
+const GUIDE_THRESHOLD = 8; // Screen pixels within which edges and centers snap to other objects
+const GUIDE_COLOR = 0xff00ff;
+
+/**
+ * Snaps object positions and edges to the editor grid and to the edges and
+ * centers of nearby level objects (smart guides), and draws both the
+ * grid overlay and the guide lines
+ */
+export class SnapManager {
+    constructor(scene) {
+        this.scene = scene;
+        this.enabled = true;
+        this.gridSize = DEFAULT_GRID_SIZE;
+        this.gridGraphics = null;
+        this.guideGraphics = null;
+    }
+    
+    /**
+     * Create the grid overlay and guide graphics
+     */
+    create() {
+        this.gridGraphics = this.scene.add.graphics();
+        this.gridGraphics.setDepth(-90); // Above the sky and clouds, below level objects
+        
+        this.guideGraphics = this.scene.add.graphics();
+        this.guideGraphics.setDepth(900); // Same layer as the selection box
+        
+        this.drawGrid();
+    }
+    
+    /**
+     * Update the snap settings and redraw the grid
+     * @param {Object} settings - The settings to change
+     * @param {boolean} [settings.enabled] - Whether snapping is on
+     * @param {number} [settings.gridSize] - The grid cell size in pixels
+     */
+    setSettings({ enabled, gridSize }) {
+        if (enabled !== undefined) {
+            this.enabled = enabled;
+        }
+        if (gridSize !== undefined && gridSize > 0) {
+            this.gridSize = gridSize;
+        }
+        this.drawGrid();
+    }
+    
+    /**
+     * Draw the grid over the whole level (hidden when snapping is off or in preview mode)
+     */
+    drawGrid() {
+        if (!this.gridGraphics) return;
+        
+        this.gridGraphics.clear();
+        if (!this.enabled || this.scene.isPreviewMode) return;
+        
+        const width = this.scene.levelWidth;
+        const height = this.scene.levelHeight;
+        
+        this.gridGraphics.lineStyle(1, 0xffffff, 0.15);
+        for (let x = 0; x <= width; x += this.gridSize) {
+            this.gridGraphics.lineBetween(x, 0, x, height);
+        }
+        for (let y = 0; y <= height; y += this.gridSize) {
+            this.gridGraphics.lineBetween(0, y, width, y);
+        }
+    }
+    
+    /**
+     * Check whether snapping applies to the pointer's current gesture (holding Alt turns it off)
+     * @param {Phaser.Input.Pointer} pointer - The pointer driving the gesture
+     * @returns {boolean} Whether to snap
+     */
+    isActiveFor(pointer) {
+        return this.enabled && !(pointer && pointer.event && pointer.event.altKey);
+    }
+    
+    snapToGrid(value) {
+        return Math.round(value / this.gridSize) * this.gridSize;
+    }
+    
+    /**
+     * Get the body bounds of every level object that can be snapped to (not the player)
+     * @param {Phaser.GameObjects.GameObject[]} excluded - Objects to leave out (the ones being moved)
+     * @returns {Phaser.Geom.Rectangle[]} The bounds of the snap targets
+     */
+    getTargetBounds(excluded) {
+        return [
+            ...this.scene.blocks.getChildren(),
+            ...this.scene.triggers.getChildren(),
+            ...this.scene.platforms.getChildren(),
+            ...this.scene.hazards.getChildren(),
+            ...this.scene.checkpoints.getChildren(),
+            ...this.scene.collectibles.getChildren()
+        ]
+            .filter(obj => !excluded.includes(obj))
+            .map(obj => {
+                const width = obj.rectangle.width;
+                const height = obj.rectangle.height;
+                return new Phaser.Geom.Rectangle(obj.x - width / 2, obj.y - height / 2, width, height);
+            });
+    }
+    
+    /**
+     * Find the closest target line to any of the given values along one axis
+     * @param {number[]} values - Candidate positions (edges and center) of the moving box
+     * @param {string} axis - 'x' or 'y'
+     * @param {Phaser.Geom.Rectangle[]} targets - The bounds to snap to
+     * @returns {{offset: number, position: number, target: Phaser.Geom.Rectangle}|null} The best match
+     */
+    findGuide(values, axis, targets) {
+        const threshold = GUIDE_THRESHOLD / this.scene.cameras.main.zoom;
+        let best = null;
+        
+        targets.forEach(target => {
+            const lines = axis === 'x'
+                ? [target.left, target.centerX, target.right]
+                : [target.top, target.centerY, target.bottom];
+            
+            lines.forEach(line => {
+                values.forEach(value => {
+                    const offset = line - value;
+                    if (Math.abs(offset) <= threshold && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+                        best = { offset, position: line, target };
+                    }
+                });
+            });
+        });
+        
+        return best;
+    }
+    
+    /**
+     * Snap a box being moved, preferring guides to nearby objects over the grid
+     * @param {Phaser.Geom.Rectangle} bounds - The box at its unsnapped position
+     * @param {Phaser.GameObjects.GameObject[]} excluded - The objects being moved
+     * @returns {{x: number, y: number}} The offset to add to the box's position
+     */
+    snapBounds(bounds, excluded) {
+        const targets = this.getTargetBounds(excluded);
+        const guideX = this.findGuide([bounds.left, bounds.centerX, bounds.right], 'x', targets);
+        const guideY = this.findGuide([bounds.top, bounds.centerY, bounds.bottom], 'y', targets);
+        
+        const offset = {
+            x: guideX ? guideX.offset : this.snapToGrid(bounds.left) - bounds.left,
+            y: guideY ? guideY.offset : this.snapToGrid(bounds.top) - bounds.top
+        };
+        
+        const snapped = new Phaser.Geom.Rectangle(bounds.x + offset.x, bounds.y + offset.y, bounds.width, bounds.height);
+        this.drawGuides(snapped, guideX, guideY);
+        
+        return offset;
+    }
+    
+    /**
+     * Snap the edges meeting at a dragged corner, preferring guides to nearby objects over the grid
+     * @param {Phaser.GameObjects.GameObject[]} excluded - The objects being resized
+     * @param {number} x - The unsnapped position of the dragged vertical edge
+     * @param {number} y - The unsnapped position of the dragged horizontal edge
+     * @returns {{x: number, y: number}} The snapped edge positions
+     */
+    snapEdges(excluded, x, y) {
+        const targets = this.getTargetBounds(excluded);
+        const guideX = this.findGuide([x], 'x', targets);
+        const guideY = this.findGuide([y], 'y', targets);
+        
+        const snapped = {
+            x: guideX ? guideX.position : this.snapToGrid(x),
+            y: guideY ? guideY.position : this.snapToGrid(y)
+        };
+        
+        this.drawGuides(new Phaser.Geom.Rectangle(snapped.x, snapped.y, 0, 0), guideX, guideY);
+        
+        return snapped;
+    }
+    
+    /**
+     * Snap a newly placed level object into alignment
+     * @param {Phaser.GameObjects.Container} object - The placed object
+     * @param {Phaser.Input.Pointer} pointer - The pointer that placed it
+     */
+    snapPlacement(object, pointer) {
+        if (!this.isActiveFor(pointer)) return;
+        
+        const width = object.rectangle.width;
+        const height = object.rectangle.height;
+        const bounds = new Phaser.Geom.Rectangle(object.x - width / 2, object.y - height / 2, width, height);
+        
+        const offset = this.snapBounds(bounds, [object]);
+        object.setPosition(object.x + offset.x, object.y + offset.y);
+        this.clearGuides();
+    }
+    
+    /**
+     * Draw the guide lines that produced a snap, spanning the moving box and its target
+     */
+    drawGuides(bounds, guideX, guideY) {
+        this.clearGuides();
+        this.guideGraphics.lineStyle(1, GUIDE_COLOR, 1);
+        
+        if (guideX) {
+            const top = Math.min(bounds.top, guideX.target.top);
+            const bottom = Math.max(bounds.bottom, guideX.target.bottom);
+            this.guideGraphics.lineBetween(guideX.position, top, guideX.position, bottom);
+        }
+        if (guideY) {
+            const left = Math.min(bounds.left, guideY.target.left);
+            const right = Math.max(bounds.right, guideY.target.right);
+            this.guideGraphics.lineBetween(left, guideY.position, right, guideY.position);
+        }
+    }
+    
+    clearGuides() {
+        if (this.guideGraphics) {
+            this.guideGraphics.clear();
+        }
+    }
+}
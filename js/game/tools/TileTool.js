@@ -0,0 +1,210 @@
+import { Tool } from './Tool.js';
+import { PaintTilesCommand } from '../commands/PaintTilesCommand.js';
+import { TILE_SIZE } from '../gameObjects/TileLayer.js';
+
+// Most cells a single fill may change, so filling the open sky of a huge level can't freeze the editor
+const FILL_LIMIT = 5000;
+
+/**
+ * Paints the tile layer. One class serves all four tile tools, by mode:
+ * 'brush' paints the cells the pointer drags over, 'eraser' clears them,
+ * 'fill' paints the connected area of same-kind cells that was clicked and
+ * 'rect' paints the rectangle of cells that was dragged out.
+ * The kind of tile painted is the one chosen with EditorScene.setTileKind.
+ */
+export class TileTool extends Tool {
+    /**
+     * @param {Phaser.Scene} scene - The editor scene
+     * @param {string} mode - 'brush', 'eraser', 'fill' or 'rect'
+     */
+    constructor(scene, mode) {
+        super(scene);
+        this.mode = mode;
+        this.changes = null; // Cells changed by the current gesture, by "column,row"
+        this.lastCell = null; // Cell the brush or eraser was last over
+        this.rectStart = null; // Cell the rectangle was started from
+        this.previewGraphics = null; // Outline of the rectangle being dragged out
+    }
+    
+    onPointerDown(pointer) {
+        if (!this.active) return;
+        
+        // A gesture whose pointer was released outside the game ends here
+        this.finishGesture();
+        
+        const cell = this.getCell(pointer);
+        if (this.mode === 'fill') {
+            this.fill(cell);
+            return;
+        }
+        
+        this.changes = new Map();
+        if (this.mode === 'rect') {
+            this.rectStart = cell;
+            this.drawRectPreview(cell);
+        } else {
+            this.lastCell = cell;
+            this.paint([cell]);
+        }
+    }
+    
+    onPointerMove(pointer) {
+        if (!this.active || !this.changes) return;
+        
+        const cell = this.getCell(pointer);
+        if (this.mode === 'rect') {
+            this.drawRectPreview(cell);
+        } else {
+            // Paint the cells between pointer events too, so fast strokes have no gaps
+            this.paint(this.getLineCells(this.lastCell, cell));
+            this.lastCell = cell;
+        }
+    }
+    
+    onPointerUp(pointer) {
+        if (!this.active || !this.changes) return;
+        
+        if (this.mode === 'rect') {
+            this.paint(this.getRectCells(this.rectStart, this.getCell(pointer)));
+        }
+        this.finishGesture();
+    }
+    
+    deactivate() {
+        // Keep what an unfinished stroke has painted
+        this.finishGesture();
+        super.deactivate();
+    }
+    
+    /**
+     * Get the tile cell under the pointer
+     * @param {Phaser.Input.Pointer} pointer - The pointer
+     * @returns {{col: number, row: number}} The cell
+     */
+    getCell(pointer) {
+        const worldPoint = this.scene.cameras.main.getWorldPoint(pointer.x, pointer.y);
+        return this.scene.tileLayer.worldToCell(worldPoint.x, worldPoint.y);
+    }
+    
+    /**
+     * @returns {number} The kind of tile this tool paints (0 for the eraser)
+     */
+    getPaintKind() {
+        return this.mode === 'eraser' ? 0 : this.scene.tileKind;
+    }
+    
+    /**
+     * Paint cells as part of the current gesture, remembering what they were before it
+     * @param {Array<{col: number, row: number}>} cells - Cells to paint; ones outside the level are skipped
+     */
+    paint(cells) {
+        const layer = this.scene.tileLayer;
+        const kind = this.getPaintKind();
+        const changed = cells.filter(({ col, row }) => layer.isInside(col, row) && layer.getTile(col, row) !== kind);
+        if (changed.length === 0) return;
+        
+        changed.forEach(({ col, row }) => {
+            const key = `${col},${row}`;
+            const before = this.changes.has(key) ? this.changes.get(key).before : layer.getTile(col, row);
+            this.changes.set(key, { col, row, before, after: kind });
+        });
+        layer.setTiles(changed.map(({ col, row }) => ({ col, row, kind })));
+    }
+    
+    /**
+     * Record the current gesture as a single undo step and reset the tool
+     */
+    finishGesture() {
+        if (this.changes) {
+            // A stroke can paint over a cell and then back again
+            const changes = [...this.changes.values()].filter(change => change.before !== change.after);
+            if (changes.length > 0) {
+                this.scene.history.record(new PaintTilesCommand(this.scene, changes));
+            }
+        }
+        
+        this.changes = null;
+        this.lastCell = null;
+        this.rectStart = null;
+        if (this.previewGraphics) {
+            this.previewGraphics.destroy();
+            this.previewGraphics = null;
+        }
+    }
+    
+    /**
+     * Paint the connected area of same-kind cells around a cell
+     * @param {{col: number, row: number}} cell - The clicked cell
+     */
+    fill(cell) {
+        const layer = this.scene.tileLayer;
+        const kind = this.getPaintKind();
+        if (!layer.isInside(cell.col, cell.row) || layer.getTile(cell.col, cell.row) === kind) return;
+        
+        const area = layer.findArea(cell.col, cell.row, FILL_LIMIT);
+        if (!area) {
+            console.warn(`Fill skipped: the area is larger than ${FILL_LIMIT} tiles`);
+            return;
+        }
+        
+        const changes = area.map(({ col, row }) => ({ col, row, before: layer.getTile(col, row), after: kind }));
+        this.scene.history.execute(new PaintTilesCommand(this.scene, changes));
+    }
+    
+    /**
+     * Get the cells on a straight line between two cells, both included
+     * @param {{col: number, row: number}} from - First cell
+     * @param {{col: number, row: number}} to - Last cell
+     * @returns {Array<{col: number, row: number}>} The cells
+     */
+    getLineCells(from, to) {
+        const steps = Math.max(Math.abs(to.col - from.col), Math.abs(to.row - from.row));
+        const cells = [];
+        for (let i = 0; i <= steps; i++) {
+            const t = steps === 0 ? 0 : i / steps;
+            cells.push({
+                col: Math.round(from.col + (to.col - from.col) * t),
+                row: Math.round(from.row + (to.row - from.row) * t)
+            });
+        }
+        return cells;
+    }
+    
+    /**
+     * Get every cell of the rectangle with two cells as opposite corners
+     * @param {{col: number, row: number}} a - One corner
+     * @param {{col: number, row: number}} b - The opposite corner
+     * @returns {Array<{col: number, row: number}>} The cells
+     */
+    getRectCells(a, b) {
+        const cells = [];
+        for (let row = Math.min(a.row, b.row); row <= Math.max(a.row, b.row); row++) {
+            for (let col = Math.min(a.col, b.col); col <= Math.max(a.col, b.col); col++) {
+                cells.push({ col, row });
+            }
+        }
+        return cells;
+    }
+    
+    /**
+     * Outline the rectangle from the start cell to the cell under the pointer
+     * @param {{col: number, row: number}} cell - The cell under the pointer
+     */
+    drawRectPreview(cell) {
+        if (!this.previewGraphics) {
+            this.previewGraphics = this.scene.add.graphics();
+            this.previewGraphics.setDepth(900); // Same layer as the selection box
+        }
+        
+        const left = Math.min(this.rectStart.col, cell.col) * TILE_SIZE;
+        const top = Math.min(this.rectStart.row, cell.row) * TILE_SIZE;
+        const width = (Math.abs(cell.col - this.rectStart.col) + 1) * TILE_SIZE;
+        const height = (Math.abs(cell.row - this.rectStart.row) + 1) * TILE_SIZE;
+        
+        this.previewGraphics.clear();
+        this.previewGraphics.fillStyle(0xffffff, 0.2);
+        this.previewGraphics.fillRect(left, top, width, height);
+        this.previewGraphics.lineStyle(2, 0xffffff, 0.8);
+        this.previewGraphics.strokeRect(left, top, width, height);
+    }
+}
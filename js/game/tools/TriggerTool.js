@@ -1,5 +1,5 @@
 import { Tool } from './Tool.js';
-import { LevelEndTrigger } from '../gameObjects/LevelEndTrigger.js';
+import { CreateObjectCommand } from '../commands/CreateObjectCommand.js';
 
 export class TriggerTool extends Tool {
     constructor(scene) {
@@ -10,22 +10,16 @@ export class TriggerTool extends Tool {
         if (!this.active) return;
         
         const worldPoint = this.scene.cameras.main.getWorldPoint(pointer.x, pointer.y);
-        const trigger = new LevelEndTrigger(this.scene, worldPoint.x, worldPoint.y);
-        this.scene.triggers.add(trigger);
+        const trigger = this.scene.createObject('trigger', { x: worldPoint.x, y: worldPoint.y });
+        this.scene.snapManager.snapPlacement(trigger, pointer);
+        this.scene.history.record(new CreateObjectCommand(this.scene, 'trigger', trigger.serialize()));
         
         // Switch to selector tool after placing a trigger
         this.scene.setTool('selector');
         
         // Select the newly created trigger
         if (this.scene.tools.selector) {
-            // Deselect any previously selected object
-            if (this.scene.tools.selector.selectedObject) {
-                this.scene.tools.selector.selectedObject.setSelected(false);
-            }
-            
-            // Select the new trigger
-            this.scene.tools.selector.selectedObject = trigger;
-            trigger.setSelected(true);
+            this.scene.tools.selector.select([trigger]);
         }
     }
 }
@@ -1,6 +1,21 @@
 import { NodeEditor } from 'rete';
 import { Schemes } from './types';
 import { Player, PlayerState, NodeExecutionContext, NodeInputs, NodeResult } from './types';
+import { NodeType } from './nodes/NodeTypes';
+
+// Event entry nodes, run when something happens rather than every frame
+const EVENT_TYPES = [
+  NodeType.ON_LANDED,
+  NodeType.ON_JUMP_PRESSED,
+  NodeType.ON_TOUCH_BLOCK,
+  NodeType.ON_ENTER_TRIGGER
+];
+
+// Event fired when the player starts touching each kind of object (see notifyContact)
+const CONTACT_EVENTS: Record<string, NodeType> = {
+  block: NodeType.ON_TOUCH_BLOCK,
+  trigger: NodeType.ON_ENTER_TRIGGER
+};
 
 /**
  * PlayerLogicProcessor handles the execution of the Rete node graph
@@ -15,6 +30,13 @@ export class PlayerLogicProcessor {
   private player: Player;
   private updateEntryPoints: any[] = [];
   private readyEntryPoints: any[] = [];
+  private eventEntryPoints: Map<string, any[]> = new Map();
+  private pendingEvents: Set<string> = new Set(); // Events to run at the start of the next frame
+  private stepContacts: Map<string, Set<any>> = new Map(); // Objects touched in the current physics step, by event
+  private lastStepContacts: Map<string, Set<any>> = new Map(); // Objects touched in the previous physics step, by event
+  private wasOnGround: boolean = true;
+  private wasJumpPressed: boolean = false;
+  private elapsedTime: number = 0; // Seconds since the preview started
   private nodeResultCache: Map<string, NodeResult> = new Map();
   private debugMode: boolean = false;
   private lastExecutionTime: number = 0;
@@ -36,6 +58,11 @@ export class PlayerLogicProcessor {
       velocity: { x: 0, y: 0 }
     };
     
+    // Contacts are compared step by step, since a frame can have any number of physics steps
+    if (this.player.scene) {
+      this.player.scene.physics.world.on('worldstep', this.handleWorldStep, this);
+    }
+    
     // Find entry points and initialize
     this.findEntryPoints();
     this.processReadyNodes();
@@ -49,6 +76,7 @@ export class PlayerLogicProcessor {
   findEntryPoints(): void {
     this.updateEntryPoints = [];
     this.readyEntryPoints = [];
+    this.eventEntryPoints = new Map(EVENT_TYPES.map(type => [type, []]));
     
     try {
       // Get all nodes from the editor
@@ -59,16 +87,19 @@ export class PlayerLogicProcessor {
         return;
       }
       
-      // Find OnUpdate and OnReady nodes
+      // Find OnUpdate, OnReady and event nodes by their static TYPE, which survives minification
       for (const node of nodes) {
         if (!node || !node.constructor) continue;
         
-        if (node.constructor.name === 'OnUpdateNode') {
+        const type = (node.constructor as any).TYPE;
+        if (type === NodeType.ON_UPDATE || node.constructor.name === 'OnUpdateNode') {
           this.updateEntryPoints.push(node);
           // Found OnUpdate node
-        } else if (node.constructor.name === 'OnReadyNode') {
+        } else if (type === NodeType.ON_READY || node.constructor.name === 'OnReadyNode') {
           this.readyEntryPoints.push(node);
           // Found OnReady node
+        } else if (this.eventEntryPoints.has(type)) {
+          this.eventEntryPoints.get(type)!.push(node);
         }
       }
       
@@ -89,8 +120,8 @@ export class PlayerLogicProcessor {
    */
   async processReadyNodes(): Promise<void> {
     try {
-      // Create context with player reference
-      const context: NodeExecutionContext = { player: this.player };
+      const context = this.createContext(0);
+      this.nodeResultCache.clear();
       
       // Process each OnReady entry point
       if (this.readyEntryPoints.length === 0) {
@@ -133,19 +164,27 @@ export class PlayerLogicProcessor {
       // Store current player state for delta calculations
       this.updatePlayerState();
       
-      // Create context with player reference, delta time, and input state
-      const context: NodeExecutionContext = { 
-        player: this.player,
-        deltaTime: deltaTime,
-        time: Date.now(),
-        previousState: this.previousPlayerState,
-        isOnGround: this._isPlayerOnGround,
-        gravity: 600, // Default gravity value for the game
-        inputState: this.player.inputState || { left: false, right: false, jump: false }
-      };
+      this.elapsedTime += deltaTime;
+      const context = this.createContext(deltaTime);
       
       console.log('PROCESSOR: Ground state set to:', this._isPlayerOnGround);
       
+      // Landing and pressing jump are noticed as changes since the last frame
+      if (this._isPlayerOnGround && !this.wasOnGround) {
+        this.pendingEvents.add(NodeType.ON_LANDED);
+      }
+      this.wasOnGround = this._isPlayerOnGround;
+      
+      const isJumpPressed = !!(context.inputState && context.inputState.jump);
+      if (isJumpPressed && !this.wasJumpPressed) {
+        this.pendingEvents.add(NodeType.ON_JUMP_PRESSED);
+      }
+      this.wasJumpPressed = isJumpPressed;
+      
+      // Events that happened since the last frame run before OnUpdate
+      await this.processPendingEvents(context);
+      this.nodeResultCache.clear();
+      
       // Debug the entry points we have
       console.log('PROCESSOR: Update entry points:', this.updateEntryPoints.length, 
                  'Entry point IDs:', this.updateEntryPoints.map(n => n.id).join(', '));
@@ -178,6 +217,85 @@ export class PlayerLogicProcessor {
     }
   }
   
+  /**
+   * Build the context nodes are run with
+   * @param deltaTime - Time elapsed since last update (in seconds)
+   */
+  createContext(deltaTime: number): NodeExecutionContext {
+    return {
+      player: this.player,
+      deltaTime: deltaTime,
+      elapsedTime: this.elapsedTime,
+      time: Date.now(),
+      previousState: this.previousPlayerState,
+      isOnGround: this._isPlayerOnGround,
+      gravity: 600, // Default gravity value for the game
+      inputState: this.player.inputState || { left: false, right: false, jump: false }
+    };
+  }
+  
+  /**
+   * Run the event nodes of every event waiting since the last frame. Each event
+   * is a separate run of the graph, so its nodes are worked out afresh.
+   * @param context - The execution context of this frame
+   */
+  async processPendingEvents(context: NodeExecutionContext): Promise<void> {
+    const events = [...this.pendingEvents];
+    this.pendingEvents.clear();
+    
+    for (const eventType of events) {
+      for (const eventNode of this.eventEntryPoints.get(eventType) || []) {
+        this.nodeResultCache.clear();
+        await this.processNodeDirectly(eventNode, context);
+      }
+    }
+  }
+  
+  /**
+   * Note that the player touched an object in the current physics step. Called from
+   * the scene's collision callbacks, which run every step the contact lasts; the
+   * event fires once, in the step the contact starts.
+   * @param kind - 'block' for blocks, moving platforms and tiles, 'trigger' for level end triggers
+   * @param object - The object touched
+   */
+  notifyContact(kind: string, object: any): void {
+    const eventType = CONTACT_EVENTS[kind];
+    if (!eventType) return;
+    
+    if (!this.stepContacts.has(eventType)) {
+      this.stepContacts.set(eventType, new Set());
+    }
+    this.stepContacts.get(eventType)!.add(object);
+  }
+  
+  /**
+   * After each physics step, fire the contact events of objects that weren't
+   * touched in the step before
+   */
+  handleWorldStep(): void {
+    this.stepContacts.forEach((objects, eventType) => {
+      const previous = this.lastStepContacts.get(eventType);
+      for (const object of objects) {
+        if (!previous || !previous.has(object)) {
+          this.pendingEvents.add(eventType);
+          break;
+        }
+      }
+    });
+    
+    this.lastStepContacts = this.stepContacts;
+    this.stepContacts = new Map();
+  }
+  
+  /**
+   * Stop listening to the physics world, when the player or the processor is replaced
+   */
+  destroy(): void {
+    if (this.player.scene) {
+      this.player.scene.physics.world.off('worldstep', this.handleWorldStep, this);
+    }
+  }
+  
   /**
    * Process a node directly by calling its data method
    * @param node - The node to process
@@ -229,7 +347,7 @@ export class PlayerLogicProcessor {
       console.log('FULL NODE STRUCTURE:', nodeStructure);
       
       // Get input values for this node
-      const inputs = await this.getNodeInputs(node);
+      const inputs = await this.getNodeInputs(node, context);
       
       // Call the node's data method directly
       if (typeof node.data === 'function') {
@@ -332,12 +450,21 @@ export class PlayerLogicProcessor {
         if (targetNode) {
           console.log(`Processing connected node: ${conn.target}, type: ${targetNode.constructor.name}`);
           
+          // Each node runs at most once per frame, which also stops exec loops
+          if (this.nodeResultCache.has(targetNode.id)) {
+            continue;
+          }
+          
           // Process the target node
-          await this.processNodeDirectly(targetNode, context);
+          const result = await this.processNodeDirectly(targetNode, context);
           
-          // Continue execution flow through this node
-          if (targetNode.outputs && targetNode.outputs.execOut) {
-            await this.followExecutionFlow(targetNode, 'execOut', context);
+          // The node may have changed the player, so values read before it are stale
+          this.forgetValueResults();
+          
+          // Continue execution flow through the exec output the node chose
+          const nextOutput = this.getNextExecOutput(targetNode, result);
+          if (nextOutput) {
+            await this.followExecutionFlow(targetNode, nextOutput, context);
           }
           
           // Use structural type checking to identify TransformNode regardless of minification
@@ -360,12 +487,46 @@ export class PlayerLogicProcessor {
     }
   }
   
+  /**
+   * Forget the cached results of value nodes (sensors, math and other nodes without
+   * exec sockets), so nodes run later in the exec chain work them out again from the
+   * player as it is now. Exec nodes stay cached, as each runs at most once per frame.
+   */
+  forgetValueResults(): void {
+    for (const nodeId of [...this.nodeResultCache.keys()]) {
+      const node: any = this.editor.getNode(nodeId);
+      const isExecNode = !!(node && (node.inputs?.execIn || node.outputs?.execOut));
+      if (!isExecNode) {
+        this.nodeResultCache.delete(nodeId);
+      }
+    }
+  }
+  
+  /**
+   * Get the exec output execution continues through after a node has run.
+   * Nodes with several exec outputs (e.g. Branch) name the one to follow in their
+   * result's execOutput; other nodes continue through execOut if they have one.
+   * @param node - The node that ran
+   * @param result - What the node's data method returned
+   * @returns The output name, or null if execution stops at this node
+   */
+  getNextExecOutput(node: any, result: NodeResult | null): string | null {
+    if (!node.outputs) return null;
+    
+    if (result && typeof result.execOutput === 'string') {
+      return node.outputs[result.execOutput] ? result.execOutput : null;
+    }
+    
+    return node.outputs.execOut ? 'execOut' : null;
+  }
+  
   /**
    * Get all input values for a node by processing connected nodes
    * @param node - The node to get inputs for
+   * @param context - The execution context, passed on to the connected nodes
    * @returns The inputs object with values from connected nodes
    */
-  async getNodeInputs(node: any): Promise<NodeInputs> {
+  async getNodeInputs(node: any, context: NodeExecutionContext): Promise<NodeInputs> {
     try {
       const inputs: NodeInputs = {};
       
@@ -401,12 +562,7 @@ export class PlayerLogicProcessor {
             
             if (sourceNode) {
               // Process the source node to get its output
-              const sourceOutput = await this.processNodeDirectly(sourceNode, { 
-                player: this.player,
-                inputState: this.player.inputState,
-                isOnGround: this._isPlayerOnGround,
-                gravity: 600
-              });
+              const sourceOutput = await this.processNodeDirectly(sourceNode, context);
               
               if (sourceOutput && sourceOutput.value !== undefined) {
                 inputs[inputName].push(sourceOutput.value);
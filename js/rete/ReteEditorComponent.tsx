@@ -1,22 +1,6 @@
 import { useRef, useEffect, useState } from 'react';
 import { createEditor } from './editor';
-import { saveScriptStateToStorage, loadScriptStateFromStorage } from '../utils/cookieManager';
-import { ClassicPreset } from 'rete';
-
-// Define a type for our custom Rete nodes that includes the properties we need
-// Define a type for node constructor that includes our TYPE field
-interface NodeConstructor {
-  new (...args: any[]): any;
-  TYPE?: string;
-  name: string;
-}
-
-type ReteNode = ClassicPreset.Node & {
-  id: string;
-  name: string;
-  serialize: () => any;
-  constructor: NodeConstructor;
-};
+import { saveScriptStateToStorage, loadScriptStateFromStorage } from '../utils/storage';
 
 interface ReteEditorComponentProps {
   // Optional props can be added here
@@ -28,6 +12,8 @@ export function ReteEditorComponent({ }: ReteEditorComponentProps) {
   const [editorCreated, setEditorCreated] = useState<boolean>(false);
   const initializingRef = useRef<boolean>(false);
   const [isVisible, setIsVisible] = useState<boolean>(false);
+  // Set while another graph is being loaded, so a half-loaded graph isn't auto-saved
+  const loadingStateRef = useRef<boolean>(false);
   
   // Function to check if the component is visible
   const checkVisibility = () => {
@@ -46,6 +32,28 @@ export function ReteEditorComponent({ }: ReteEditorComponentProps) {
     return isVisible;
   };
   
+  // Function to add select-all behavior to all number inputs in the editor
+  const addSelectAllBehaviorToInputs = () => {
+    if (!containerRef.current) return;
+    
+    // Find all number inputs within the editor
+    const inputs = containerRef.current.querySelectorAll('input[type="number"]');
+    
+    inputs.forEach(input => {
+      // Add focus handler to select all text
+      input.addEventListener('focus', () => {
+        (input as HTMLInputElement).select();
+      });
+      
+      // Also select when clicked
+      input.addEventListener('click', () => {
+        (input as HTMLInputElement).select();
+      });
+    });
+    
+    console.log(`Added select-all behavior to ${inputs.length} number inputs`);
+  };
+  
   // Set up visibility observer and handle resize events
   useEffect(() => {
     const checkAndUpdateVisibility = () => {
@@ -108,6 +116,35 @@ export function ReteEditorComponent({ }: ReteEditorComponentProps) {
     };
   }, []);
 
+  // Load a script imported as part of a project, or the script of a project that was opened,
+  // into the running editor (if the editor hasn't been created yet, it picks the script up
+  // from storage instead)
+  useEffect(() => {
+    const handleScriptImport = (event: Event) => {
+      const { state } = (event as CustomEvent).detail;
+      if (!editorRef.current || !editorRef.current.loadState) return;
+      
+      loadingStateRef.current = true;
+      editorRef.current.loadState(state)
+        .then(() => {
+          saveScriptStateToStorage(editorRef.current.getState());
+          setTimeout(addSelectAllBehaviorToInputs, 500);
+        })
+        .catch((error: unknown) => {
+          console.error('Error loading imported script:', error);
+        })
+        .finally(() => {
+          loadingStateRef.current = false;
+        });
+    };
+    
+    window.addEventListener('scriptimport', handleScriptImport);
+    
+    return () => {
+      window.removeEventListener('scriptimport', handleScriptImport);
+    };
+  }, []);
+
   // Initialize or reinitialize the editor when visibility changes
   useEffect(() => {
     // Don't do anything if not visible
@@ -134,8 +171,8 @@ export function ReteEditorComponent({ }: ReteEditorComponentProps) {
       
       console.log('Container ref is ready and visible, creating editor...');
       
-      // Try to load saved state
-      const savedState = loadScriptStateFromStorage();
+      // Try to load saved state (the editor is created once it has been read)
+      const savedStatePromise = loadScriptStateFromStorage();
       
       // Use a more robust approach with retries for mobile
       const initializeEditor = (retryCount = 0) => {
@@ -148,7 +185,9 @@ export function ReteEditorComponent({ }: ReteEditorComponentProps) {
         try {
           // Create editor
           if (containerRef.current) {
-            createEditor(containerRef.current, savedState)
+            const container = containerRef.current;
+            savedStatePromise
+              .then(savedState => createEditor(container, savedState))
               .then(editorScope => {
                 console.log('Rete editor created successfully');
                 // Store the editor instance in the ref
@@ -160,75 +199,21 @@ export function ReteEditorComponent({ }: ReteEditorComponentProps) {
                 window.reteEditor = editorScope.editor;
                 // @ts-ignore - Adding custom property to window
                 window.reteEngine = null; // Set to null as we're using the new PlayerLogicProcessor
+                // @ts-ignore - Adding custom property to window
+                window.reteEditorScope = editorScope; // Lets the project export read the current graph
                 
                 console.log('Rete editor exposed to window object for Phaser integration');
                 
                 // Set up auto-save for the editor state
             const autoSaveInterval = setInterval(() => {
-              if (editorRef.current && editorRef.current.editor) {
-                // Get the node type using the static TYPE property that survives minification
-                const getNodeTypeName = (node: any): string => {
-                  // First check for our static TYPE property
-                  if (node.constructor && node.constructor.TYPE) {
-                    return node.constructor.name; // Still return name for display purposes
-                  }
-                  // Fallback to constructor name
-                  if (node.constructor && node.constructor.name) {
-                    return node.constructor.name;
-                  }
-                  // Final fallback to node.name 
-                  return node.name || 'UnknownNode';
-                };
-                
-                const state = {
-                  nodes: editorRef.current.editor.getNodes().map((node: ReteNode) => {
-                    const nodeName = getNodeTypeName(node);
-                    // Get the static TYPE property from the constructor if available (minification-safe)
-                    const nodeTypeEnum = (node.constructor as NodeConstructor)?.TYPE;
-                    console.log(`Saving node ${node.id} of type: ${nodeName}, enum type: ${nodeTypeEnum || 'unknown'}`);
-                    
-                    return {
-                      id: node.id,
-                      name: nodeName,
-                      position: editorRef.current.area.nodeViews.get(node.id)?.position,
-                      data: node.serialize()
-                    };
-                  }),
-                  connections: Array.from(editorRef.current.editor.getConnections() as Iterable<ClassicPreset.Connection<ClassicPreset.Node, ClassicPreset.Node>>).map(conn => ({
-                    source: conn.source,
-                    sourceOutput: conn.sourceOutput,
-                    target: conn.target,
-                    targetInput: conn.targetInput
-                  }))
-                };
-                
-                console.log('Saving state with node types:', state.nodes.map((n: ReteNode) => n.name));
+              if (editorRef.current && editorRef.current.editor && !loadingStateRef.current) {
+                const state = editorRef.current.getState();
+                console.log('Saving state with node types:', state.nodes.map((n: any) => n.name));
                 
                 saveScriptStateToStorage(state);
               }
             }, 10000); // Auto-save every 10 seconds
             
-            // Function to add select-all behavior to all number inputs in the editor
-            const addSelectAllBehaviorToInputs = () => {
-              if (!containerRef.current) return;
-              
-              // Find all number inputs within the editor
-              const inputs = containerRef.current.querySelectorAll('input[type="number"]');
-              
-              inputs.forEach(input => {
-                // Add focus handler to select all text
-                input.addEventListener('focus', () => {
-                  (input as HTMLInputElement).select();
-                });
-                
-                // Also select when clicked
-                input.addEventListener('click', () => {
-                  (input as HTMLInputElement).select();
-                });
-              });
-              
-              console.log(`Added select-all behavior to ${inputs.length} number inputs`);
-            };
 
             // Set up cleanup function
             cleanup = () => {
@@ -238,6 +223,8 @@ export function ReteEditorComponent({ }: ReteEditorComponentProps) {
               window.reteEditor = null;
               // @ts-ignore
               window.reteEngine = null;
+              // @ts-ignore
+              window.reteEditorScope = null;
               
               // Clear auto-save interval
               clearInterval(autoSaveInterval);
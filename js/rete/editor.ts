@@ -2,6 +2,7 @@ import { NodeEditor, ClassicPreset, GetSchemes } from 'rete';
 import { AreaPlugin, AreaExtensions } from 'rete-area-plugin';
 import { ConnectionPlugin, Presets as ConnectionPresets } from 'rete-connection-plugin';
 import { ReactPlugin, ReactArea2D, Presets as ReactPresets } from 'rete-react-plugin';
+import { ContextMenuPlugin, ContextMenuExtra } from 'rete-context-menu-plugin';
 import { createRoot } from "react-dom/client";
 import { addCustomBackground } from "./background";
 
@@ -14,6 +15,10 @@ import "./background.css";
 import { ExecSocket } from './nodes/styles/sockets/ExecSocket';
 import { NumberSocket } from './nodes/styles/sockets/NumberSocket';
 import { FloatSocket } from './nodes/styles/sockets/FloatSocket';
+import { BooleanSocket } from './nodes/styles/sockets/BooleanSocket';
+
+/* control styles */
+import { SelectControl as SelectControlStyle } from './nodes/styles/controls/SelectControl';
 
 /* node styles */
 import { ExecNode } from './nodes/styles/nodes/ExecNode';
@@ -22,22 +27,39 @@ import { MultiplyNode as MultiplyNodeStyle } from './nodes/styles/nodes/Multiply
 import { HorizontalAxisNode as HorizontalAxisNodeStyle } from './nodes/styles/nodes/HorizontalAxisNode';
 import { VerticalAxisNode as VerticalAxisNodeStyle } from './nodes/styles/nodes/VerticalAxisNode';
 import { TransformNode as TransformNodeStyle } from './nodes/styles/nodes/TransformNode';
+import {
+  BranchNode as BranchNodeStyle, CompareNode as CompareNodeStyle, LogicNode as LogicNodeStyle,
+  MathNode as MathNodeStyle, MATH_SYMBOLS, SensorNode as SensorNodeStyle, ActionNode as ActionNodeStyle
+} from './nodes/styles/nodes/AccentNode';
 
 /* nodes */
 import { OnUpdateNode } from './nodes/OnUpdateNode';
+import { OnReadyNode, OnLandedNode, OnJumpPressedNode, OnTouchBlockNode, OnEnterTriggerNode } from './nodes/EventNodes';
 import { FloatNode } from './nodes/FloatNode';
 import { GetHorizontalAxisNode } from './nodes/GetAxisNode';
 import { GetVerticalAxisNode } from './nodes/GetAxisNode';
 import { MultiplyNode } from './nodes/MultiplyNode';
 import { TransformNode } from './nodes/TransformNode';
+import { BranchNode } from './nodes/BranchNode';
+import { CompareNode } from './nodes/CompareNode';
+import { AndNode, OrNode, NotNode } from './nodes/LogicNodes';
+import {
+  AddNode, SubtractNode, DivideNode, NegateNode, AbsNode, MinNode, MaxNode,
+  ClampNode, LerpNode, SignNode, RoundNode, SinNode, CosNode, RandomNode
+} from './nodes/MathNodes';
+import {
+  IsOnGroundNode, IsTouchingWallNode, GetVelocityNode, GetPositionNode, DeltaTimeNode, ElapsedTimeNode
+} from './nodes/SensorNodes';
+import { SetVelocityXNode, SetVelocityYNode, AddImpulseNode, SetGravityScaleNode, JumpNode } from './nodes/ActionNodes';
 import { NodeType } from './nodes/NodeTypes';
+import { SelectControl } from './nodes/controls/SelectControl';
 
 
 type Schemes = GetSchemes<
   ClassicPreset.Node,
   ClassicPreset.Connection<ClassicPreset.Node, ClassicPreset.Node>
 >;
-type AreaExtra = ReactArea2D<Schemes>;
+type AreaExtra = ReactArea2D<Schemes> | ContextMenuExtra;
 
 // Make AreaExtensions available globally for the restore position button
 declare global {
@@ -52,21 +74,21 @@ if (typeof window !== 'undefined') {
 }
 
 // Define script state interface
-interface ScriptNodeState {
+export interface ScriptNodeState {
   id: string;
   name: string;
   position: { x: number; y: number };
   data: any;
 }
 
-interface ScriptConnectionState {
+export interface ScriptConnectionState {
   source: string;
   sourceOutput: string;
   target: string;
   targetInput: string;
 }
 
-interface ScriptState {
+export interface ScriptState {
   nodes: ScriptNodeState[];
   connections: ScriptConnectionState[];
 }
@@ -299,7 +321,7 @@ export async function createEditor(container: HTMLElement, savedState?: ScriptSt
     ReactPresets.classic.setup({
       customize: {
         node(context) {
-          if (context.payload.label === "Atnaujinti") {
+          if (["Atnaujinti", "Pradžia", "Nusileidus", "Paspaudus šuolį", "Palietus bloką", "Pasiekus pabaigą"].includes(context.payload.label)) {
             return ExecNode;
           }
           if (context.payload.label === "Skaičius") {
@@ -317,6 +339,24 @@ export async function createEditor(container: HTMLElement, savedState?: ScriptSt
           if (context.payload.label === "Judėti") {
             return TransformNodeStyle;
           }
+          if (context.payload.label === "Jei") {
+            return BranchNodeStyle;
+          }
+          if (context.payload.label === "Palyginti") {
+            return CompareNodeStyle;
+          }
+          if (["Ir", "Arba", "Ne"].includes(context.payload.label)) {
+            return LogicNodeStyle;
+          }
+          if (context.payload.label in MATH_SYMBOLS) {
+            return MathNodeStyle;
+          }
+          if (["Ant žemės", "Liečia sieną", "Greitis", "Padėtis", "Kadro trukmė", "Praėjęs laikas"].includes(context.payload.label)) {
+            return SensorNodeStyle;
+          }
+          if (["Nustatyti greitį X", "Nustatyti greitį Y", "Stumtelėti", "Gravitacija", "Šokti"].includes(context.payload.label)) {
+            return ActionNodeStyle;
+          }
           return ReactPresets.classic.Node;
         },
         socket(context) {
@@ -329,8 +369,21 @@ export async function createEditor(container: HTMLElement, savedState?: ScriptSt
           if (context.payload.name === "float") {
             return FloatSocket;
           }
+          if (context.payload.name === "boolean") {
+            return BooleanSocket;
+          }
           return ReactPresets.classic.Socket;
         },
+        control(context) {
+          if (context.payload instanceof SelectControl) {
+            // The renderer types every control as a plain Control
+            return SelectControlStyle as any;
+          }
+          if (context.payload instanceof ClassicPreset.InputControl) {
+            return ReactPresets.classic.Control;
+          }
+          return null;
+        },
         connection() {
           // Using default connection component - z-index is controlled via CSS
           return ReactPresets.classic.Connection;
@@ -338,6 +391,71 @@ export async function createEditor(container: HTMLElement, savedState?: ScriptSt
       },
     })
   );
+  render.addPreset(ReactPresets.contextMenu.setup());
+
+  // Set while nodes are placed by code (a graph being loaded or a node added from
+  // the menu), since nodes can't be dragged otherwise
+  let isPlacingNodes = false;
+  
+  // Right-click menu: on the background it adds a node where the menu was opened,
+  // on a node or connection it deletes what was clicked
+  const contextMenu = new ContextMenuPlugin<Schemes>({
+    items(context) {
+      if (context === 'root') {
+        const position = { ...area.area.pointer };
+        return {
+          searchBar: true,
+          list: NODE_MENU.map(({ group, create }) => ({
+            label: group,
+            key: group,
+            handler: () => {},
+            subitems: create.map(createNode => {
+              const node = createNode();
+              return {
+                label: node.label,
+                key: node.label,
+                handler: async () => {
+                  await editor.addNode(node);
+                  isPlacingNodes = true;
+                  try {
+                    await area.translate(node.id, position);
+                  } finally {
+                    isPlacingNodes = false;
+                  }
+                  if (node instanceof FloatNode) {
+                    node.addSelectAllBehavior();
+                  }
+                }
+              };
+            })
+          }))
+        };
+      }
+      
+      return {
+        searchBar: false,
+        list: [{
+          label: 'Ištrinti',
+          key: 'delete',
+          handler: async () => {
+            // The menu's context is a connection or a node
+            const clicked = context as any;
+            if ('source' in clicked && 'target' in clicked) {
+              await editor.removeConnection(clicked.id);
+              return;
+            }
+            const attached = editor.getConnections().filter(conn =>
+              conn.source === clicked.id || conn.target === clicked.id
+            );
+            for (const conn of attached) {
+              await editor.removeConnection(conn.id);
+            }
+            await editor.removeNode(clicked.id);
+          }
+        }]
+      };
+    }
+  });
 
   // Set up connection validation to restrict exec sockets to only connect with other exec sockets
   connection.addPreset(ConnectionPresets.classic.setup());
@@ -370,13 +488,12 @@ export async function createEditor(container: HTMLElement, savedState?: ScriptSt
         // (it will fail naturally if the nodes/ports don't exist)
         if (!sourceOutput || !targetInput) return context;
         
-        // Check if the target input is an exec socket
-        if (targetInput.socket.name === 'exec') {
-          // Only allow connection if source is also an exec socket
-          if (sourceOutput.socket.name !== 'exec') {
-            console.log('Blocked connection: Cannot connect non-exec output to exec input');
-            return undefined; // Block the connection
-          }
+        // Exec and boolean sockets only connect to their own kind, while
+        // number and float sockets connect to each other
+        const kindOf = (name: string) => (name === 'exec' || name === 'boolean') ? name : 'number';
+        if (kindOf(sourceOutput.socket.name) !== kindOf(targetInput.socket.name)) {
+          console.log(`Blocked connection: Cannot connect ${sourceOutput.socket.name} output to ${targetInput.socket.name} input`);
+          return undefined; // Block the connection
         }
       } catch (error) {
         console.error('Error in connection validation:', error);
@@ -390,6 +507,7 @@ export async function createEditor(container: HTMLElement, savedState?: ScriptSt
   editor.use(area);
   area.use(connection);
   area.use(render);
+  area.use(contextMenu);
 
   // We don't need to set up custom node ordering for this use case
 
@@ -404,363 +522,572 @@ export async function createEditor(container: HTMLElement, savedState?: ScriptSt
   } else {
     console.log('No valid saved state found, creating default nodes');
     
-    // Create default nodes
-    const exec = new OnUpdateNode();
-    const xSpeed = new FloatNode();
-    const ySpeed = new FloatNode();
-    const xMultiply = new MultiplyNode();
-    const yMultiply = new MultiplyNode();
-    const xAxis = new GetHorizontalAxisNode();
-    const yAxis = new GetVerticalAxisNode();
-    const transform = new TransformNode();
-
-    // Add nodes to the editor
-    await editor.addNode(exec);
-    await editor.addNode(xSpeed);
-    await editor.addNode(ySpeed);
-    await editor.addNode(xMultiply);
-    await editor.addNode(yMultiply);
-    await editor.addNode(xAxis);
-    await editor.addNode(yAxis);
-    await editor.addNode(transform);
-    
-    // Position nodes
-    await area.translate(exec.id, { x: 350, y: 0 });
-    await area.translate(xSpeed.id, { x: 30, y: 100 });
-    await area.translate(xAxis.id, { x: 30, y: 200 });
-    await area.translate(xMultiply.id, { x: 300, y: 150 });
-    await area.translate(ySpeed.id, { x: 30, y: 350 });
-    await area.translate(yAxis.id, { x: 30, y: 450 });
-    await area.translate(yMultiply.id, { x: 300, y: 400 });
-    await area.translate(transform.id, { x: 700, y: 100 });
+    await addDefaultNodes(editor, area);
   }
   
   // Restore saved state if available
   if (savedState && savedState.nodes && savedState.connections) {
-    console.log('Restoring saved editor state:', savedState);
-    
-    // First, clear all existing nodes if we're restoring from saved state
-    // This prevents duplicates and ensures a clean slate
-    const existingNodes = editor.getNodes();
-    for (const node of existingNodes) {
-      await editor.removeNode(node.id);
+    await restoreScriptState(editor, area, savedState);
+  } else {
+    console.log('No saved state found, using default layout');
+  }
+
+   // Disable node dragging by adding a custom pipe handler
+   area.addPipe(context => {
+    // If this is a node translation/dragging event, block it by returning undefined
+    if (!isPlacingNodes && ['nodepicked', 'nodetranslate', 'nodetranslated'].includes(context.type as string)) {
+      return undefined;
     }
-    console.log('Cleared existing nodes for restoration');
-    
-    // Create and restore nodes from saved state
-    for (const nodeState of savedState.nodes) {
-      let node;
-      
-      // Try to get the node type from the serialized data
-      const nodeType = nodeState.data?.nodeType;
-      console.log(`Creating node with ID ${nodeState.id} - Type from data:`, nodeType);
-      
-      // Extract any saved values we might need for node initialization
-      let savedValue = 0;
-      if (nodeState.data && typeof nodeState.data.value === 'number') {
-        savedValue = nodeState.data.value;
-        console.log(`Found saved value for node ${nodeState.id}: ${savedValue}`);
-      }
-      
-      // Determine the node type using the nodeType enum from serialized data first,
-      // with fallback to name-based identification for backward compatibility
-      if (nodeType) {
-        // Use the safe nodeType identifier that survives minification
-        switch (nodeType) {
-          case NodeType.FLOAT:
-            node = new FloatNode();
-            // Special handling for FloatNode's value control
-            if (typeof savedValue === 'number') {
-              try {
-                const customControl = new ClassicPreset.InputControl('number', { initial: savedValue });
-                delete node.controls['value'];
-                node.addControl('value', customControl);
-                console.log(`Initialized FloatNode with value: ${savedValue}`);
-              } catch (err) {
-                console.error(`Error initializing FloatNode value:`, err);
-              }
-            }
-            break;
-          case NodeType.GET_HORIZONTAL_AXIS:
-            node = new GetHorizontalAxisNode();
-            break;
-          case NodeType.GET_VERTICAL_AXIS:
-            node = new GetVerticalAxisNode();
-            break;
-          case NodeType.MULTIPLY:
-            node = new MultiplyNode();
-            break;
-          case NodeType.TRANSFORM:
-            node = new TransformNode();
-            break;
-          case NodeType.ON_UPDATE:
-            node = new OnUpdateNode();
-            break;
-          default:
-            console.error(`Unknown node type enum value: ${nodeType}`);
-            continue;
-        }
-      } else {
-        // Fallback to legacy string-based identification for backward compatibility
-        console.warn(`No nodeType found in data for node ${nodeState.id}, falling back to name-based identification: ${nodeState.name}`);
-        
-        switch (nodeState.name) {
-          case 'Float':
-          case 'Skaičius': // Lithuanian name
-          case 'FloatNode': // Class name directly
-            node = new FloatNode();
-            // Special handling for FloatNode - we'll replace its control directly after creation
-            if (typeof savedValue === 'number') {
-              try {
-                const customControl = new ClassicPreset.InputControl('number', { initial: savedValue });
-                delete node.controls['value'];
-                node.addControl('value', customControl);
-                console.log(`Successfully initialized FloatNode with value: ${savedValue}`);
-              } catch (err) {
-                console.error(`Error initializing FloatNode value:`, err);
-              }
-            }
-            break;
-          case 'GetHorizontalAxis':
-          case 'X ąšies kryptis': // Lithuanian name
-          case 'GetHorizontalAxisNode': // Class name directly
-            node = new GetHorizontalAxisNode();
-            break;
-          case 'GetVerticalAxis':
-          case 'Y ąšies kryptis': // Lithuanian name
-          case 'GetVerticalAxisNode': // Class name directly
-            node = new GetVerticalAxisNode();
-            break;
-          case 'Multiply':
-          case 'Daugyba': // Lithuanian name
-          case 'MultiplyNode': // Class name directly
-            node = new MultiplyNode();
-            break;
-          case 'Transform':
-          case 'Judėti': // Lithuanian name
-          case 'TransformNode': // Class name directly
-            node = new TransformNode();
-            break;
-          case 'OnUpdate':
-          case 'Atnaujinti': // Lithuanian name
-          case 'OnUpdateNode': // Class name directly
-            node = new OnUpdateNode();
-            break;
-          default:
-            console.warn(`Trying fallback character-based matching for node type: ${nodeState.name}`);
-            // Final fallback attempt using single/double character keys from minified names
-            let created = false;
-            
-            // Create a map of possible minified node names to their corresponding classes
-            const minifiedNameMap = {
-              // Common minified prefixes
-              'fl': FloatNode,
-              'ho': GetHorizontalAxisNode,
-              've': GetVerticalAxisNode,
-              'mu': MultiplyNode,
-              'tr': TransformNode,
-              'on': OnUpdateNode,
-              // Single character codes that might be used in minification
-              'f': FloatNode,
-              'h': GetHorizontalAxisNode,
-              'v': GetVerticalAxisNode,
-              'm': MultiplyNode,
-              't': TransformNode,
-              'o': OnUpdateNode,
-              // More possible variations
-              'x': GetHorizontalAxisNode,
-              'y': GetVerticalAxisNode,
-              'g': GetHorizontalAxisNode, // 'get'
-              'a': OnUpdateNode, // 'atnaujinti'
-              'u': OnUpdateNode, // 'update'
-              'j': TransformNode, // 'judeti'
-              'd': MultiplyNode, // 'daugyba'
-              'n': FloatNode, // 'number'
-              's': FloatNode // 'skaicius'
-            };
-            
-            // Try to match by prefix
-            for (const [prefix, NodeClass] of Object.entries(minifiedNameMap)) {
-              if (nodeState.name.toLowerCase().startsWith(prefix)) {
-                console.log(`Matched minified node name ${nodeState.name} to ${NodeClass.name} by prefix ${prefix}`);
-                node = new NodeClass();
-                created = true;
-                break;
-              }
-            }
-            
-            if (!created) {
-              console.error(`Could not create node of unknown type: ${nodeState.name}`);
-              continue;
-            }
+    // Otherwise, pass the context through
+    return context;
+  });
+  
+  setTimeout(() => {
+    AreaExtensions.zoomAt(area, editor.getNodes());
+  }, 70);
+  
+  return {
+    editor,
+    area,
+    destroy: () => area.destroy(),
+    getState: () => serializeScriptState(editor, area),
+    // Replace the whole graph, e.g. when a project is imported or opened
+    // (a project without a saved script gets the starter graph)
+    loadState: async (state: ScriptState | null) => {
+      isPlacingNodes = true;
+      try {
+        await editor.clear();
+        if (state && state.nodes && state.connections) {
+          await restoreScriptState(editor, area, state);
+        } else {
+          await addDefaultNodes(editor, area);
         }
+      } finally {
+        isPlacingNodes = false;
       }
+      AreaExtensions.zoomAt(area, editor.getNodes());
+    }
+  };
+}
+
+// Nodes the right-click menu can add, by menu group
+const NODE_MENU: { group: string; create: (() => ClassicPreset.Node)[] }[] = [
+  {
+    group: 'Įvykiai',
+    create: [
+      () => new OnUpdateNode(), () => new OnReadyNode(), () => new OnLandedNode(),
+      () => new OnJumpPressedNode(), () => new OnTouchBlockNode(), () => new OnEnterTriggerNode()
+    ]
+  },
+  {
+    group: 'Skaičiai',
+    create: [
+      () => new FloatNode(), () => new AddNode(), () => new SubtractNode(), () => new MultiplyNode(),
+      () => new DivideNode(), () => new NegateNode(), () => new AbsNode(), () => new MinNode(),
+      () => new MaxNode(), () => new ClampNode(), () => new LerpNode(), () => new SignNode(),
+      () => new RoundNode(), () => new SinNode(), () => new CosNode(), () => new RandomNode()
+    ]
+  },
+  { group: 'Įvestis', create: [() => new GetHorizontalAxisNode(), () => new GetVerticalAxisNode()] },
+  {
+    group: 'Būsena',
+    create: [
+      () => new IsOnGroundNode(), () => new IsTouchingWallNode(), () => new GetVelocityNode(),
+      () => new GetPositionNode(), () => new DeltaTimeNode(), () => new ElapsedTimeNode()
+    ]
+  },
+  {
+    group: 'Veiksmai',
+    create: [
+      () => new SetVelocityXNode(), () => new SetVelocityYNode(), () => new AddImpulseNode(),
+      () => new SetGravityScaleNode(), () => new JumpNode(), () => new TransformNode()
+    ]
+  },
+  {
+    group: 'Logika',
+    create: [() => new BranchNode(), () => new CompareNode(), () => new AndNode(), () => new OrNode(), () => new NotNode()]
+  }
+];
+
+// Get the node type name stored with each saved node
+const getNodeTypeName = (node: any): string => {
+  // First check for our static TYPE property
+  if (node.constructor && node.constructor.TYPE) {
+    return node.constructor.name; // Still return name for display purposes
+  }
+  // Fallback to constructor name
+  if (node.constructor && node.constructor.name) {
+    return node.constructor.name;
+  }
+  // Final fallback to node.name 
+  return node.name || 'UnknownNode';
+};
+
+// Serialize the graph into the state saved to storage and project files
+export function serializeScriptState(editor: NodeEditor<Schemes>, area: AreaPlugin<Schemes, AreaExtra>): ScriptState {
+  return {
+    nodes: editor.getNodes().map((node: any) => {
+      const nodeName = getNodeTypeName(node);
+      // Get the static TYPE property from the constructor if available (minification-safe)
+      const nodeTypeEnum = node.constructor?.TYPE;
+      console.log(`Saving node ${node.id} of type: ${nodeName}, enum type: ${nodeTypeEnum || 'unknown'}`);
       
-      // Make sure node was created successfully
-      if (!node) {
-        console.error(`Failed to create node for ${nodeState.name} with ID ${nodeState.id}`);
-        continue;
-      }
-      
-      // Override the node ID to match the saved state
-      node.id = nodeState.id;
-      
-      // Add the node to the editor
-      await editor.addNode(node);
-      console.log(`Created node ${nodeState.id} (${nodeState.name})`);
-      
-      // Restore node position
-      if (nodeState.position) {
-        await area.translate(node.id, nodeState.position);
-      }
-      
-      // Restore node data if available
-      if (nodeState.data) {
-        console.log(`Restoring data for node ${nodeState.id}:`, nodeState.data);
-        
-        // For nodes with controls and data to restore
-        if (node.controls) {
-          console.log(`Attempting to restore controls for ${nodeState.name} node`);
-          
-          // We now handle FloatNode value initialization during node creation
-          // This section intentionally left empty as it's handled above
-          
-          // Handle MultiplyNode
-          if ((nodeState.name === 'Multiply' || nodeState.name === 'Daugyba') && nodeState.data) {
+      return {
+        id: node.id,
+        name: nodeName,
+        position: area.nodeViews.get(node.id)?.position as { x: number; y: number },
+        data: node.serialize()
+      };
+    }),
+    connections: editor.getConnections().map(conn => ({
+      source: conn.source,
+      sourceOutput: conn.sourceOutput as string,
+      target: conn.target,
+      targetInput: conn.targetInput as string
+    }))
+  };
+}
+
+// Add the starter nodes new projects begin with (the pieces of arrow-key movement, for the player to connect)
+async function addDefaultNodes(editor: NodeEditor<Schemes>, area: AreaPlugin<Schemes, AreaExtra>) {
+  const exec = new OnUpdateNode();
+  const xSpeed = new FloatNode();
+  const ySpeed = new FloatNode();
+  const xMultiply = new MultiplyNode();
+  const yMultiply = new MultiplyNode();
+  const xAxis = new GetHorizontalAxisNode();
+  const yAxis = new GetVerticalAxisNode();
+  const transform = new TransformNode();
+
+  // Add nodes to the editor
+  await editor.addNode(exec);
+  await editor.addNode(xSpeed);
+  await editor.addNode(ySpeed);
+  await editor.addNode(xMultiply);
+  await editor.addNode(yMultiply);
+  await editor.addNode(xAxis);
+  await editor.addNode(yAxis);
+  await editor.addNode(transform);
+  
+  // Position nodes
+  await area.translate(exec.id, { x: 350, y: 0 });
+  await area.translate(xSpeed.id, { x: 30, y: 100 });
+  await area.translate(xAxis.id, { x: 30, y: 200 });
+  await area.translate(xMultiply.id, { x: 300, y: 150 });
+  await area.translate(ySpeed.id, { x: 30, y: 350 });
+  await area.translate(yAxis.id, { x: 30, y: 450 });
+  await area.translate(yMultiply.id, { x: 300, y: 400 });
+  await area.translate(transform.id, { x: 700, y: 100 });
+}
+
+// Recreate the saved nodes and connections in the editor
+async function restoreScriptState(editor: NodeEditor<Schemes>, area: AreaPlugin<Schemes, AreaExtra>, savedState: ScriptState) {
+  console.log('Restoring saved editor state:', savedState);
+  
+  // First, clear all existing nodes if we're restoring from saved state
+  // This prevents duplicates and ensures a clean slate
+  const existingNodes = editor.getNodes();
+  for (const node of existingNodes) {
+    await editor.removeNode(node.id);
+  }
+  console.log('Cleared existing nodes for restoration');
+  
+  // Create and restore nodes from saved state
+  for (const nodeState of savedState.nodes) {
+    let node;
+    
+    // Try to get the node type from the serialized data
+    const nodeType = nodeState.data?.nodeType;
+    console.log(`Creating node with ID ${nodeState.id} - Type from data:`, nodeType);
+    
+    // Extract any saved values we might need for node initialization
+    let savedValue = 0;
+    if (nodeState.data && typeof nodeState.data.value === 'number') {
+      savedValue = nodeState.data.value;
+      console.log(`Found saved value for node ${nodeState.id}: ${savedValue}`);
+    }
+    
+    // Determine the node type using the nodeType enum from serialized data first,
+    // with fallback to name-based identification for backward compatibility
+    if (nodeType) {
+      // Use the safe nodeType identifier that survives minification
+      switch (nodeType) {
+        case NodeType.FLOAT:
+          node = new FloatNode();
+          // Special handling for FloatNode's value control
+          if (typeof savedValue === 'number') {
             try {
-              // Restore any controls the MultiplyNode has
-              Object.entries(nodeState.data).forEach(([key, value]) => {
-                if (node.controls && node.controls[key]) {
-                  console.log(`Setting ${nodeState.name} ${key} to`, value);
-                  (node.controls[key] as any).value = value;
-                }
-              });
+              const customControl = new ClassicPreset.InputControl('number', { initial: savedValue });
+              delete node.controls['value'];
+              node.addControl('value', customControl);
+              console.log(`Initialized FloatNode with value: ${savedValue}`);
             } catch (err) {
-              console.error(`Error restoring MultiplyNode data:`, err);
+              console.error(`Error initializing FloatNode value:`, err);
             }
           }
-          
-          // Handle TransformNode
-          if ((nodeState.name === 'Transform' || nodeState.name === 'Judėti') && nodeState.data) {
+          break;
+        case NodeType.GET_HORIZONTAL_AXIS:
+          node = new GetHorizontalAxisNode();
+          break;
+        case NodeType.GET_VERTICAL_AXIS:
+          node = new GetVerticalAxisNode();
+          break;
+        case NodeType.MULTIPLY:
+          node = new MultiplyNode();
+          break;
+        case NodeType.TRANSFORM:
+          node = new TransformNode();
+          break;
+        case NodeType.ON_UPDATE:
+          node = new OnUpdateNode();
+          break;
+        case NodeType.ON_READY:
+          node = new OnReadyNode();
+          break;
+        case NodeType.ON_LANDED:
+          node = new OnLandedNode();
+          break;
+        case NodeType.ON_JUMP_PRESSED:
+          node = new OnJumpPressedNode();
+          break;
+        case NodeType.ON_TOUCH_BLOCK:
+          node = new OnTouchBlockNode();
+          break;
+        case NodeType.ON_ENTER_TRIGGER:
+          node = new OnEnterTriggerNode();
+          break;
+        case NodeType.IS_ON_GROUND:
+          node = new IsOnGroundNode();
+          break;
+        case NodeType.IS_TOUCHING_WALL:
+          node = new IsTouchingWallNode();
+          break;
+        case NodeType.GET_VELOCITY:
+          node = new GetVelocityNode();
+          break;
+        case NodeType.GET_POSITION:
+          node = new GetPositionNode();
+          break;
+        case NodeType.DELTA_TIME:
+          node = new DeltaTimeNode();
+          break;
+        case NodeType.ELAPSED_TIME:
+          node = new ElapsedTimeNode();
+          break;
+        case NodeType.SET_VELOCITY_X:
+          node = new SetVelocityXNode();
+          break;
+        case NodeType.SET_VELOCITY_Y:
+          node = new SetVelocityYNode();
+          break;
+        case NodeType.ADD_IMPULSE:
+          node = new AddImpulseNode();
+          break;
+        case NodeType.SET_GRAVITY_SCALE:
+          node = new SetGravityScaleNode();
+          break;
+        case NodeType.JUMP:
+          node = new JumpNode(nodeState.data.mode);
+          break;
+        case NodeType.BRANCH:
+          node = new BranchNode();
+          break;
+        case NodeType.COMPARE:
+          node = new CompareNode(nodeState.data.operator);
+          break;
+        case NodeType.AND:
+          node = new AndNode();
+          break;
+        case NodeType.OR:
+          node = new OrNode();
+          break;
+        case NodeType.NOT:
+          node = new NotNode();
+          break;
+        case NodeType.ADD:
+          node = new AddNode();
+          break;
+        case NodeType.SUBTRACT:
+          node = new SubtractNode();
+          break;
+        case NodeType.DIVIDE:
+          node = new DivideNode();
+          break;
+        case NodeType.NEGATE:
+          node = new NegateNode();
+          break;
+        case NodeType.ABS:
+          node = new AbsNode();
+          break;
+        case NodeType.MIN:
+          node = new MinNode();
+          break;
+        case NodeType.MAX:
+          node = new MaxNode();
+          break;
+        case NodeType.CLAMP:
+          node = new ClampNode();
+          break;
+        case NodeType.LERP:
+          node = new LerpNode();
+          break;
+        case NodeType.SIGN:
+          node = new SignNode();
+          break;
+        case NodeType.ROUND:
+          node = new RoundNode();
+          break;
+        case NodeType.SIN:
+          node = new SinNode();
+          break;
+        case NodeType.COS:
+          node = new CosNode();
+          break;
+        case NodeType.RANDOM:
+          node = new RandomNode();
+          break;
+        default:
+          console.error(`Unknown node type enum value: ${nodeType}`);
+          continue;
+      }
+    } else {
+      // Fallback to legacy string-based identification for backward compatibility
+      console.warn(`No nodeType found in data for node ${nodeState.id}, falling back to name-based identification: ${nodeState.name}`);
+      
+      switch (nodeState.name) {
+        case 'Float':
+        case 'Skaičius': // Lithuanian name
+        case 'FloatNode': // Class name directly
+          node = new FloatNode();
+          // Special handling for FloatNode - we'll replace its control directly after creation
+          if (typeof savedValue === 'number') {
             try {
-              // Restore any controls the TransformNode has
-              Object.entries(nodeState.data).forEach(([key, value]) => {
-                if (node.controls && node.controls[key]) {
-                  console.log(`Setting ${nodeState.name} ${key} to`, value);
-                  (node.controls[key] as any).value = value;
-                }
-              });
+              const customControl = new ClassicPreset.InputControl('number', { initial: savedValue });
+              delete node.controls['value'];
+              node.addControl('value', customControl);
+              console.log(`Successfully initialized FloatNode with value: ${savedValue}`);
             } catch (err) {
-              console.error(`Error restoring TransformNode data:`, err);
+              console.error(`Error initializing FloatNode value:`, err);
             }
           }
+          break;
+        case 'GetHorizontalAxis':
+        case 'X ąšies kryptis': // Lithuanian name
+        case 'GetHorizontalAxisNode': // Class name directly
+          node = new GetHorizontalAxisNode();
+          break;
+        case 'GetVerticalAxis':
+        case 'Y ąšies kryptis': // Lithuanian name
+        case 'GetVerticalAxisNode': // Class name directly
+          node = new GetVerticalAxisNode();
+          break;
+        case 'Multiply':
+        case 'Daugyba': // Lithuanian name
+        case 'MultiplyNode': // Class name directly
+          node = new MultiplyNode();
+          break;
+        case 'Transform':
+        case 'Judėti': // Lithuanian name
+        case 'TransformNode': // Class name directly
+          node = new TransformNode();
+          break;
+        case 'OnUpdate':
+        case 'Atnaujinti': // Lithuanian name
+        case 'OnUpdateNode': // Class name directly
+          node = new OnUpdateNode();
+          break;
+        default:
+          console.warn(`Trying fallback character-based matching for node type: ${nodeState.name}`);
+          // Final fallback attempt using single/double character keys from minified names
+          let created = false;
           
-          // Handle GetHorizontalAxisNode and GetVerticalAxisNode
-          if ((nodeState.name === 'HorizontalAxis' || nodeState.name === 'X ąšies kryptis' ||
-               nodeState.name === 'VerticalAxis' || nodeState.name === 'Y ąšies kryptis') && 
-              nodeState.data) {
-            try {
-              // Restore any controls the axis nodes have
-              Object.entries(nodeState.data).forEach(([key, value]) => {
-                if (node.controls && node.controls[key]) {
-                  console.log(`Setting ${nodeState.name} ${key} to`, value);
-                  (node.controls[key] as any).value = value;
-                }
-              });
-            } catch (err) {
-              console.error(`Error restoring Axis node data:`, err);
+          // Create a map of possible minified node names to their corresponding classes
+          const minifiedNameMap = {
+            // Common minified prefixes
+            'fl': FloatNode,
+            'ho': GetHorizontalAxisNode,
+            've': GetVerticalAxisNode,
+            'mu': MultiplyNode,
+            'tr': TransformNode,
+            'on': OnUpdateNode,
+            // Single character codes that might be used in minification
+            'f': FloatNode,
+            'h': GetHorizontalAxisNode,
+            'v': GetVerticalAxisNode,
+            'm': MultiplyNode,
+            't': TransformNode,
+            'o': OnUpdateNode,
+            // More possible variations
+            'x': GetHorizontalAxisNode,
+            'y': GetVerticalAxisNode,
+            'g': GetHorizontalAxisNode, // 'get'
+            'a': OnUpdateNode, // 'atnaujinti'
+            'u': OnUpdateNode, // 'update'
+            'j': TransformNode, // 'judeti'
+            'd': MultiplyNode, // 'daugyba'
+            'n': FloatNode, // 'number'
+            's': FloatNode // 'skaicius'
+          };
+          
+          // Try to match by prefix
+          for (const [prefix, NodeClass] of Object.entries(minifiedNameMap)) {
+            if (nodeState.name.toLowerCase().startsWith(prefix)) {
+              console.log(`Matched minified node name ${nodeState.name} to ${NodeClass.name} by prefix ${prefix}`);
+              node = new NodeClass();
+              created = true;
+              break;
             }
           }
-        }
+          
+          if (!created) {
+            console.error(`Could not create node of unknown type: ${nodeState.name}`);
+            continue;
+          }
       }
     }
     
-    // Ensure all nodes are created before restoring connections
-    await new Promise(resolve => setTimeout(resolve, 100));
-    console.log('Nodes created, now restoring connections...');
+    // Make sure node was created successfully
+    if (!node) {
+      console.error(`Failed to create node for ${nodeState.name} with ID ${nodeState.id}`);
+      continue;
+    }
     
-    // Verify all saved nodes were created
-    const allNodesPresent = savedState.nodes.every(nodeState => {
-      const exists = !!editor.getNode(nodeState.id);
-      if (!exists) {
-        console.warn(`Node ${nodeState.id} (${nodeState.name}) was not created successfully`);
-      }
-      return exists;
-    });
+    // Override the node ID to match the saved state
+    node.id = nodeState.id;
     
-    if (!allNodesPresent) {
-      console.warn('Not all nodes were created successfully, connections may not restore correctly');
-    }
+    // Add the node to the editor
+    await editor.addNode(node);
+    console.log(`Created node ${nodeState.id} (${nodeState.name})`);
     
-    let restoredConnections = 0;
+    // Restore node position
+    if (nodeState.position) {
+      await area.translate(node.id, nodeState.position);
+    }
     
-    // Restore connections
-    for (const connState of savedState.connections) {
-      try {
-        // Find the source and target nodes first
-        const sourceNode = editor.getNode(connState.source);
-        const targetNode = editor.getNode(connState.target);
+    // Restore node data if available
+    if (nodeState.data) {
+      console.log(`Restoring data for node ${nodeState.id}:`, nodeState.data);
+      
+      // For nodes with controls and data to restore
+      if (node.controls) {
+        console.log(`Attempting to restore controls for ${nodeState.name} node`);
         
-        if (!sourceNode || !targetNode) {
-          console.warn('Could not restore connection - missing node:', 
-            !sourceNode ? `source (${connState.source})` : `target (${connState.target})`);
-          continue;
-        }
+        // We now handle FloatNode value initialization during node creation
+        // This section intentionally left empty as it's handled above
         
-        // Verify that the output and input exist on the nodes
-        if (!sourceNode.outputs[connState.sourceOutput]) {
-          console.warn(`Source output ${connState.sourceOutput} does not exist on node ${connState.source}`);
-          continue;
+        // Handle MultiplyNode
+        if ((nodeState.name === 'Multiply' || nodeState.name === 'Daugyba') && nodeState.data) {
+          try {
+            // Restore any controls the MultiplyNode has
+            Object.entries(nodeState.data).forEach(([key, value]) => {
+              if (node.controls && node.controls[key]) {
+                console.log(`Setting ${nodeState.name} ${key} to`, value);
+                (node.controls[key] as any).value = value;
+              }
+            });
+          } catch (err) {
+            console.error(`Error restoring MultiplyNode data:`, err);
+          }
         }
         
-        if (!targetNode.inputs[connState.targetInput]) {
-          console.warn(`Target input ${connState.targetInput} does not exist on node ${connState.target}`);
-          continue;
+        // Handle TransformNode
+        if ((nodeState.name === 'Transform' || nodeState.name === 'Judėti') && nodeState.data) {
+          try {
+            // Restore any controls the TransformNode has
+            Object.entries(nodeState.data).forEach(([key, value]) => {
+              if (node.controls && node.controls[key]) {
+                console.log(`Setting ${nodeState.name} ${key} to`, value);
+                (node.controls[key] as any).value = value;
+              }
+            });
+          } catch (err) {
+            console.error(`Error restoring TransformNode data:`, err);
+          }
         }
         
-        // Create connection between the nodes using the correct type
-        const connection = new ClassicPreset.Connection<ClassicPreset.Node, ClassicPreset.Node>(
-          sourceNode,
-          connState.sourceOutput,
-          targetNode,
-          connState.targetInput
-        );
-        
-        await editor.addConnection(connection);
-        restoredConnections++;
-        console.log(`Restored connection from ${connState.source} to ${connState.target}`);
-      } catch (err) {
-        console.error('Failed to restore connection:', connState, err);
+        // Handle GetHorizontalAxisNode and GetVerticalAxisNode
+        if ((nodeState.name === 'HorizontalAxis' || nodeState.name === 'X ąšies kryptis' ||
+             nodeState.name === 'VerticalAxis' || nodeState.name === 'Y ąšies kryptis') && 
+            nodeState.data) {
+          try {
+            // Restore any controls the axis nodes have
+            Object.entries(nodeState.data).forEach(([key, value]) => {
+              if (node.controls && node.controls[key]) {
+                console.log(`Setting ${nodeState.name} ${key} to`, value);
+                (node.controls[key] as any).value = value;
+              }
+            });
+          } catch (err) {
+            console.error(`Error restoring Axis node data:`, err);
+          }
+        }
       }
     }
-    
-    console.log(`Restored ${restoredConnections} out of ${savedState.connections.length} connections`);
-    
-    // Add a final delay to ensure everything is properly rendered
-    await new Promise(resolve => setTimeout(resolve, 100));
-  } else {
-    console.log('No saved state found, using default layout');
   }
-
-   // Disable node dragging by adding a custom pipe handler
-   area.addPipe(context => {
-    // If this is a node translation/dragging event, block it by returning undefined
-    if (['nodepicked', 'nodetranslate', 'nodetranslated'].includes(context.type as string)) {
-      return undefined;
+  
+  // Ensure all nodes are created before restoring connections
+  await new Promise(resolve => setTimeout(resolve, 100));
+  console.log('Nodes created, now restoring connections...');
+  
+  // Verify all saved nodes were created
+  const allNodesPresent = savedState.nodes.every(nodeState => {
+    const exists = !!editor.getNode(nodeState.id);
+    if (!exists) {
+      console.warn(`Node ${nodeState.id} (${nodeState.name}) was not created successfully`);
     }
-    // Otherwise, pass the context through
-    return context;
+    return exists;
   });
   
-  setTimeout(() => {
-    AreaExtensions.zoomAt(area, editor.getNodes());
-  }, 70);
+  if (!allNodesPresent) {
+    console.warn('Not all nodes were created successfully, connections may not restore correctly');
+  }
   
-  return {
-    editor,
-    area,
-    destroy: () => area.destroy(),
-  };
+  let restoredConnections = 0;
+  
+  // Restore connections
+  for (const connState of savedState.connections) {
+    try {
+      // Find the source and target nodes first
+      const sourceNode = editor.getNode(connState.source);
+      const targetNode = editor.getNode(connState.target);
+      
+      if (!sourceNode || !targetNode) {
+        console.warn('Could not restore connection - missing node:', 
+          !sourceNode ? `source (${connState.source})` : `target (${connState.target})`);
+        continue;
+      }
+      
+      // Verify that the output and input exist on the nodes
+      if (!sourceNode.outputs[connState.sourceOutput]) {
+        console.warn(`Source output ${connState.sourceOutput} does not exist on node ${connState.source}`);
+        continue;
+      }
+      
+      if (!targetNode.inputs[connState.targetInput]) {
+        console.warn(`Target input ${connState.targetInput} does not exist on node ${connState.target}`);
+        continue;
+      }
+      
+      // Create connection between the nodes using the correct type
+      const connection = new ClassicPreset.Connection<ClassicPreset.Node, ClassicPreset.Node>(
+        sourceNode,
+        connState.sourceOutput,
+        targetNode,
+        connState.targetInput
+      );
+      
+      await editor.addConnection(connection);
+      restoredConnections++;
+      console.log(`Restored connection from ${connState.source} to ${connState.target}`);
+    } catch (err) {
+      console.error('Failed to restore connection:', connState, err);
+    }
+  }
+  
+  console.log(`Restored ${restoredConnections} out of ${savedState.connections.length} connections`);
+  
+  // Add a final delay to ensure everything is properly rendered
+  await new Promise(resolve => setTimeout(resolve, 100));
 }
 
 // Note: We've moved the createDefaultNodes functionality directly into the createEditor function
@@ -0,0 +1,190 @@
+import { ClassicPreset } from 'rete';
+import { NodeExecutionContext } from '../types';
+import { NodeType } from './NodeTypes';
+import { SelectControl } from './controls/SelectControl';
+import { getNumber } from './MathNodes';
+
+const numberSocket = new ClassicPreset.Socket("number");
+const execSocket = new ClassicPreset.Socket("exec");
+
+// The actions below are shared with TransformNode, which combines them
+
+// Set the player's horizontal speed, in pixels per second
+export const setVelocityX = (context: NodeExecutionContext, x: number): void => {
+    context.player.body.setVelocityX(x);
+};
+
+// Set the player's vertical speed, in pixels per second (negative is upwards)
+export const setVelocityY = (context: NodeExecutionContext, y: number): void => {
+    context.player.body.setVelocityY(y);
+};
+
+/**
+ * Make the player jump by setting its vertical speed
+ * @param context - The execution context
+ * @param strength - Upward speed of the jump, in pixels per second
+ * @param requireGround - Whether the player can only jump while on the ground
+ * @returns Whether the player jumped
+ */
+export const jump = (context: NodeExecutionContext, strength: number, requireGround: boolean): boolean => {
+    if (requireGround && !context.isOnGround) return false;
+    
+    context.player.body.setVelocityY(-strength);
+    return true;
+};
+
+export class SetVelocityXNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.SET_VELOCITY_X;
+    constructor() {
+        super('Nustatyti greitį X');
+        
+        this.addInput('execIn', new ClassicPreset.Input(execSocket));
+        this.addInput('value', new ClassicPreset.Input(numberSocket, 'Greitis'));
+        
+        this.addOutput('execOut', new ClassicPreset.Output(execSocket));
+    }
+
+    data(inputs: { execIn?: any[]; value?: number[] }, context?: NodeExecutionContext): { result: boolean } {
+        if (!context || !context.player) return { result: false };
+        
+        setVelocityX(context, getNumber(inputs.value));
+        return { result: true };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.SET_VELOCITY_X
+        };
+    }
+}
+
+export class SetVelocityYNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.SET_VELOCITY_Y;
+    constructor() {
+        super('Nustatyti greitį Y');
+        
+        this.addInput('execIn', new ClassicPreset.Input(execSocket));
+        this.addInput('value', new ClassicPreset.Input(numberSocket, 'Greitis'));
+        
+        this.addOutput('execOut', new ClassicPreset.Output(execSocket));
+    }
+
+    data(inputs: { execIn?: any[]; value?: number[] }, context?: NodeExecutionContext): { result: boolean } {
+        if (!context || !context.player) return { result: false };
+        
+        setVelocityY(context, getNumber(inputs.value));
+        return { result: true };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.SET_VELOCITY_Y
+        };
+    }
+}
+
+// Adds to the player's speed instead of replacing it
+export class AddImpulseNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.ADD_IMPULSE;
+    constructor() {
+        super('Stumtelėti');
+        
+        this.addInput('execIn', new ClassicPreset.Input(execSocket));
+        this.addInput('x', new ClassicPreset.Input(numberSocket, 'X'));
+        this.addInput('y', new ClassicPreset.Input(numberSocket, 'Y'));
+        
+        this.addOutput('execOut', new ClassicPreset.Output(execSocket));
+    }
+
+    data(inputs: { execIn?: any[]; x?: number[]; y?: number[] }, context?: NodeExecutionContext): { result: boolean } {
+        if (!context || !context.player) return { result: false };
+        
+        const velocity = context.player.body.velocity;
+        setVelocityX(context, velocity.x + getNumber(inputs.x));
+        setVelocityY(context, velocity.y + getNumber(inputs.y));
+        return { result: true };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.ADD_IMPULSE
+        };
+    }
+}
+
+// Scales the gravity pulling the player: 1 is normal, 0 floats and 2 falls twice as fast
+export class SetGravityScaleNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.SET_GRAVITY_SCALE;
+    constructor() {
+        super('Gravitacija');
+        
+        this.addInput('execIn', new ClassicPreset.Input(execSocket));
+        this.addInput('scale', new ClassicPreset.Input(numberSocket, 'Daugiklis'));
+        
+        this.addOutput('execOut', new ClassicPreset.Output(execSocket));
+    }
+
+    data(inputs: { execIn?: any[]; scale?: number[] }, context?: NodeExecutionContext): { result: boolean } {
+        if (!context || !context.player || !context.player.setGravityScale) return { result: false };
+        
+        context.player.setGravityScale(getNumber(inputs.scale, 1));
+        return { result: true };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.SET_GRAVITY_SCALE
+        };
+    }
+}
+
+// Whether the jump node only works from the ground, by the value of its control
+const JUMP_MODES = [
+    { value: 'ground', label: 'Tik nuo žemės' },
+    { value: 'always', label: 'Bet kada' }
+];
+
+export class JumpNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.JUMP;
+    constructor(mode: string = 'ground') {
+        super('Šokti');
+        
+        this.addInput('execIn', new ClassicPreset.Input(execSocket));
+        this.addInput('strength', new ClassicPreset.Input(numberSocket, 'Jėga'));
+        
+        const modeControl = new SelectControl(JUMP_MODES, JUMP_MODES[0].value);
+        modeControl.setValue(mode);
+        this.addControl('mode', modeControl);
+        
+        this.addOutput('execOut', new ClassicPreset.Output(execSocket));
+    }
+
+    data(inputs: { execIn?: any[]; strength?: number[] }, context?: NodeExecutionContext): { result: boolean } {
+        if (!context || !context.player) return { result: false };
+        
+        // Without a strength the player jumps as high as it does without a script
+        const strength = getNumber(inputs.strength, -context.player.jumpSpeed);
+        return { result: jump(context, strength, this.getMode() === 'ground') };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.JUMP,
+            mode: this.getMode()
+        };
+    }
+    
+    getMode(): string {
+        return (this.controls.mode as SelectControl).value;
+    }
+}
@@ -0,0 +1,34 @@
+import { ClassicPreset } from 'rete';
+import { NodeType } from './NodeTypes';
+
+const execSocket = new ClassicPreset.Socket("exec");
+const booleanSocket = new ClassicPreset.Socket("boolean");
+
+export class BranchNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.BRANCH;
+    constructor() {
+        super('Jei');
+        
+        this.addInput('execIn', new ClassicPreset.Input(execSocket));
+        this.addInput('condition', new ClassicPreset.Input(booleanSocket, 'Sąlyga'));
+        
+        this.addOutput('execTrue', new ClassicPreset.Output(execSocket, 'Taip'));
+        this.addOutput('execFalse', new ClassicPreset.Output(execSocket, 'Ne'));
+    }
+
+    data(inputs: { execIn?: any[]; condition?: boolean[] }): { execOutput: string } {
+        // An unconnected condition counts as false
+        const condition = inputs.condition && inputs.condition.length > 0 ? inputs.condition[0] : false;
+        
+        // Name the exec output the execution continues through
+        return { execOutput: condition ? 'execTrue' : 'execFalse' };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.BRANCH
+        };
+    }
+}
@@ -0,0 +1,58 @@
+import { ClassicPreset } from 'rete';
+import { NodeType } from './NodeTypes';
+import { SelectControl } from './controls/SelectControl';
+
+const numberSocket = new ClassicPreset.Socket("number");
+const booleanSocket = new ClassicPreset.Socket("boolean");
+
+// Operators the node can compare with, in the order they're listed
+const OPERATORS = ['<', '>', '==', '!='];
+
+export class CompareNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.COMPARE;
+    constructor(operator: string = '<') {
+        super('Palyginti');
+        
+        this.addInput('a', new ClassicPreset.Input(numberSocket, 'A'));
+        this.addInput('b', new ClassicPreset.Input(numberSocket, 'B'));
+        
+        const operatorControl = new SelectControl(
+            OPERATORS.map(value => ({ value, label: `A ${value} B` })),
+            OPERATORS[0]
+        );
+        operatorControl.setValue(operator);
+        this.addControl('operator', operatorControl);
+        
+        this.addOutput('value', new ClassicPreset.Output(booleanSocket, 'Rezultatas'));
+    }
+
+    data(inputs: { a?: number[]; b?: number[] }): { value: boolean } {
+        // Get values from input arrays, defaulting to 0 if not provided
+        const aValue = inputs.a && inputs.a.length > 0 ? inputs.a[0] : 0;
+        const bValue = inputs.b && inputs.b.length > 0 ? inputs.b[0] : 0;
+        
+        switch (this.getOperator()) {
+            case '>':
+                return { value: aValue > bValue };
+            case '==':
+                return { value: aValue === bValue };
+            case '!=':
+                return { value: aValue !== bValue };
+            default:
+                return { value: aValue < bValue };
+        }
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.COMPARE,
+            operator: this.getOperator()
+        };
+    }
+    
+    getOperator(): string {
+        return (this.controls.operator as SelectControl).value;
+    }
+}
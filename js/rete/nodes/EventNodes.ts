@@ -0,0 +1,114 @@
+import { ClassicPreset } from 'rete';
+import { NodeType } from './NodeTypes';
+
+const execSocket = new ClassicPreset.Socket("exec");
+
+// Runs once, when the preview starts
+export class OnReadyNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.ON_READY;
+    constructor() {
+        super('Pradžia');
+
+        this.addOutput('execOut', new ClassicPreset.Output(execSocket));
+    }
+
+    data() {
+        return { execOut: null };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.ON_READY
+        };
+    }
+}
+
+// Runs when the player lands on the ground after being in the air
+export class OnLandedNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.ON_LANDED;
+    constructor() {
+        super('Nusileidus');
+
+        this.addOutput('execOut', new ClassicPreset.Output(execSocket));
+    }
+
+    data() {
+        return { execOut: null };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.ON_LANDED
+        };
+    }
+}
+
+// Runs when the jump control is pressed (not while it's held)
+export class OnJumpPressedNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.ON_JUMP_PRESSED;
+    constructor() {
+        super('Paspaudus šuolį');
+
+        this.addOutput('execOut', new ClassicPreset.Output(execSocket));
+    }
+
+    data() {
+        return { execOut: null };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.ON_JUMP_PRESSED
+        };
+    }
+}
+
+// Runs when the player starts touching a block, a moving platform or tiles
+export class OnTouchBlockNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.ON_TOUCH_BLOCK;
+    constructor() {
+        super('Palietus bloką');
+
+        this.addOutput('execOut', new ClassicPreset.Output(execSocket));
+    }
+
+    data() {
+        return { execOut: null };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.ON_TOUCH_BLOCK
+        };
+    }
+}
+
+// Runs when the player enters a level end trigger
+export class OnEnterTriggerNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.ON_ENTER_TRIGGER;
+    constructor() {
+        super('Pasiekus pabaigą');
+
+        this.addOutput('execOut', new ClassicPreset.Output(execSocket));
+    }
+
+    data() {
+        return { execOut: null };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.ON_ENTER_TRIGGER
+        };
+    }
+}
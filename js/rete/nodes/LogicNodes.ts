@@ -0,0 +1,80 @@
+import { ClassicPreset } from 'rete';
+import { NodeType } from './NodeTypes';
+
+const booleanSocket = new ClassicPreset.Socket("boolean");
+
+// Read a boolean input, treating an unconnected one as false
+const getBoolean = (values?: boolean[]): boolean => {
+    return values && values.length > 0 ? values[0] === true : false;
+};
+
+export class AndNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.AND;
+    constructor() {
+        super('Ir');
+        
+        this.addInput('a', new ClassicPreset.Input(booleanSocket, 'A'));
+        this.addInput('b', new ClassicPreset.Input(booleanSocket, 'B'));
+        
+        this.addOutput('value', new ClassicPreset.Output(booleanSocket, 'A ir B'));
+    }
+
+    data(inputs: { a?: boolean[]; b?: boolean[] }): { value: boolean } {
+        return { value: getBoolean(inputs.a) && getBoolean(inputs.b) };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.AND
+        };
+    }
+}
+
+export class OrNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.OR;
+    constructor() {
+        super('Arba');
+        
+        this.addInput('a', new ClassicPreset.Input(booleanSocket, 'A'));
+        this.addInput('b', new ClassicPreset.Input(booleanSocket, 'B'));
+        
+        this.addOutput('value', new ClassicPreset.Output(booleanSocket, 'A arba B'));
+    }
+
+    data(inputs: { a?: boolean[]; b?: boolean[] }): { value: boolean } {
+        return { value: getBoolean(inputs.a) || getBoolean(inputs.b) };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.OR
+        };
+    }
+}
+
+export class NotNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.NOT;
+    constructor() {
+        super('Ne');
+        
+        this.addInput('a', new ClassicPreset.Input(booleanSocket, 'A'));
+        
+        this.addOutput('value', new ClassicPreset.Output(booleanSocket, 'Ne A'));
+    }
+
+    data(inputs: { a?: boolean[] }): { value: boolean } {
+        return { value: !getBoolean(inputs.a) };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.NOT
+        };
+    }
+}
@@ -0,0 +1,360 @@
+import { ClassicPreset } from 'rete';
+import { NodeType } from './NodeTypes';
+
+const numberSocket = new ClassicPreset.Socket("number");
+
+// Read a number input, using the fallback when it's unconnected or not a finite number
+export const getNumber = (values: number[] | undefined, fallback: number = 0): number => {
+    const value = values && values.length > 0 ? values[0] : undefined;
+    return typeof value === 'number' && Number.isFinite(value) ? value : fallback;
+};
+
+export class AddNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.ADD;
+    constructor() {
+        super('Sudėtis');
+        
+        this.addInput('a', new ClassicPreset.Input(numberSocket, 'A'));
+        this.addInput('b', new ClassicPreset.Input(numberSocket, 'B'));
+        
+        this.addOutput('result', new ClassicPreset.Output(numberSocket, 'A+B'));
+    }
+
+    data(inputs: { a?: number[]; b?: number[] }): { value: number } {
+        return { value: getNumber(inputs.a) + getNumber(inputs.b) };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.ADD
+        };
+    }
+}
+
+export class SubtractNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.SUBTRACT;
+    constructor() {
+        super('Atimtis');
+        
+        this.addInput('a', new ClassicPreset.Input(numberSocket, 'A'));
+        this.addInput('b', new ClassicPreset.Input(numberSocket, 'B'));
+        
+        this.addOutput('result', new ClassicPreset.Output(numberSocket, 'A−B'));
+    }
+
+    data(inputs: { a?: number[]; b?: number[] }): { value: number } {
+        return { value: getNumber(inputs.a) - getNumber(inputs.b) };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.SUBTRACT
+        };
+    }
+}
+
+export class DivideNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.DIVIDE;
+    constructor() {
+        super('Dalyba');
+        
+        this.addInput('a', new ClassicPreset.Input(numberSocket, 'A'));
+        this.addInput('b', new ClassicPreset.Input(numberSocket, 'B'));
+        
+        this.addOutput('result', new ClassicPreset.Output(numberSocket, 'A÷B'));
+    }
+
+    data(inputs: { a?: number[]; b?: number[] }): { value: number } {
+        const aValue = getNumber(inputs.a);
+        const bValue = getNumber(inputs.b);
+        
+        // Dividing by zero gives 0 rather than Infinity or NaN
+        return { value: bValue === 0 ? 0 : aValue / bValue };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.DIVIDE
+        };
+    }
+}
+
+export class NegateNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.NEGATE;
+    constructor() {
+        super('Priešingas');
+        
+        this.addInput('a', new ClassicPreset.Input(numberSocket, 'A'));
+        
+        this.addOutput('result', new ClassicPreset.Output(numberSocket, '−A'));
+    }
+
+    data(inputs: { a?: number[] }): { value: number } {
+        return { value: -getNumber(inputs.a) };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.NEGATE
+        };
+    }
+}
+
+export class AbsNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.ABS;
+    constructor() {
+        super('Modulis');
+        
+        this.addInput('a', new ClassicPreset.Input(numberSocket, 'A'));
+        
+        this.addOutput('result', new ClassicPreset.Output(numberSocket, '|A|'));
+    }
+
+    data(inputs: { a?: number[] }): { value: number } {
+        return { value: Math.abs(getNumber(inputs.a)) };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.ABS
+        };
+    }
+}
+
+export class MinNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.MIN;
+    constructor() {
+        super('Mažesnis');
+        
+        this.addInput('a', new ClassicPreset.Input(numberSocket, 'A'));
+        this.addInput('b', new ClassicPreset.Input(numberSocket, 'B'));
+        
+        this.addOutput('result', new ClassicPreset.Output(numberSocket, 'min(A, B)'));
+    }
+
+    data(inputs: { a?: number[]; b?: number[] }): { value: number } {
+        return { value: Math.min(getNumber(inputs.a), getNumber(inputs.b)) };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.MIN
+        };
+    }
+}
+
+export class MaxNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.MAX;
+    constructor() {
+        super('Didesnis');
+        
+        this.addInput('a', new ClassicPreset.Input(numberSocket, 'A'));
+        this.addInput('b', new ClassicPreset.Input(numberSocket, 'B'));
+        
+        this.addOutput('result', new ClassicPreset.Output(numberSocket, 'max(A, B)'));
+    }
+
+    data(inputs: { a?: number[]; b?: number[] }): { value: number } {
+        return { value: Math.max(getNumber(inputs.a), getNumber(inputs.b)) };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.MAX
+        };
+    }
+}
+
+export class ClampNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.CLAMP;
+    constructor() {
+        super('Apriboti');
+        
+        this.addInput('value', new ClassicPreset.Input(numberSocket, 'Reikšmė'));
+        this.addInput('min', new ClassicPreset.Input(numberSocket, 'Nuo'));
+        this.addInput('max', new ClassicPreset.Input(numberSocket, 'Iki'));
+        
+        this.addOutput('result', new ClassicPreset.Output(numberSocket, 'Rezultatas'));
+    }
+
+    data(inputs: { value?: number[]; min?: number[]; max?: number[] }): { value: number } {
+        const value = getNumber(inputs.value);
+        const min = getNumber(inputs.min, 0);
+        const max = getNumber(inputs.max, 1);
+        
+        // Limits connected the wrong way round still give a range
+        return { value: Math.min(Math.max(value, Math.min(min, max)), Math.max(min, max)) };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.CLAMP
+        };
+    }
+}
+
+export class LerpNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.LERP;
+    constructor() {
+        super('Tarpinė reikšmė');
+        
+        this.addInput('a', new ClassicPreset.Input(numberSocket, 'A'));
+        this.addInput('b', new ClassicPreset.Input(numberSocket, 'B'));
+        this.addInput('t', new ClassicPreset.Input(numberSocket, 'T'));
+        
+        this.addOutput('result', new ClassicPreset.Output(numberSocket, 'Rezultatas'));
+    }
+
+    data(inputs: { a?: number[]; b?: number[]; t?: number[] }): { value: number } {
+        const aValue = getNumber(inputs.a);
+        const bValue = getNumber(inputs.b);
+        const t = getNumber(inputs.t);
+        
+        // T of 0 gives A, 1 gives B and values in between blend them
+        return { value: aValue + (bValue - aValue) * t };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.LERP
+        };
+    }
+}
+
+export class SignNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.SIGN;
+    constructor() {
+        super('Ženklas');
+        
+        this.addInput('a', new ClassicPreset.Input(numberSocket, 'A'));
+        
+        this.addOutput('result', new ClassicPreset.Output(numberSocket, '−1, 0 arba 1'));
+    }
+
+    data(inputs: { a?: number[] }): { value: number } {
+        return { value: Math.sign(getNumber(inputs.a)) };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.SIGN
+        };
+    }
+}
+
+export class RoundNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.ROUND;
+    constructor() {
+        super('Apvalinti');
+        
+        this.addInput('a', new ClassicPreset.Input(numberSocket, 'A'));
+        
+        this.addOutput('result', new ClassicPreset.Output(numberSocket, 'Rezultatas'));
+    }
+
+    data(inputs: { a?: number[] }): { value: number } {
+        return { value: Math.round(getNumber(inputs.a)) };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.ROUND
+        };
+    }
+}
+
+export class SinNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.SIN;
+    constructor() {
+        super('Sinusas');
+        
+        this.addInput('a', new ClassicPreset.Input(numberSocket, 'Kampas (rad)'));
+        
+        this.addOutput('result', new ClassicPreset.Output(numberSocket, 'sin'));
+    }
+
+    data(inputs: { a?: number[] }): { value: number } {
+        return { value: Math.sin(getNumber(inputs.a)) };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.SIN
+        };
+    }
+}
+
+export class CosNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.COS;
+    constructor() {
+        super('Kosinusas');
+        
+        this.addInput('a', new ClassicPreset.Input(numberSocket, 'Kampas (rad)'));
+        
+        this.addOutput('result', new ClassicPreset.Output(numberSocket, 'cos'));
+    }
+
+    data(inputs: { a?: number[] }): { value: number } {
+        return { value: Math.cos(getNumber(inputs.a)) };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.COS
+        };
+    }
+}
+
+export class RandomNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.RANDOM;
+    constructor() {
+        super('Atsitiktinis');
+        
+        this.addInput('min', new ClassicPreset.Input(numberSocket, 'Nuo'));
+        this.addInput('max', new ClassicPreset.Input(numberSocket, 'Iki'));
+        
+        this.addOutput('result', new ClassicPreset.Output(numberSocket, 'Skaičius'));
+    }
+
+    data(inputs: { min?: number[]; max?: number[] }): { value: number } {
+        const min = getNumber(inputs.min, 0);
+        const max = getNumber(inputs.max, 1);
+        
+        // A new number every frame; nodes reading it in the same frame share it
+        return { value: min + Math.random() * (max - min) };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.RANDOM
+        };
+    }
+}
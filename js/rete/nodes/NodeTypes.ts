@@ -1,9 +1,44 @@
 // Define the node types as an enum to ensure they won't be minified
 export enum NodeType {
+  ABS = 'ABS',
+  ADD = 'ADD',
+  ADD_IMPULSE = 'ADD_IMPULSE',
+  AND = 'AND',
+  BRANCH = 'BRANCH',
+  CLAMP = 'CLAMP',
+  COMPARE = 'COMPARE',
+  COS = 'COS',
+  DELTA_TIME = 'DELTA_TIME',
+  DIVIDE = 'DIVIDE',
+  ELAPSED_TIME = 'ELAPSED_TIME',
   FLOAT = 'FLOAT',
   GET_HORIZONTAL_AXIS = 'GET_HORIZONTAL_AXIS',
+  GET_POSITION = 'GET_POSITION',
+  GET_VELOCITY = 'GET_VELOCITY',
   GET_VERTICAL_AXIS = 'GET_VERTICAL_AXIS',
+  IS_ON_GROUND = 'IS_ON_GROUND',
+  IS_TOUCHING_WALL = 'IS_TOUCHING_WALL',
+  JUMP = 'JUMP',
+  LERP = 'LERP',
+  MAX = 'MAX',
+  MIN = 'MIN',
   MULTIPLY = 'MULTIPLY',
+  NEGATE = 'NEGATE',
+  NOT = 'NOT',
+  ON_ENTER_TRIGGER = 'ON_ENTER_TRIGGER',
+  ON_JUMP_PRESSED = 'ON_JUMP_PRESSED',
+  ON_LANDED = 'ON_LANDED',
+  ON_READY = 'ON_READY',
+  ON_TOUCH_BLOCK = 'ON_TOUCH_BLOCK',
   ON_UPDATE = 'ON_UPDATE',
+  OR = 'OR',
+  RANDOM = 'RANDOM',
+  ROUND = 'ROUND',
+  SET_GRAVITY_SCALE = 'SET_GRAVITY_SCALE',
+  SET_VELOCITY_X = 'SET_VELOCITY_X',
+  SET_VELOCITY_Y = 'SET_VELOCITY_Y',
+  SIGN = 'SIGN',
+  SIN = 'SIN',
+  SUBTRACT = 'SUBTRACT',
   TRANSFORM = 'TRANSFORM'
 }
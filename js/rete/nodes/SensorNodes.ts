@@ -0,0 +1,158 @@
+import { ClassicPreset } from 'rete';
+import { NodeExecutionContext } from '../types';
+import { NodeType } from './NodeTypes';
+
+const numberSocket = new ClassicPreset.Socket("number");
+const booleanSocket = new ClassicPreset.Socket("boolean");
+
+// Whether the player stands on something
+export class IsOnGroundNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.IS_ON_GROUND;
+    constructor() {
+        super('Ant žemės');
+        
+        this.addOutput('value', new ClassicPreset.Output(booleanSocket, 'Taip/Ne'));
+    }
+
+    data(_inputs: unknown, context?: NodeExecutionContext): { value: boolean } {
+        return { value: !!(context && context.isOnGround) };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.IS_ON_GROUND
+        };
+    }
+}
+
+// Whether the player is pressed against a wall on either side
+export class IsTouchingWallNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.IS_TOUCHING_WALL;
+    constructor() {
+        super('Liečia sieną');
+        
+        this.addOutput('left', new ClassicPreset.Output(booleanSocket, 'Kairėje'));
+        this.addOutput('right', new ClassicPreset.Output(booleanSocket, 'Dešinėje'));
+    }
+
+    data(_inputs: unknown, context?: NodeExecutionContext): { left: boolean; right: boolean } {
+        if (!context || !context.player) {
+            return { left: false, right: false };
+        }
+        
+        // Touching is set by colliders with other bodies, blocked by static ones and the level's walls
+        const body = context.player.body;
+        return {
+            left: body.touching.left || body.blocked.left,
+            right: body.touching.right || body.blocked.right
+        };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.IS_TOUCHING_WALL
+        };
+    }
+}
+
+// The player's speed in pixels per second; positive Y is downwards
+export class GetVelocityNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.GET_VELOCITY;
+    constructor() {
+        super('Greitis');
+        
+        this.addOutput('x', new ClassicPreset.Output(numberSocket, 'X'));
+        this.addOutput('y', new ClassicPreset.Output(numberSocket, 'Y'));
+    }
+
+    data(_inputs: unknown, context?: NodeExecutionContext): { x: number; y: number } {
+        if (!context || !context.player) {
+            return { x: 0, y: 0 };
+        }
+        
+        return { x: context.player.body.velocity.x, y: context.player.body.velocity.y };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.GET_VELOCITY
+        };
+    }
+}
+
+// The player's position in the level, in pixels from its top left corner
+export class GetPositionNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.GET_POSITION;
+    constructor() {
+        super('Padėtis');
+        
+        this.addOutput('x', new ClassicPreset.Output(numberSocket, 'X'));
+        this.addOutput('y', new ClassicPreset.Output(numberSocket, 'Y'));
+    }
+
+    data(_inputs: unknown, context?: NodeExecutionContext): { x: number; y: number } {
+        if (!context || !context.player) {
+            return { x: 0, y: 0 };
+        }
+        
+        return { x: context.player.x, y: context.player.y };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.GET_POSITION
+        };
+    }
+}
+
+// Seconds since the previous frame, for changes that shouldn't depend on the frame rate
+export class DeltaTimeNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.DELTA_TIME;
+    constructor() {
+        super('Kadro trukmė');
+        
+        this.addOutput('value', new ClassicPreset.Output(numberSocket, 'Sekundės'));
+    }
+
+    data(_inputs: unknown, context?: NodeExecutionContext): { value: number } {
+        return { value: context && context.deltaTime ? context.deltaTime : 0 };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.DELTA_TIME
+        };
+    }
+}
+
+// Seconds since the preview started
+export class ElapsedTimeNode extends ClassicPreset.Node {
+    // Static property that won't be minified
+    static readonly TYPE = NodeType.ELAPSED_TIME;
+    constructor() {
+        super('Praėjęs laikas');
+        
+        this.addOutput('value', new ClassicPreset.Output(numberSocket, 'Sekundės'));
+    }
+
+    data(_inputs: unknown, context?: NodeExecutionContext): { value: number } {
+        return { value: context && context.elapsedTime ? context.elapsedTime : 0 };
+    }
+    
+    serialize() {
+        // Include type information in serialized data
+        return {
+            nodeType: NodeType.ELAPSED_TIME
+        };
+    }
+}
@@ -0,0 +1,20 @@
+import { ClassicPreset } from 'rete';
+
+export type SelectOption = {
+    value: string;
+    label: string;
+};
+
+// A drop-down list shown on a node, e.g. the operator of a comparison
+export class SelectControl extends ClassicPreset.Control {
+    constructor(public options: SelectOption[], public value: string) {
+        super();
+    }
+
+    setValue(value: string) {
+        // Ignore values that aren't among the options, e.g. from a damaged save
+        if (this.options.some(option => option.value === value)) {
+            this.value = value;
+        }
+    }
+}
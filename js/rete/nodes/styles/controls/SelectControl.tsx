@@ -0,0 +1,39 @@
+import { useRef, useState } from "react";
+import { Drag } from "rete-react-plugin";
+import styled from "styled-components";
+import { SelectControl as SelectControlData } from "../../controls/SelectControl";
+
+const Select = styled.select`
+  width: 100%;
+  background-color: #2a2a2a;
+  border-radius: 4px;
+  border: 1px solid #252525;
+  height: 24px;
+  color: white;
+  font-size: 14px;
+`;
+
+export function SelectControl(props: { data: SelectControlData }) {
+  const [value, setValue] = useState(props.data.value);
+  const ref = useRef<HTMLSelectElement | null>(null);
+
+  // Let the list open instead of starting a drag of the editor
+  Drag.useNoDrag(ref);
+
+  return (
+    <Select
+      ref={ref}
+      value={value}
+      onChange={(e) => {
+        props.data.setValue(e.target.value);
+        setValue(props.data.value);
+      }}
+    >
+      {props.data.options.map((option) => (
+        <option key={option.value} value={option.value}>
+          {option.label}
+        </option>
+      ))}
+    </Select>
+  );
+}
@@ -0,0 +1,308 @@
+import { ClassicScheme, Presets } from "rete-react-plugin";
+import styled, { css } from "styled-components";
+import { $nodewidth, $socketmargin, $socketsize } from "../vars";
+import { sortByIndex, Props, NodeExtraData } from "../util";
+
+const { RefSocket, RefControl } = Presets.classic;
+
+// How a node kind sets itself apart: the icon in its title is either a shape or,
+// when symbols are given, a short text picked by the node label
+export type AccentNodeLayout = {
+  // CSS background of a shape icon (a colour, or an image such as a gradient),
+  // or the text colour of a symbol icon
+  accent: string;
+  // CSS clip-path cutting the icon into its shape
+  shape?: string;
+  // Text shown as the icon, by node label
+  symbols?: Record<string, string>;
+};
+
+export const NodeStyles = styled.div<
+  NodeExtraData & {
+    $layout: AccentNodeLayout;
+    selected: boolean;
+    styles?: (props: any) => any;
+  }
+>`
+  background: #393939;
+  border: 1px solid black;
+  cursor: pointer;
+  box-sizing: border-box;
+  width: ${(props) =>
+    Number.isFinite(props.width) ? `${props.width}px` : `${$nodewidth}px`};
+  height: ${(props) =>
+    Number.isFinite(props.height) ? `${props.height}px` : "auto"};
+  padding-bottom: 6px;
+  position: relative;
+  user-select: none;
+  &:hover {
+    background: #333;
+  }
+  ${(props) =>
+    props.selected &&
+    css`
+      border-color: #247374;
+    `}
+  .title {
+    color: white;
+    font-family: sans-serif;
+    font-size: 18px;
+    padding: 8px;
+    display: flex;
+    align-items: center;
+  }
+  .icon {
+    width: 50px;
+    height: 50px;
+    ${(props) =>
+      props.$layout.symbols
+        ? css`
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            color: ${props.$layout.accent};
+            font-family: sans-serif;
+            font-size: 24px;
+            font-weight: bold;
+            white-space: nowrap;
+          `
+        : css`
+            background: ${props.$layout.accent};
+            clip-path: ${props.$layout.shape};
+            transition: background-color 0.2s ease;
+          `}
+  }
+
+  .output {
+    text-align: right;
+    padding-top: 5px;
+    padding-bottom: 5px;
+    display: flex;
+  }
+  .input {
+    text-align: left;
+    padding-top: 5px;
+    padding-bottom: 5px;
+    display: flex;
+  }
+  .output-socket {
+    text-align: right;
+    margin-right: 9px;
+    display: inline-block;
+  }
+  .input-socket {
+    text-align: left;
+    margin-left: 6px;
+    display: inline-block;
+  }
+  .input-title,
+  .output-title {
+    vertical-align: middle;
+    color: white;
+    display: inline-block;
+    font-family: sans-serif;
+    font-size: 14px;
+    margin: ${$socketmargin}px;
+    line-height: ${$socketsize}px;
+  }
+  .input-control {
+    z-index: 1;
+    width: calc(100% - ${$socketsize + 3 * $socketmargin}px);
+    vertical-align: middle;
+  }
+  .control {
+    display: block;
+    padding: ${$socketmargin * 1.5}px ${$socketsize / 2 + $socketmargin * 2}px
+      ${$socketmargin * 1.5}px ${$socketsize / 2 + $socketmargin}px;
+  }
+  .sockets {
+    border-top: 1px solid #252525;
+    border-bottom: 1px solid #252525;
+    background-color: #3c3c3c;
+    display: flex;
+    width: 100%;
+  }
+  .inputs {
+    flex: 1;
+  }
+  .outputs {
+    flex: 1;
+  }
+  .controls {
+    flex: 3;
+  }
+  input {
+    background-color: #2a2a2a;
+    border-radius: 4px;
+    border: 1px solid #252525;
+    height: 20px;
+    color: white;
+    font-size: 14px;
+  }
+  ${(props) => props.styles && props.styles(props)}
+`;
+
+export function AccentNode<Scheme extends ClassicScheme>(
+  props: Props<Scheme> & { layout: AccentNodeLayout }
+) {
+  const inputs = Object.entries(props.data.inputs);
+  const outputs = Object.entries(props.data.outputs);
+  const controls = Object.entries(props.data.controls);
+  const selected = props.data.selected || false;
+  const { id, label, width, height } = props.data;
+
+  sortByIndex(inputs);
+  sortByIndex(outputs);
+  sortByIndex(controls);
+
+  return (
+    <NodeStyles
+      $layout={props.layout}
+      selected={selected}
+      width={width}
+      height={height}
+      styles={props.styles}
+      data-testid="node"
+    >
+      <div className="color" />
+      <div className="title" data-testid="title">
+        <div className="icon">
+          {props.layout.symbols && (props.layout.symbols[label] || "")}
+        </div>
+        {label}
+      </div>
+      <div className="sockets">
+        <div className="inputs">
+          {/* Inputs */}
+          {inputs.map(
+            ([key, input]) =>
+              input && (
+                <div className="input" key={key} data-testid={`input-${key}`}>
+                  <RefSocket
+                    name="input-socket"
+                    emit={props.emit}
+                    side="input"
+                    socketKey={key}
+                    nodeId={id}
+                    payload={input.socket}
+                  />
+                  {input && (!input.control || !input.showControl) && (
+                    <div className="input-title" data-testid="input-title">
+                      {input?.label}
+                    </div>
+                  )}
+                  {input?.control && input?.showControl && (
+                    <span className="input-control">
+                      <RefControl
+                        key={key}
+                        name="input-control"
+                        emit={props.emit}
+                        payload={input.control}
+                      />
+                    </span>
+                  )}
+                </div>
+              )
+          )}
+        </div>
+        <div className="controls">
+          {/* Controls */}
+          {controls.map(([key, control]) => {
+            return control ? (
+              <RefControl
+                key={key}
+                name="control"
+                emit={props.emit}
+                payload={control}
+              />
+            ) : null;
+          })}
+        </div>
+        <div className="outputs">
+          {/* Outputs */}
+          {outputs.map(
+            ([key, output]) =>
+              output && (
+                <div className="output" key={key} data-testid={`output-${key}`}>
+                  <div className="output-title" data-testid="output-title">
+                    {output?.label}
+                  </div>
+                  <RefSocket
+                    name="output-socket"
+                    side="output"
+                    emit={props.emit}
+                    socketKey={key}
+                    nodeId={id}
+                    payload={output.socket}
+                  />
+                </div>
+              )
+          )}
+        </div>
+      </div>
+    </NodeStyles>
+  );
+}
+
+// A node style drawing every node with the given layout
+export function createAccentNode(layout: AccentNodeLayout) {
+  return function <Scheme extends ClassicScheme>(props: Props<Scheme>) {
+    return <AccentNode {...props} layout={layout} />;
+  };
+}
+
+// A path forking in two
+export const BranchNode = createAccentNode({
+  accent: "#B8FF59",
+  shape: `polygon(10% 45%, 45% 45%, 65% 20%, 60% 12%, 90% 12%, 90% 42%, 82% 36%,
+    55% 70%, 82% 64%, 90% 58%, 90% 88%, 60% 88%, 65% 80%, 45% 55%, 10% 55%)`,
+});
+
+// < >
+export const CompareNode = createAccentNode({
+  accent: "#ff7eb6",
+  shape: `polygon(45% 20%, 50% 28%, 20% 50%, 50% 72%, 45% 80%, 5% 50%, 55% 20%,
+    95% 50%, 55% 80%, 50% 72%, 80% 50%, 50% 28%)`,
+});
+
+// A logic gate
+export const LogicNode = createAccentNode({
+  accent: "#ff7eb6",
+  shape: `polygon(10% 20%, 50% 20%, 70% 28%, 85% 42%, 95% 50%, 85% 58%, 70% 72%,
+    50% 80%, 10% 80%, 20% 65%, 24% 50%, 20% 35%)`,
+});
+
+// Symbol shown as the icon of each math node, by node label
+export const MATH_SYMBOLS: Record<string, string> = {
+  "Sudėtis": "+",
+  "Atimtis": "−",
+  "Dalyba": "÷",
+  "Priešingas": "−x",
+  "Modulis": "|x|",
+  "Mažesnis": "min",
+  "Didesnis": "max",
+  "Apriboti": "[ ]",
+  "Tarpinė reikšmė": "↔",
+  "Ženklas": "±",
+  "Apvalinti": "≈",
+  "Sinusas": "sin",
+  "Kosinusas": "cos",
+  "Atsitiktinis": "?",
+};
+
+export const MathNode = createAccentNode({
+  accent: "white",
+  symbols: MATH_SYMBOLS,
+});
+
+// An eye
+export const SensorNode = createAccentNode({
+  accent: "radial-gradient(circle, #393939 0 18%, #7ed4fa 19% 100%)",
+  shape: "ellipse(45% 28% at 50% 50%)",
+});
+
+// A push
+export const ActionNode = createAccentNode({
+  accent: "#FF7E5F",
+  shape: "polygon(10% 40%, 55% 40%, 55% 20%, 90% 50%, 55% 80%, 55% 60%, 10% 60%)",
+});
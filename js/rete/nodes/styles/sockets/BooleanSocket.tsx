@@ -0,0 +1,36 @@
+import { ClassicPreset } from "rete";
+import styled from "styled-components";
+import { $socketsize } from "../vars";
+
+const Styles = styled.div`
+  display: inline-block;
+  cursor: pointer;
+  width: ${$socketsize * 1.5}px;
+  height: ${$socketsize * 1.5}px;
+  vertical-align: middle;
+  z-index: 2;
+  box-sizing: border-box;
+  position: relative;
+
+  &:before {
+    content: "";
+    position: absolute;
+    top: 50%;
+    left: 50%;
+    transform: translate(-50%, -50%) rotate(45deg); /* diamond */
+    width: 10px;
+    height: 10px;
+    background-color: #ff7eb6;
+    transition: background-color 0.2s ease;
+  }
+
+  &:hover:before {
+    background-color: #b85a83;
+  }
+`;
+
+export function BooleanSocket<T extends ClassicPreset.Socket>(props: {
+  data: T;
+}) {
+  return <Styles title={props.data.name} />;
+}
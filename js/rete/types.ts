@@ -33,6 +33,8 @@ export interface Player {
     setVelocityY: (value: number) => void;
   };
   setPosition: (x: number, y: number) => void;
+  setGravityScale?: (scale: number) => void;
+  scene?: any;
   keyboardState?: {
     left: boolean;
     right: boolean;
@@ -62,6 +64,7 @@ export interface PlayerState {
 export interface NodeExecutionContext {
   player: Player;
   deltaTime?: number;
+  elapsedTime?: number; // Seconds since the preview started
   time?: number;
   previousState?: PlayerState;
   isOnGround?: boolean;
@@ -0,0 +1,465 @@
+/**
+ * Project storage in this browser, backed by IndexedDB
+ *
+ * The project list keeps each project's metadata (title, author, created/modified
+ * dates) and a thumbnail of its level; the level and script are stored whole under
+ * project/<id>/gameState and project/<id>/scriptState, so they are only limited by
+ * the browser's storage quota. Which project is open is stored too.
+ *
+ * Saves made by older versions into cookies (or their localStorage fallback) are
+ * moved into the database once, the first time it is opened, and a single save
+ * from before projects existed becomes the first project.
+ *
+ * Snapshot histories are always kept here, whichever backend holds the projects
+ * themselves, so they can be stored for save server projects too.
+ *
+ * This is one of the places storage.js can keep projects; like the save server
+ * backend, every function throws (rejects) when it fails.
+ */
+
+import { getCookie, deleteCookie } from './cookieManager.js';
+import { createProjectMetadata, createProjectId, isSameContent } from './projectFormat.js';
+import { createLevelThumbnail } from './levelThumbnail.js';
+
+const DB_NAME = 'ilape';
+const DB_VERSION = 1;
+const STORE_NAME = 'state';
+
+// Marks that cookie data has already been moved into the database
+const MIGRATION_KEY = 'cookiesMigrated';
+// Keys the single project was saved under before there were several (older versions used the same names for their cookies)
+const LEGACY_STATE_KEYS = ['gameState', 'scriptState', 'projectMeta'];
+// The project list: [{ id, title, author, created, modified, thumbnail }]
+const PROJECTS_KEY = 'projects';
+// Id of the project that is open in the editor
+const CURRENT_PROJECT_KEY = 'currentProject';
+// The parts saved for every project
+const PROJECT_PARTS = ['gameState', 'scriptState'];
+
+let databasePromise = null;
+// Id of the open project, known once the database has been opened
+let currentProjectId = null;
+
+// Key a part of a project is saved under
+const projectKey = (projectId, part) => `project/${projectId}/${part}`;
+
+// Key a project's snapshot history is saved under: [{ time, gameState, scriptState }], oldest first
+const snapshotsKey = (projectId) => `snapshots/${projectId}`;
+
+// Open the database, creating the object store on first use
+const openDatabase = () => new Promise((resolve, reject) => {
+  if (typeof indexedDB === 'undefined') {
+    reject(new Error('IndexedDB is not available in this browser'));
+    return;
+  }
+  
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(STORE_NAME)) {
+      db.createObjectStore(STORE_NAME);
+    }
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+  request.onblocked = () => reject(new Error('The storage database is blocked by another tab'));
+});
+
+// Run a single request in its own transaction, resolving once the transaction has completed
+const transact = (db, mode, createRequest) => new Promise((resolve, reject) => {
+  const transaction = db.transaction(STORE_NAME, mode);
+  const request = createRequest(transaction.objectStore(STORE_NAME));
+  
+  let result;
+  request.onsuccess = () => {
+    result = request.result;
+  };
+  transaction.oncomplete = () => resolve(result);
+  // Quota errors abort the transaction rather than failing the request
+  transaction.onabort = () => reject(transaction.error || request.error);
+  transaction.onerror = () => reject(transaction.error || request.error);
+});
+
+// Read some keys and write back the changes update(values) returns as { key: value }
+// (undefined deletes the key), all in one transaction so concurrent saves can't
+// overwrite each other. Resolves to the changes once they have been written.
+const updateValues = (db, keys, update) => new Promise((resolve, reject) => {
+  const transaction = db.transaction(STORE_NAME, 'readwrite');
+  const store = transaction.objectStore(STORE_NAME);
+  const requests = keys.map(key => store.get(key));
+  
+  let changes;
+  let updateError = null;
+  // Requests complete in order, so every value has been read once the last one succeeds
+  requests[requests.length - 1].onsuccess = () => {
+    const values = {};
+    keys.forEach((key, index) => {
+      values[key] = requests[index].result;
+    });
+    
+    try {
+      changes = update(values);
+    } catch (e) {
+      updateError = e;
+      transaction.abort();
+      return;
+    }
+    
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value === undefined) {
+        store.delete(key);
+      } else {
+        store.put(value, key);
+      }
+    });
+  };
+  transaction.oncomplete = () => resolve(changes);
+  transaction.onabort = () => reject(updateError || transaction.error);
+  transaction.onerror = () => reject(transaction.error);
+});
+
+// Read a value an older version saved in a cookie or in localStorage
+const readLegacyValue = (key) => {
+  const cookieValue = getCookie(key);
+  if (cookieValue) return cookieValue;
+  
+  try {
+    const serializedValue = localStorage.getItem(key);
+    return serializedValue ? JSON.parse(serializedValue) : null;
+  } catch (e) {
+    console.error(`Failed to read legacy ${key}:`, e);
+    return null;
+  }
+};
+
+// Move cookie/localStorage saves into the database (only runs once per browser)
+const migrateLegacyData = async (db) => {
+  if (await transact(db, 'readonly', store => store.get(MIGRATION_KEY))) return;
+  
+  for (const key of LEGACY_STATE_KEYS) {
+    const value = readLegacyValue(key);
+    if (!value) continue;
+    
+    // Never overwrite something already saved in the database
+    const existing = await transact(db, 'readonly', store => store.get(key));
+    if (existing === undefined) {
+      await transact(db, 'readwrite', store => store.put(value, key));
+      console.log(`Moved saved ${key} from cookies to IndexedDB`);
+    }
+  }
+  
+  await transact(db, 'readwrite', store => store.put(true, MIGRATION_KEY));
+  
+  // Only remove the old copies once everything is safely in the database
+  LEGACY_STATE_KEYS.forEach(key => {
+    deleteCookie(key);
+    localStorage.removeItem(key);
+  });
+};
+
+// Draw the thumbnail of a saved level, without letting a malformed level stop a save
+const getLevelThumbnail = (state) => {
+  try {
+    return state ? createLevelThumbnail(state) : null;
+  } catch (e) {
+    console.error('Failed to draw level thumbnail:', e);
+    return null;
+  }
+};
+
+// A new entry for the project list
+const createProjectEntry = (metadata) => ({
+  id: createProjectId(),
+  ...createProjectMetadata(metadata),
+  thumbnail: null
+});
+
+// The metadata part of a project list entry
+const getProjectMetadata = ({ title, author, created, modified }) => ({ title, author, created, modified });
+
+// Apply changes to one entry of the project list
+const updateProjectEntry = (projects, projectId, changes) => (projects || []).map(project => (
+  project.id === projectId ? { ...project, ...changes } : project
+));
+
+// Make sure there is a project list with an open project, turning a save from before
+// projects existed into the first project. Resolves to the id of the open project.
+const migrateToProjects = async (db) => {
+  await updateValues(db, [PROJECTS_KEY, CURRENT_PROJECT_KEY, ...LEGACY_STATE_KEYS], values => {
+    const projects = values[PROJECTS_KEY];
+    if (projects && projects.length > 0) {
+      // Fall back to the first project if the open one has gone missing
+      const currentExists = projects.some(project => project.id === values[CURRENT_PROJECT_KEY]);
+      return currentExists ? {} : { [CURRENT_PROJECT_KEY]: projects[0].id };
+    }
+    
+    const project = {
+      ...createProjectEntry(values.projectMeta),
+      thumbnail: getLevelThumbnail(values.gameState)
+    };
+    const changes = {
+      [PROJECTS_KEY]: [project],
+      [CURRENT_PROJECT_KEY]: project.id
+    };
+    PROJECT_PARTS.forEach(part => {
+      changes[projectKey(project.id, part)] = values[part];
+    });
+    LEGACY_STATE_KEYS.forEach(key => {
+      changes[key] = undefined;
+    });
+    
+    if (values.gameState || values.scriptState) {
+      console.log('Moved the saved level and script into the first project');
+    }
+    return changes;
+  });
+  
+  return transact(db, 'readonly', store => store.get(CURRENT_PROJECT_KEY));
+};
+
+// Get the open database, opening and migrating it on first use
+const getDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = openDatabase().then(async db => {
+      await migrateLegacyData(db);
+      currentProjectId = await migrateToProjects(db);
+      return db;
+    });
+    // Let the next call try again if opening failed
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+};
+
+// Load the project list as stored
+const loadProjects = async (db) => (await transact(db, 'readonly', store => store.get(PROJECTS_KEY))) || [];
+
+// Save a part ('gameState' or 'scriptState') of the open project. The project only counts
+// as modified (and gets a new thumbnail) when the part's content actually changed.
+export const saveProjectPart = async (part, value) => {
+  const db = await getDatabase();
+  const projectId = currentProjectId;
+  const key = projectKey(projectId, part);
+  
+  await updateValues(db, [key, PROJECTS_KEY], values => {
+    const changed = !isSameContent(values[key], value);
+    const projects = values[PROJECTS_KEY] || [];
+    const project = projects.find(entry => entry.id === projectId);
+    
+    const entryChanges = {};
+    if (changed) {
+      entryChanges.modified = new Date().toISOString();
+    }
+    if (part === 'gameState' && (changed || !project || !project.thumbnail)) {
+      entryChanges.thumbnail = getLevelThumbnail(value);
+    }
+    
+    return {
+      [key]: value,
+      [PROJECTS_KEY]: updateProjectEntry(projects, projectId, entryChanges)
+    };
+  });
+};
+
+// Load a part of the open project
+export const loadProjectPart = async (part) => {
+  const db = await getDatabase();
+  const value = await transact(db, 'readonly', store => store.get(projectKey(currentProjectId, part)));
+  return value === undefined ? null : value;
+};
+
+// Save the open project's metadata
+export const saveProjectMeta = async (metadata) => {
+  const db = await getDatabase();
+  
+  await updateValues(db, [PROJECTS_KEY], values => {
+    const projects = values[PROJECTS_KEY] || [];
+    const project = projects.find(entry => entry.id === currentProjectId);
+    const { title, author, created, modified } = createProjectMetadata(metadata);
+    
+    // Saving the level or script also moves the modified date, so never move it back
+    const latestModified = project && project.modified > modified ? project.modified : modified;
+    return {
+      [PROJECTS_KEY]: updateProjectEntry(projects, currentProjectId, { title, author, created, modified: latestModified })
+    };
+  });
+};
+
+// Load the open project's metadata
+export const loadProjectMeta = async () => {
+  const db = await getDatabase();
+  const project = (await loadProjects(db)).find(entry => entry.id === currentProjectId);
+  return project ? getProjectMetadata(project) : null;
+};
+
+// Clear the open project's level and script (the project itself stays in the list)
+export const clearProject = async () => {
+  const db = await getDatabase();
+  const changes = {};
+  PROJECT_PARTS.forEach(part => {
+    changes[projectKey(currentProjectId, part)] = undefined;
+  });
+  
+  await updateValues(db, [PROJECTS_KEY], values => ({
+    ...changes,
+    [PROJECTS_KEY]: updateProjectEntry(values[PROJECTS_KEY], currentProjectId, {
+      modified: new Date().toISOString(),
+      thumbnail: null
+    })
+  }));
+};
+
+// List every project, most recently modified first
+export const listProjects = async () => {
+  const db = await getDatabase();
+  return [...await loadProjects(db)].sort((a, b) => b.modified.localeCompare(a.modified));
+};
+
+// Get the id of the open project
+export const getCurrentProjectId = async () => {
+  await getDatabase();
+  return currentProjectId;
+};
+
+// Add an empty project to the list, resolving to its entry
+export const createProject = async (title) => {
+  const db = await getDatabase();
+  const project = createProjectEntry({ title });
+  
+  await updateValues(db, [PROJECTS_KEY], values => ({
+    [PROJECTS_KEY]: [...(values[PROJECTS_KEY] || []), project]
+  }));
+  
+  return project;
+};
+
+// Copy a project together with its level and script, resolving to the copy's entry
+export const duplicateProject = async (projectId, title) => {
+  const db = await getDatabase();
+  const sourceKeys = PROJECT_PARTS.map(part => projectKey(projectId, part));
+  let copy = null;
+  
+  await updateValues(db, [PROJECTS_KEY, ...sourceKeys], values => {
+    const projects = values[PROJECTS_KEY] || [];
+    const source = projects.find(project => project.id === projectId);
+    if (!source) {
+      throw new Error(`Project ${projectId} does not exist`);
+    }
+    
+    const now = new Date().toISOString();
+    copy = {
+      ...source,
+      id: createProjectId(),
+      title,
+      created: now,
+      modified: now
+    };
+    
+    const changes = { [PROJECTS_KEY]: [...projects, copy] };
+    PROJECT_PARTS.forEach((part, index) => {
+      changes[projectKey(copy.id, part)] = values[sourceKeys[index]];
+    });
+    return changes;
+  });
+  
+  return copy;
+};
+
+// Change a project's title
+export const renameProject = async (projectId, title) => {
+  const db = await getDatabase();
+  
+  await updateValues(db, [PROJECTS_KEY], values => ({
+    [PROJECTS_KEY]: updateProjectEntry(values[PROJECTS_KEY], projectId, { title })
+  }));
+};
+
+// Delete a project with its level and script (the open project can't be deleted)
+export const deleteProject = async (projectId) => {
+  const db = await getDatabase();
+  if (projectId === currentProjectId) {
+    throw new Error('The open project cannot be deleted');
+  }
+  
+  await updateValues(db, [PROJECTS_KEY], values => {
+    const changes = {
+      [PROJECTS_KEY]: (values[PROJECTS_KEY] || []).filter(project => project.id !== projectId)
+    };
+    PROJECT_PARTS.forEach(part => {
+      changes[projectKey(projectId, part)] = undefined;
+    });
+    return changes;
+  });
+};
+
+// Load a project without opening it. Resolves to its { metadata, gameState, scriptState }.
+export const loadProject = async (projectId) => {
+  const db = await getDatabase();
+  const project = (await loadProjects(db)).find(entry => entry.id === projectId);
+  if (!project) {
+    throw new Error(`Project ${projectId} does not exist`);
+  }
+  
+  const [gameState, scriptState] = await Promise.all(PROJECT_PARTS.map(part => (
+    transact(db, 'readonly', store => store.get(projectKey(projectId, part)))
+  )));
+  
+  return {
+    metadata: getProjectMetadata(project),
+    gameState: gameState || null,
+    scriptState: scriptState || null
+  };
+};
+
+// Make a project the open one, so later saves go to it. Resolves to its
+// { metadata, gameState, scriptState }.
+export const openProject = async (projectId) => {
+  const project = await loadProject(projectId);
+  
+  const db = await getDatabase();
+  await transact(db, 'readwrite', store => store.put(projectId, CURRENT_PROJECT_KEY));
+  currentProjectId = projectId;
+  
+  return project;
+};
+
+// Add a snapshot of a project's level and script to its history, keeping the newest `limit`
+// of them. It isn't added if its content matches the last snapshot, or if the last one was
+// taken less than minInterval ms ago. Resolves to whether it was added.
+export const addSnapshot = async (projectId, { gameState, scriptState }, { limit, minInterval = 0 }) => {
+  const db = await getDatabase();
+  const key = snapshotsKey(projectId);
+  const now = Date.now();
+  let added = false;
+  
+  await updateValues(db, [key], values => {
+    const snapshots = values[key] || [];
+    const last = snapshots[snapshots.length - 1];
+    if (last) {
+      const unchanged = isSameContent(last.gameState, gameState) && isSameContent(last.scriptState, scriptState);
+      if (unchanged || now - Date.parse(last.time) < minInterval) return {};
+    }
+    
+    added = true;
+    return {
+      [key]: [...snapshots, { time: new Date(now).toISOString(), gameState, scriptState }].slice(-limit)
+    };
+  });
+  
+  return added;
+};
+
+// Load a project's snapshot history, newest first
+export const loadSnapshots = async (projectId) => {
+  const db = await getDatabase();
+  const snapshots = await transact(db, 'readonly', store => store.get(snapshotsKey(projectId)));
+  return [...(snapshots || [])].reverse();
+};
+
+// Delete a project's snapshot history
+export const deleteSnapshots = async (projectId) => {
+  const db = await getDatabase();
+  await transact(db, 'readwrite', store => store.delete(snapshotsKey(projectId)));
+};
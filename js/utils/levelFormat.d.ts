@@ -0,0 +1,48 @@
+/**
+ * Type declarations for levelFormat.js
+ */
+
+export const LEVEL_FORMAT: string;
+export const LEVEL_FORMAT_VERSION: number;
+export const LEVEL_FILE_EXTENSION: string;
+
+// Size of a new level, and the smallest and largest sizes allowed, in world pixels
+export const DEFAULT_LEVEL_SIZE: { width: number; height: number };
+export const MIN_LEVEL_SIZE: { width: number; height: number };
+export const MAX_LEVEL_SIZE: { width: number; height: number };
+
+// Error thrown for level data that can't be loaded; details lists every problem found
+export class LevelFormatError extends Error {
+  details: string[];
+  constructor(message: string, details?: string[]);
+}
+
+// Schema of the "level" section (the saveState object)
+export const LEVEL_SCHEMA: any;
+
+// Schema of a whole level file
+export const LEVEL_FILE_SCHEMA: any;
+
+// Check a value against a schema, collecting a readable message for every problem
+export function validateSchema(value: any, schema: any, path?: string, errors?: string[]): string[];
+
+// Register a migration from fromVersion to fromVersion + 1
+export function registerLevelMigration(fromVersion: number, migrate: (data: any) => any): void;
+
+// Upgrade level data of any known version to the current version
+export function migrateLevelData(data: any): any;
+
+// Migrate and validate level data, returning the level state ready for EditorScene.restoreState
+export function readLevelData(data: any): any;
+
+// Parse the text of a .ilape.json file into a level state
+export function parseLevelFile(text: string): any;
+
+// The level state of a level with nothing in it yet
+export function createEmptyLevel(): any;
+
+// Wrap a saveState object in the current level file format
+export function createLevelFile(state: any): any;
+
+// Serialize a saveState object into the text of a .ilape.json file
+export function serializeLevelFile(state: any): string;
@@ -0,0 +1,534 @@
+/**
+ * The .ilape.json level file format
+ *
+ * A level file is a JSON object of the form:
+ *
+ *   {
+ *     "format": "ilape-level",
+ *     "version": 8,
+ *     "exportedAt": "2025-01-01T12:00:00.000Z",   (optional)
+ *     "level": {
+ *       "blocks":   [{ "id": 1, "x": 400, "y": 300, "width": 100, "height": 100,
+ *                       "color": "#00ff00", "friction": 1, "bounce": 0, "oneWay": false }, ...],
+ *       "triggers": [{ "id": 2, "x": 900, "y": 300, "width": 50, "height": 100,
+ *                       "color": "#ff0000", "label": "Pabaiga", "requiredCollectibles": 3 }, ...],
+ *       "platforms": [{ "id": 4, "x": 600, "y": 400, "width": 120, "height": 20,
+ *                       "waypoints": [{ "x": 200, "y": 0 }, ...], "speed": 100,
+ *                       "mode": "pingpong", "pause": 0.5 }, ...],
+ *       "hazards":  [{ "id": 5, "x": 800, "y": 480, "width": 100, "height": 30,
+ *                       "kind": "spikes" }, ...],
+ *       "checkpoints": [{ "id": 6, "x": 3200, "y": 450, "width": 40, "height": 100 }, ...],
+ *       "collectibles": [{ "id": 7, "x": 500, "y": 350, "width": 30, "height": 30,
+ *                       "kind": "coin" }, ...],
+ *       "decorations": [{ "id": 8, "x": 700, "y": 560, "width": 80, "height": 60,
+ *                       "kind": "sign", "layer": "background", "parallax": 1,
+ *                       "color": "#c8a165", "text": "Tekstas", "image": "" }, ...],
+ *       "tiles":    [[0, 16, 20, 1], ...],
+ *       "player":   { "id": 3, "x": 100, "y": 300 } or null,
+ *       "size":     { "width": 6400, "height": 720 },
+ *       "camera":   { "scrollX": 0, "scrollY": 0 }   (optional)
+ *     }
+ *   }
+ *
+ * "level" is exactly what EditorScene.saveState produces. Ids are optional and
+ * must be unique across the whole level; coordinates are object centers in
+ * world pixels, which don't depend on the screen: the game view always shows
+ * 1280 x 720 of them, scaled to fit. A platform's waypoints are offsets from its own position, its
+ * speed is in pixels per second and its pause (at each waypoint) in seconds;
+ * "mode" is "pingpong" (back and forth) or "loop" (back to the start). A
+ * hazard's "kind" is "spikes" or "lava", a collectible's "coin" or "star".
+ * A trigger's optional "requiredCollectibles" is how many collectibles the
+ * player must pick up before it ends the level. Blocks and platforms may also
+ * have a "color", a "friction" and a "bounce" between 0 and 1 and a "oneWay"
+ * flag; triggers a "color" and a "label" (all optional, with the editor's
+ * defaults used when missing). "size" is the level's width and height in
+ * world pixels; the ground runs along the bottom of the level, and the
+ * camera can't scroll outside it. "tiles" is the painted terrain as runs of
+ * [column, row, length, kind]: "length" tiles of one kind (1 grass, 2 dirt,
+ * 3 stone), from the cell at "column" and "row" to the right. Tile cells are
+ * 40 world pixels square, counted from the level's top left corner, and runs
+ * must lie inside the level.
+ * Decorations have no physics: a decoration's "kind" is "bush", "sign",
+ * "text" or "image", its "layer" "background" (behind level objects) or
+ * "foreground" (in front of them and the player), and its "parallax" how
+ * fast it scrolls with the camera while playing (1 moves with the level).
+ * "text" is shown by signs and text labels, "image" is the URL of an image
+ * decoration's picture. Older files are upgraded by the
+ * migrations below before they are validated, so EditorScene.restoreState
+ * only ever sees current data.
+ */
+
+export const LEVEL_FORMAT = 'ilape-level';
+export const LEVEL_FORMAT_VERSION = 8;
+export const LEVEL_FILE_EXTENSION = '.ilape.json';
+
+// Size of a new level, and the smallest and largest sizes allowed, in world pixels.
+// A new level is as tall as the game view, which is always 1280 x 720 world pixels.
+export const DEFAULT_LEVEL_SIZE = { width: 6400, height: 720 };
+export const MIN_LEVEL_SIZE = { width: 800, height: 400 };
+export const MAX_LEVEL_SIZE = { width: 64000, height: 8000 };
+
+// Error thrown for level data that can't be loaded; details lists every problem found
+export class LevelFormatError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'LevelFormatError';
+    this.details = details;
+  }
+}
+
+const RECT_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', optional: true },
+    x: { type: 'number' },
+    y: { type: 'number' },
+    width: { type: 'number', min: 1 },
+    height: { type: 'number', min: 1 }
+  }
+};
+
+const COLOR_SCHEMA = { type: 'string', pattern: /^#[0-9a-fA-F]{6}$/, optional: true };
+
+// Surface properties of blocks and platforms (see SURFACE_DEFAULTS in Block.js)
+const BLOCK_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...RECT_SCHEMA.properties,
+    color: COLOR_SCHEMA,
+    friction: { type: 'number', min: 0, max: 1, optional: true },
+    bounce: { type: 'number', min: 0, max: 1, optional: true },
+    oneWay: { type: 'boolean', optional: true }
+  }
+};
+
+const PLATFORM_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...BLOCK_SCHEMA.properties,
+    waypoints: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          x: { type: 'number' },
+          y: { type: 'number' }
+        }
+      }
+    },
+    speed: { type: 'number', min: 0 },
+    mode: { type: 'string', enum: ['pingpong', 'loop'] },
+    pause: { type: 'number', min: 0 }
+  }
+};
+
+const TRIGGER_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...RECT_SCHEMA.properties,
+    color: COLOR_SCHEMA,
+    label: { type: 'string', optional: true },
+    requiredCollectibles: { type: 'integer', min: 0, optional: true }
+  }
+};
+
+const COLLECTIBLE_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...RECT_SCHEMA.properties,
+    kind: { type: 'string', enum: ['coin', 'star'] }
+  }
+};
+
+const DECORATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...RECT_SCHEMA.properties,
+    kind: { type: 'string', enum: ['bush', 'sign', 'text', 'image'] },
+    layer: { type: 'string', enum: ['background', 'foreground'] },
+    parallax: { type: 'number', min: 0, max: 2 },
+    color: COLOR_SCHEMA,
+    text: { type: 'string', optional: true },
+    image: { type: 'string', optional: true }
+  }
+};
+
+// A run of tiles: [column, row, length, kind] (see TileLayer.js)
+const TILE_RUN_SCHEMA = { type: 'array', length: 4, items: { type: 'integer', min: 0 } };
+const TILE_KINDS = [1, 2, 3];
+// Size of a tile cell in world pixels (TILE_SIZE in TileLayer.js)
+const TILE_SIZE = 40;
+
+const HAZARD_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...RECT_SCHEMA.properties,
+    kind: { type: 'string', enum: ['spikes', 'lava'] }
+  }
+};
+
+// Schema of the "level" section (the saveState object)
+export const LEVEL_SCHEMA = {
+  type: 'object',
+  properties: {
+    blocks: { type: 'array', items: BLOCK_SCHEMA },
+    triggers: { type: 'array', items: TRIGGER_SCHEMA },
+    platforms: { type: 'array', items: PLATFORM_SCHEMA },
+    hazards: { type: 'array', items: HAZARD_SCHEMA },
+    checkpoints: { type: 'array', items: RECT_SCHEMA },
+    collectibles: { type: 'array', items: COLLECTIBLE_SCHEMA },
+    decorations: { type: 'array', items: DECORATION_SCHEMA },
+    tiles: { type: 'array', items: TILE_RUN_SCHEMA },
+    size: {
+      type: 'object',
+      properties: {
+        width: { type: 'integer', min: MIN_LEVEL_SIZE.width, max: MAX_LEVEL_SIZE.width },
+        height: { type: 'integer', min: MIN_LEVEL_SIZE.height, max: MAX_LEVEL_SIZE.height }
+      }
+    },
+    player: {
+      type: 'object',
+      nullable: true,
+      properties: {
+        id: { type: 'integer', optional: true },
+        x: { type: 'number' },
+        y: { type: 'number' }
+      }
+    },
+    camera: {
+      type: 'object',
+      optional: true,
+      properties: {
+        scrollX: { type: 'number' },
+        scrollY: { type: 'number' }
+      }
+    }
+  }
+};
+
+// Schema of a whole level file
+export const LEVEL_FILE_SCHEMA = {
+  type: 'object',
+  properties: {
+    format: { type: 'string', enum: [LEVEL_FORMAT] },
+    version: { type: 'integer', min: 1 },
+    exportedAt: { type: 'string', optional: true },
+    level: LEVEL_SCHEMA
+  }
+};
+
+// Check a value against a schema, collecting a readable message for every problem
+export const validateSchema = (value, schema, path = '', errors = []) => {
+  const where = path || 'file';
+  
+  if (value === undefined) {
+    if (!schema.optional) errors.push(`${where}: is missing`);
+    return errors;
+  }
+  if (value === null) {
+    if (!schema.nullable) errors.push(`${where}: must not be null`);
+    return errors;
+  }
+  
+  switch (schema.type) {
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push(`${where}: expected a number, got ${JSON.stringify(value)}`);
+      } else if (schema.type === 'integer' && !Number.isInteger(value)) {
+        errors.push(`${where}: expected a whole number, got ${value}`);
+      } else if (schema.min !== undefined && value < schema.min) {
+        errors.push(`${where}: must be at least ${schema.min}, got ${value}`);
+      } else if (schema.max !== undefined && value > schema.max) {
+        errors.push(`${where}: must be at most ${schema.max}, got ${value}`);
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push(`${where}: expected true or false, got ${JSON.stringify(value)}`);
+      }
+      break;
+    case 'string':
+      if (typeof value !== 'string') {
+        errors.push(`${where}: expected a string, got ${JSON.stringify(value)}`);
+      } else if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${where}: expected one of ${schema.enum.join(', ')}, got "${value}"`);
+      } else if (schema.pattern && !schema.pattern.test(value)) {
+        errors.push(`${where}: "${value}" is not in the expected format`);
+      }
+      break;
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`${where}: expected a list`);
+      } else if (schema.length !== undefined && value.length !== schema.length) {
+        errors.push(`${where}: expected a list of ${schema.length}, got ${value.length}`);
+      } else {
+        value.forEach((item, index) => validateSchema(item, schema.items, `${path}[${index}]`, errors));
+      }
+      break;
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${where}: expected an object`);
+      } else {
+        Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+          validateSchema(value[key], propertySchema, path ? `${path}.${key}` : key, errors);
+        });
+      }
+      break;
+    default:
+      errors.push(`${where}: unknown schema type ${schema.type}`);
+  }
+  
+  return errors;
+};
+
+// The sections of a level that are lists of objects (or, for tiles, of runs)
+const LEVEL_LIST_SECTIONS = ['blocks', 'triggers', 'platforms', 'hazards', 'checkpoints', 'collectibles', 'decorations', 'tiles'];
+
+// Check that level data of the given version has the shape the migrations rely on:
+// a level object whose list sections, where present, are lists. The rest is
+// validated against the schema once the data is upgraded.
+const validateLevelShape = (data, version) => {
+  const level = version === 0 ? data : data.level;
+  if (typeof level !== 'object' || level === null || Array.isArray(level)) {
+    throw new LevelFormatError('The level file does not contain a level.', ['level: expected an object']);
+  }
+  
+  const errors = LEVEL_LIST_SECTIONS
+    .filter(key => level[key] !== undefined && !Array.isArray(level[key]))
+    .map(key => `level.${key}: expected a list`);
+  if (errors.length > 0) {
+    throw new LevelFormatError('The level file is invalid.', errors);
+  }
+};
+
+// Checks the schema can't express: object ids must be unique across the level
+const validateLevelIds = (level, errors) => {
+  const seen = new Set();
+  const objects = [...level.blocks, ...level.triggers, ...level.platforms, ...level.hazards, ...level.checkpoints, ...level.collectibles, ...level.decorations, ...(level.player ? [level.player] : [])];
+  
+  objects.forEach(object => {
+    if (object.id === undefined) return;
+    if (seen.has(object.id)) {
+      errors.push(`level: object id ${object.id} is used more than once`);
+    }
+    seen.add(object.id);
+  });
+  
+  return errors;
+};
+
+// Before version 6 the level was always 6400 pixels wide, and as tall as the
+// editor's window, with the ground's top edge 100 pixels above the bottom.
+// The window size isn't saved, so work the height out from the lowest object,
+// which normally rests on the ground.
+// Anything that isn't as expected is skipped here; the schema reports it afterwards.
+const guessLegacyLevelHeight = (level) => {
+  const isObject = (value) => typeof value === 'object' && value !== null;
+  const objectsIn = (list) => (Array.isArray(list) ? list.filter(isObject) : []);
+  
+  const rects = [
+    ...objectsIn(level.blocks),
+    ...objectsIn(level.triggers),
+    ...objectsIn(level.hazards),
+    ...objectsIn(level.checkpoints),
+    ...objectsIn(level.collectibles)
+  ];
+  const bottoms = rects.map(rect => rect.y + rect.height / 2);
+  
+  // A moving platform's lowest point is at its lowest waypoint
+  objectsIn(level.platforms).forEach(platform => {
+    const offsets = [0, ...objectsIn(platform.waypoints).map(point => point.y)];
+    bottoms.push(platform.y + Math.max(...offsets) + platform.height / 2);
+  });
+  
+  // The player is a circle with a radius of 15
+  if (isObject(level.player)) {
+    bottoms.push(level.player.y + 15);
+  }
+  
+  const lowest = Math.max(...bottoms.filter(Number.isFinite));
+  if (!Number.isFinite(lowest)) {
+    return DEFAULT_LEVEL_SIZE.height;
+  }
+  return Math.min(Math.max(Math.ceil(lowest + 100), MIN_LEVEL_SIZE.height), MAX_LEVEL_SIZE.height);
+};
+
+// Checks the schema can't express: tile runs must have tiles, of a known kind,
+// inside the level (the editor can only paint there)
+const validateLevelTiles = (level, errors) => {
+  const columns = Math.ceil(level.size.width / TILE_SIZE);
+  const rows = Math.ceil(level.size.height / TILE_SIZE);
+  
+  level.tiles.forEach(([col, row, length, kind], index) => {
+    if (length < 1) {
+      errors.push(`level.tiles[${index}]: a run must be at least 1 tile long, got ${length}`);
+    } else if (col + length > columns || row >= rows) {
+      errors.push(`level.tiles[${index}]: the run goes outside the level, which is ${columns} x ${rows} tiles`);
+    }
+    if (!TILE_KINDS.includes(kind)) {
+      errors.push(`level.tiles[${index}]: expected a tile kind of ${TILE_KINDS.join(', ')}, got ${kind}`);
+    }
+  });
+  
+  return errors;
+};
+
+// Migrations, keyed by the version they upgrade from. Each one receives the
+// file data at that version and must return the data at the next version.
+const migrations = {
+  // Version 0 is the bare saveState object stored before the file format existed
+  0: (data) => ({
+    format: LEVEL_FORMAT,
+    version: 1,
+    level: data
+  }),
+  // Version 2 added moving platforms. Bare saveState objects (version 0) saved
+  // by an editor that has them already have the section.
+  1: (data) => ({
+    ...data,
+    version: 2,
+    level: { ...data.level, platforms: data.level.platforms || [] }
+  }),
+  // Version 3 added hazards
+  2: (data) => ({
+    ...data,
+    version: 3,
+    level: { ...data.level, hazards: data.level.hazards || [] }
+  }),
+  // Version 4 added checkpoints
+  3: (data) => ({
+    ...data,
+    version: 4,
+    level: { ...data.level, checkpoints: data.level.checkpoints || [] }
+  }),
+  // Version 5 added collectibles (and the optional trigger requirement)
+  4: (data) => ({
+    ...data,
+    version: 5,
+    level: { ...data.level, collectibles: data.level.collectibles || [] }
+  }),
+  // Version 6 stored the level's size
+  5: (data) => ({
+    ...data,
+    version: 6,
+    level: {
+      ...data.level,
+      size: data.level.size || { width: DEFAULT_LEVEL_SIZE.width, height: guessLegacyLevelHeight(data.level) }
+    }
+  }),
+  // Version 7 added the tile layer
+  6: (data) => ({
+    ...data,
+    version: 7,
+    level: { ...data.level, tiles: data.level.tiles || [] }
+  }),
+  // Version 8 added decorations
+  7: (data) => ({
+    ...data,
+    version: 8,
+    level: { ...data.level, decorations: data.level.decorations || [] }
+  })
+};
+
+// Register a migration from fromVersion to fromVersion + 1
+export const registerLevelMigration = (fromVersion, migrate) => {
+  migrations[fromVersion] = migrate;
+};
+
+// Work out which version some level data is at (0 for a bare saveState object)
+const detectVersion = (data) => {
+  if (data.format === LEVEL_FORMAT) {
+    if (!Number.isInteger(data.version) || data.version < 1) {
+      throw new LevelFormatError('The level file has an invalid version.', [`version: got ${JSON.stringify(data.version)}`]);
+    }
+    return data.version;
+  }
+  if (data.format === undefined && Array.isArray(data.blocks)) {
+    return 0;
+  }
+  throw new LevelFormatError('This is not an iLape level file.', [`format: expected "${LEVEL_FORMAT}"`]);
+};
+
+// Upgrade level data of any known version to the current version
+export const migrateLevelData = (data) => {
+  let version = detectVersion(data);
+  
+  if (version > LEVEL_FORMAT_VERSION) {
+    throw new LevelFormatError(
+      'The level file was made with a newer version of the editor.',
+      [`version: ${version} is newer than the supported ${LEVEL_FORMAT_VERSION}`]
+    );
+  }
+  validateLevelShape(data, version);
+  
+  while (version < LEVEL_FORMAT_VERSION) {
+    const migrate = migrations[version];
+    if (!migrate) {
+      throw new LevelFormatError('The level file is too old to be upgraded.', [`version: no migration from ${version}`]);
+    }
+    data = migrate(data);
+    version += 1;
+  }
+  
+  return data;
+};
+
+// Migrate and validate level data (a level file object or a bare saveState object),
+// returning the level state ready for EditorScene.restoreState
+export const readLevelData = (data) => {
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    throw new LevelFormatError('The level file does not contain a level.', ['file: expected an object']);
+  }
+  
+  const file = migrateLevelData(data);
+  const errors = validateSchema(file, LEVEL_FILE_SCHEMA);
+  if (errors.length === 0) {
+    validateLevelIds(file.level, errors);
+    validateLevelTiles(file.level, errors);
+  }
+  if (errors.length > 0) {
+    throw new LevelFormatError('The level file is invalid.', errors);
+  }
+  
+  return file.level;
+};
+
+// Parse the text of a .ilape.json file into a level state
+export const parseLevelFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new LevelFormatError('The level file is not valid JSON.', [e.message]);
+  }
+  return readLevelData(data);
+};
+
+// The level state of a level with nothing in it yet
+export const createEmptyLevel = () => ({
+  blocks: [],
+  triggers: [],
+  platforms: [],
+  hazards: [],
+  checkpoints: [],
+  collectibles: [],
+  decorations: [],
+  tiles: [],
+  player: null,
+  size: { ...DEFAULT_LEVEL_SIZE }
+});
+
+// Wrap a saveState object in the current level file format
+export const createLevelFile = (state) => {
+  const { timestamp, ...level } = state;
+  return {
+    format: LEVEL_FORMAT,
+    version: LEVEL_FORMAT_VERSION,
+    exportedAt: new Date(timestamp || Date.now()).toISOString(),
+    level
+  };
+};
+
+// Serialize a saveState object into the text of a .ilape.json file
+export const serializeLevelFile = (state) => JSON.stringify(createLevelFile(state), null, 2);
@@ -0,0 +1,9 @@
+/**
+ * Type declarations for levelThumbnail.js
+ */
+
+export const THUMBNAIL_WIDTH: number;
+export const THUMBNAIL_HEIGHT: number;
+
+// Draw a level state as an SVG data URL (null if there's no level)
+export function createLevelThumbnail(state: any, width?: number, height?: number): string | null;
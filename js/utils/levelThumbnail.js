@@ -0,0 +1,104 @@
+/**
+ * Small preview pictures of levels, shown in the project browser
+ *
+ * The picture is an SVG drawn straight from a saveState object, so it can be
+ * made for any saved level without the game running (the save server makes
+ * them too). It is framed around the level's objects rather than the whole
+ * (very wide) level.
+ */
+
+export const THUMBNAIL_WIDTH = 160;
+export const THUMBNAIL_HEIGHT = 90;
+
+// World pixels of space left around the level's objects
+const FRAME_PADDING = 100;
+// The player is drawn as a circle of this diameter, as in the game
+const PLAYER_SIZE = 32;
+
+const SKY_COLOR = '#87ceeb';
+const BLOCK_COLOR = '#00ff00';
+const TRIGGER_COLOR = '#ff0000';
+const PLATFORM_COLOR = '#3399ff';
+const HAZARD_COLORS = { spikes: '#b0b0b0', lava: '#ff4500' };
+const CHECKPOINT_COLOR = '#999999';
+const COLLECTIBLE_COLOR = '#ffd700';
+const PLAYER_COLOR = '#ff0000';
+// Decorations are drawn as faint boxes in their color (images have none)
+const DECORATION_COLOR = '#ffffff';
+// Tile kinds by the number stored in level files, and the size of a tile cell in world pixels
+const TILE_COLORS = { 1: '#4caf50', 2: '#8b5a2b', 3: '#808080' };
+const TILE_SIZE = 40;
+
+// A level's moving platforms, drawn at their start positions (levels saved
+// before platforms existed don't have the section)
+const getPlatforms = (state) => state.platforms || [];
+// The same goes for hazards, checkpoints and collectibles
+const getHazards = (state) => state.hazards || [];
+const getCheckpoints = (state) => state.checkpoints || [];
+const getCollectibles = (state) => state.collectibles || [];
+const getDecorations = (state, layer) => (state.decorations || []).filter(decoration => decoration.layer === layer);
+// Tile runs, as rectangles in world pixels with the run's kind
+const getTileRects = (state) => (state.tiles || []).map(([col, row, length, kind]) => ({
+  x: (col + length / 2) * TILE_SIZE,
+  y: (row + 0.5) * TILE_SIZE,
+  width: length * TILE_SIZE,
+  height: TILE_SIZE,
+  kind
+}));
+
+// Get the world bounds of a level's objects, or null for an empty level
+const getLevelBounds = (state) => {
+  const rects = [...state.blocks, ...state.triggers, ...getPlatforms(state), ...getHazards(state), ...getCheckpoints(state), ...getCollectibles(state), ...(state.decorations || []), ...getTileRects(state)];
+  if (state.player) {
+    rects.push({ ...state.player, width: PLAYER_SIZE, height: PLAYER_SIZE });
+  }
+  if (rects.length === 0) return null;
+  
+  return {
+    left: Math.min(...rects.map(rect => rect.x - rect.width / 2)) - FRAME_PADDING,
+    right: Math.max(...rects.map(rect => rect.x + rect.width / 2)) + FRAME_PADDING,
+    top: Math.min(...rects.map(rect => rect.y - rect.height / 2)) - FRAME_PADDING,
+    bottom: Math.max(...rects.map(rect => rect.y + rect.height / 2)) + FRAME_PADDING
+  };
+};
+
+// SVG for an object rectangle, in world coordinates
+const drawRect = (rect, color, opacity = 1) => (
+  `<rect x="${rect.x - rect.width / 2}" y="${rect.y - rect.height / 2}" width="${rect.width}" height="${rect.height}" fill="${color}" fill-opacity="${opacity}"/>`
+);
+
+// SVG for a decoration, drawn faintly
+const drawDecoration = (decoration) => drawRect(
+  decoration,
+  decoration.kind === 'image' ? DECORATION_COLOR : decoration.color || DECORATION_COLOR,
+  0.5
+);
+
+// Draw a level state as an SVG data URL (null if there's no level)
+export const createLevelThumbnail = (state, width = THUMBNAIL_WIDTH, height = THUMBNAIL_HEIGHT) => {
+  if (!state) return null;
+  
+  // The view box frames the objects; the SVG scales and centers it, keeping its proportions
+  const bounds = getLevelBounds(state) || { left: 0, top: 0, right: width, bottom: height };
+  const viewBox = `${bounds.left} ${bounds.top} ${bounds.right - bounds.left} ${bounds.bottom - bounds.top}`;
+  
+  const shapes = [
+    ...getTileRects(state).map(tile => drawRect(tile, TILE_COLORS[tile.kind] || TILE_COLORS[1])),
+    ...getDecorations(state, 'background').map(drawDecoration),
+    ...state.blocks.map(block => drawRect(block, block.color || BLOCK_COLOR, block.oneWay ? 0.35 : 1)),
+    ...state.triggers.map(trigger => drawRect(trigger, trigger.color || TRIGGER_COLOR, 0.5)),
+    ...getPlatforms(state).map(platform => drawRect(platform, platform.color || PLATFORM_COLOR, platform.oneWay ? 0.35 : 1)),
+    ...getHazards(state).map(hazard => drawRect(hazard, HAZARD_COLORS[hazard.kind] || HAZARD_COLORS.spikes)),
+    ...getCheckpoints(state).map(checkpoint => drawRect(checkpoint, CHECKPOINT_COLOR, 0.4)),
+    ...getCollectibles(state).map(collectible => (
+      `<circle cx="${collectible.x}" cy="${collectible.y}" r="${Math.min(collectible.width, collectible.height) / 2}" fill="${COLLECTIBLE_COLOR}"/>`
+    ))
+  ];
+  if (state.player) {
+    shapes.push(`<circle cx="${state.player.x}" cy="${state.player.y}" r="${PLAYER_SIZE / 2}" fill="${PLAYER_COLOR}"/>`);
+  }
+  shapes.push(...getDecorations(state, 'foreground').map(drawDecoration));
+  
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${viewBox}" style="background:${SKY_COLOR}">${shapes.join('')}</svg>`;
+  return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+};
@@ -0,0 +1,50 @@
+/**
+ * Type declarations for projectFormat.js
+ */
+
+export const PROJECT_FORMAT: string;
+export const PROJECT_FORMAT_VERSION: number;
+export const PROJECT_FILE_EXTENSION: string;
+
+// Title given to projects that haven't been named
+export const DEFAULT_PROJECT_TITLE: string;
+
+// Project ids name the project's file on the save server, so they are kept to letters, digits, - and _
+export const PROJECT_ID_PATTERN: RegExp;
+
+export interface ProjectMetadata {
+  title: string;
+  author: string;
+  created: string;
+  modified: string;
+}
+
+// Schema of the "script" section (the saved Rete graph)
+export const SCRIPT_SCHEMA: any;
+
+// Schema of a whole project file (the level is validated separately by levelFormat.js)
+export const PROJECT_FILE_SCHEMA: any;
+
+// Register a migration from fromVersion to fromVersion + 1
+export function registerProjectMigration(fromVersion: number, migrate: (data: any) => any): void;
+
+// Upgrade project data of any known version to the current version
+export function migrateProjectData(data: any): any;
+
+// Migrate and validate project data
+export function readProjectData(data: any): { metadata: ProjectMetadata; level: any; script: any };
+
+// Parse the text of an imported file, which may be a project or a plain level file
+export function parseImportFile(text: string): { metadata: ProjectMetadata | null; level: any; script: any | null };
+
+// Fill in any missing metadata fields
+export function createProjectMetadata(metadata?: Partial<ProjectMetadata> | null): ProjectMetadata;
+
+// A new, practically unique project id
+export function createProjectId(): string;
+
+// Whether two saves of a level (or of a script) have the same content, ignoring the save time and camera position
+export function isSameContent(a: any, b: any): boolean;
+
+// Bundle a saveState object, a script state and metadata into a project file, marking it modified now
+export function createProjectFile(project: { level: any; script: any; metadata?: Partial<ProjectMetadata> | null }): any;
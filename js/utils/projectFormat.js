@@ -0,0 +1,249 @@
+/**
+ * The .ilape-project.json project file format
+ *
+ * A project bundles a level with the player script that makes it playable:
+ *
+ *   {
+ *     "format": "ilape-project",
+ *     "version": 1,
+ *     "metadata": {
+ *       "title": "Mano lygis",
+ *       "author": "Vardenis",
+ *       "created": "2025-01-01T12:00:00.000Z",
+ *       "modified": "2025-01-02T12:00:00.000Z"
+ *     },
+ *     "level": { ...a complete .ilape.json level file, see levelFormat.js },
+ *     "script": {
+ *       "nodes": [{ "id": "a1", "name": "FloatNode", "position": { "x": 30, "y": 100 }, "data": { ... } }, ...],
+ *       "connections": [{ "source": "a1", "sourceOutput": "value", "target": "b2", "targetInput": "a" }, ...]
+ *     }
+ *   }
+ *
+ * The level keeps its own format version, so it is upgraded by the level
+ * migrations; the migrations below only cover the project envelope. The
+ * script is the state ReteEditorComponent saves (see serializeScriptState).
+ */
+
+import {
+  LevelFormatError,
+  validateSchema,
+  readLevelData,
+  createLevelFile,
+  LEVEL_FORMAT
+} from './levelFormat.js';
+
+export const PROJECT_FORMAT = 'ilape-project';
+export const PROJECT_FORMAT_VERSION = 1;
+export const PROJECT_FILE_EXTENSION = '.ilape-project.json';
+
+// Title given to projects that haven't been named
+export const DEFAULT_PROJECT_TITLE = 'Be pavadinimo';
+
+// Project ids name the project's file on the save server, so they are kept to letters, digits, - and _
+export const PROJECT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const METADATA_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string' },
+    author: { type: 'string' },
+    created: { type: 'string' },
+    modified: { type: 'string' }
+  }
+};
+
+// Schema of the "script" section (the saved Rete graph)
+export const SCRIPT_SCHEMA = {
+  type: 'object',
+  properties: {
+    nodes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          position: {
+            type: 'object',
+            optional: true,
+            properties: {
+              x: { type: 'number' },
+              y: { type: 'number' }
+            }
+          },
+          data: { type: 'object', optional: true, properties: {} }
+        }
+      }
+    },
+    connections: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          source: { type: 'string' },
+          sourceOutput: { type: 'string' },
+          target: { type: 'string' },
+          targetInput: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+// Schema of a whole project file (the level is validated separately by levelFormat.js)
+export const PROJECT_FILE_SCHEMA = {
+  type: 'object',
+  properties: {
+    format: { type: 'string', enum: [PROJECT_FORMAT] },
+    version: { type: 'integer', min: 1 },
+    metadata: METADATA_SCHEMA,
+    level: { type: 'object', properties: {} },
+    script: SCRIPT_SCHEMA
+  }
+};
+
+// Checks the schema can't express: connections must join nodes that exist
+const validateScriptConnections = (script, errors) => {
+  const nodeIds = new Set(script.nodes.map(node => node.id));
+  
+  script.connections.forEach((connection, index) => {
+    [connection.source, connection.target].forEach(nodeId => {
+      if (!nodeIds.has(nodeId)) {
+        errors.push(`script.connections[${index}]: node "${nodeId}" does not exist`);
+      }
+    });
+  });
+  
+  return errors;
+};
+
+// Migrations, keyed by the version they upgrade from. Each one receives the
+// project data at that version and must return the data at the next version.
+const migrations = {};
+
+// Register a migration from fromVersion to fromVersion + 1
+export const registerProjectMigration = (fromVersion, migrate) => {
+  migrations[fromVersion] = migrate;
+};
+
+// Upgrade project data of any known version to the current version
+export const migrateProjectData = (data) => {
+  let version = data.version;
+  
+  if (!Number.isInteger(version) || version < 1) {
+    throw new LevelFormatError('The project file has an invalid version.', [`version: got ${JSON.stringify(version)}`]);
+  }
+  if (version > PROJECT_FORMAT_VERSION) {
+    throw new LevelFormatError(
+      'The project file was made with a newer version of the editor.',
+      [`version: ${version} is newer than the supported ${PROJECT_FORMAT_VERSION}`]
+    );
+  }
+  
+  while (version < PROJECT_FORMAT_VERSION) {
+    const migrate = migrations[version];
+    if (!migrate) {
+      throw new LevelFormatError('The project file is too old to be upgraded.', [`version: no migration from ${version}`]);
+    }
+    data = migrate(data);
+    version += 1;
+  }
+  
+  return data;
+};
+
+// Migrate and validate project data, returning { metadata, level, script } where
+// level is ready for EditorScene.restoreState and script for the Rete editor
+export const readProjectData = (data) => {
+  if (typeof data !== 'object' || data === null || Array.isArray(data) || data.format !== PROJECT_FORMAT) {
+    throw new LevelFormatError('This is not an iLape project file.', [`format: expected "${PROJECT_FORMAT}"`]);
+  }
+  
+  const project = migrateProjectData(data);
+  const errors = validateSchema(project, PROJECT_FILE_SCHEMA);
+  if (errors.length === 0) {
+    validateScriptConnections(project.script, errors);
+  }
+  
+  // Validate the embedded level too, so nothing is replaced unless the whole project is valid
+  let level = null;
+  if (project.level && typeof project.level === 'object') {
+    try {
+      level = readLevelData(project.level);
+    } catch (e) {
+      if (!(e instanceof LevelFormatError)) throw e;
+      errors.push(`level: ${e.message}`, ...e.details.map(detail => `level.${detail}`));
+    }
+  }
+  
+  if (errors.length > 0) {
+    throw new LevelFormatError('The project file is invalid.', errors);
+  }
+  
+  return {
+    metadata: project.metadata,
+    level,
+    script: project.script
+  };
+};
+
+// Parse the text of an imported file, which may be a project or a plain level file.
+// Returns { metadata, level, script }; metadata and script are null for level files.
+export const parseImportFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new LevelFormatError('The file is not valid JSON.', [e.message]);
+  }
+  
+  if (data && data.format === PROJECT_FORMAT) {
+    return readProjectData(data);
+  }
+  if (data && data.format !== undefined && data.format !== LEVEL_FORMAT) {
+    throw new LevelFormatError('This is not an iLape project or level file.', [`format: got ${JSON.stringify(data.format)}`]);
+  }
+  
+  return {
+    metadata: null,
+    level: readLevelData(data),
+    script: null
+  };
+};
+
+// Fill in any missing metadata fields
+export const createProjectMetadata = (metadata) => {
+  metadata = metadata || {};
+  const now = new Date().toISOString();
+  return {
+    title: metadata.title || DEFAULT_PROJECT_TITLE,
+    author: metadata.author || '',
+    created: metadata.created || now,
+    modified: metadata.modified || now
+  };
+};
+
+// A new, practically unique project id
+export const createProjectId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+// The saved content of a level or script, leaving out what changes without the user editing anything
+const getContentSignature = (value) => {
+  if (!value) return '';
+  const { timestamp, camera, ...content } = value;
+  return JSON.stringify(content);
+};
+
+// Whether two saves of a level (or of a script) have the same content, ignoring the save time and camera position
+export const isSameContent = (a, b) => getContentSignature(a) === getContentSignature(b);
+
+// Bundle a saveState object, a script state and metadata into a project file, marking it modified now
+export const createProjectFile = ({ level, script, metadata }) => ({
+  format: PROJECT_FORMAT,
+  version: PROJECT_FORMAT_VERSION,
+  metadata: {
+    ...createProjectMetadata(metadata),
+    modified: new Date().toISOString()
+  },
+  level: createLevelFile(level),
+  script: script || { nodes: [], connections: [] }
+});
@@ -0,0 +1,44 @@
+/**
+ * Type declarations for serverStorage.js
+ */
+
+import type { ProjectEntry, OpenedProject } from './storage';
+
+// Check whether the page is served by the save server
+export function isServerAvailable(): Promise<boolean>;
+
+// Save a part ('gameState' or 'scriptState') of the open project
+export function saveProjectPart(part: 'gameState' | 'scriptState', value: any): Promise<void>;
+
+// Load a part of the open project
+export function loadProjectPart(part: 'gameState' | 'scriptState'): Promise<any | null>;
+
+// Save the open project's metadata
+export function saveProjectMeta(metadata: any): Promise<void>;
+
+// Load the open project's metadata
+export function loadProjectMeta(): Promise<any | null>;
+
+// Clear the open project's level and script (the project itself stays in the list)
+export function clearProject(): Promise<void>;
+
+// List every project, most recently modified first
+export function listProjects(): Promise<ProjectEntry[]>;
+
+// Get the id of the open project
+export function getCurrentProjectId(): Promise<string>;
+
+// Add an empty project, resolving to its entry
+export function createProject(title: string): Promise<ProjectEntry>;
+
+// Copy a project together with its level and script, resolving to the copy's entry
+export function duplicateProject(projectId: string, title: string): Promise<ProjectEntry>;
+
+// Change a project's title
+export function renameProject(projectId: string, title: string): Promise<void>;
+
+// Delete a project with its level and script (the open project can't be deleted)
+export function deleteProject(projectId: string): Promise<void>;
+
+// Make a project the open one, so later saves go to it
+export function openProject(projectId: string): Promise<OpenedProject>;
@@ -0,0 +1,265 @@
+/**
+ * Project storage on the save server (the /api/levels REST API in server.js)
+ *
+ * Each project is one .ilape-project.json file on the server, shared by everyone
+ * who can reach it. The open project is kept in memory, so loading it is instant
+ * and a save only sends the project file when its content actually changed. Saves
+ * are sent one at a time, in order, so an older one can never overwrite a newer one.
+ * Which project this browser has open is remembered in localStorage.
+ *
+ * This is one of the places storage.js can keep projects; like the browser
+ * backend, every function throws (rejects) when it fails.
+ */
+
+import {
+  createProjectFile,
+  createProjectMetadata,
+  readProjectData,
+  createProjectId,
+  isSameContent,
+  DEFAULT_PROJECT_TITLE
+} from './projectFormat.js';
+import { createEmptyLevel } from './levelFormat.js';
+
+const API_URL = '/api/levels';
+// localStorage key of the id of the project this browser has open
+const CURRENT_PROJECT_KEY = 'ilapeServerProject';
+// How long to wait for the server before falling back to browser storage
+const DETECT_TIMEOUT = 3000;
+
+// Resolves to the open project: { id, metadata, gameState, scriptState }
+let openProjectPromise = null;
+// Resolves once every save sent so far has been answered
+let saveQueue = Promise.resolve();
+
+// Send a request to the save API, resolving to the JSON it answers with (null for no content)
+const request = async (method, path = '', body) => {
+  const response = await fetch(`${API_URL}${path}`, {
+    method,
+    headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  if (response.status === 204) return null;
+  
+  const data = await response.json().catch(() => null);
+  if (!response.ok) {
+    const error = new Error(data && data.error ? data.error : `The save server answered with status ${response.status}`);
+    error.status = response.status;
+    error.details = data && data.details ? data.details : [];
+    throw error;
+  }
+  return data;
+};
+
+// Check whether the page is served by the save server (static hosts answer with HTML or an error)
+export const isServerAvailable = async () => {
+  if (typeof fetch === 'undefined') return false;
+  
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), DETECT_TIMEOUT);
+  try {
+    const response = await fetch(API_URL, { signal: controller.signal });
+    const contentType = response.headers.get('Content-Type') || '';
+    if (!response.ok || !contentType.includes('application/json')) return false;
+    
+    const data = await response.json();
+    return Array.isArray(data.levels);
+  } catch (e) {
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Download a project and turn it into the open project's shape
+const fetchProject = async (projectId) => {
+  const file = await request('GET', `/${projectId}`);
+  const { metadata, level, script } = readProjectData(file);
+  
+  return {
+    id: projectId,
+    metadata: createProjectMetadata(metadata),
+    // Give the level back the save time the editor shows
+    gameState: { ...level, timestamp: Date.parse(file.level.exportedAt) || Date.now() },
+    // A project saved without a script has an empty one; the editor gives it the starter nodes
+    scriptState: script.nodes.length > 0 ? script : null
+  };
+};
+
+// Upload the whole project, after any saves already on their way. The file is
+// put together when it is sent, so it always has the project's latest content.
+const sendProject = (project) => {
+  const send = saveQueue.then(() => request('PUT', `/${project.id}`, createProjectFile({
+    level: project.gameState || createEmptyLevel(),
+    script: project.scriptState,
+    metadata: project.metadata
+  })));
+  // Keep later saves going even if this one fails
+  saveQueue = send.catch(() => {});
+  return send;
+};
+
+// Make a project the open one, remembering it for the next visit
+const setOpenProject = (project) => {
+  openProjectPromise = Promise.resolve(project);
+  localStorage.setItem(CURRENT_PROJECT_KEY, project.id);
+  return project;
+};
+
+// Get the open project. On first use that's the one this browser had open last
+// time, or else the most recently modified one; an empty server gets a new project.
+const getOpenProject = () => {
+  if (!openProjectPromise) {
+    openProjectPromise = (async () => {
+      const savedId = localStorage.getItem(CURRENT_PROJECT_KEY);
+      if (savedId) {
+        try {
+          return setOpenProject(await fetchProject(savedId));
+        } catch (e) {
+          // Someone else may have deleted it; fall back to another project
+          if (e.status !== 404) throw e;
+        }
+      }
+      
+      const projects = await listProjects();
+      const projectId = projects.length > 0 ? projects[0].id : (await createProject(DEFAULT_PROJECT_TITLE)).id;
+      return setOpenProject(await fetchProject(projectId));
+    })();
+    // Let the next call try again if the server couldn't be reached
+    openProjectPromise.catch(() => {
+      openProjectPromise = null;
+    });
+  }
+  return openProjectPromise;
+};
+
+// The project list entry for a project
+const toProjectEntry = (id, metadata, thumbnail = null) => ({
+  id,
+  ...createProjectMetadata(metadata),
+  thumbnail
+});
+
+// Save a part ('gameState' or 'scriptState') of the open project, sending it to the server if its content changed
+export const saveProjectPart = async (part, value) => {
+  const project = await getOpenProject();
+  const changed = !isSameContent(project[part], value);
+  project[part] = value;
+  
+  if (changed) {
+    project.metadata = { ...project.metadata, modified: new Date().toISOString() };
+    await sendProject(project);
+  }
+};
+
+// Load a part of the open project
+export const loadProjectPart = async (part) => (await getOpenProject())[part];
+
+// Save the open project's metadata
+export const saveProjectMeta = async (metadata) => {
+  const project = await getOpenProject();
+  project.metadata = { ...createProjectMetadata(metadata), modified: new Date().toISOString() };
+  await sendProject(project);
+};
+
+// Load the open project's metadata
+export const loadProjectMeta = async () => (await getOpenProject()).metadata;
+
+// Clear the open project's level and script (the project itself stays on the server)
+export const clearProject = async () => {
+  const project = await getOpenProject();
+  project.gameState = null;
+  project.scriptState = null;
+  project.metadata = { ...project.metadata, modified: new Date().toISOString() };
+  await sendProject(project);
+};
+
+// List every project on the server, most recently modified first
+export const listProjects = async () => {
+  const { levels } = await request('GET');
+  return levels.map(level => toProjectEntry(level.id, level.metadata, level.thumbnail));
+};
+
+// Get the id of the open project
+export const getCurrentProjectId = async () => (await getOpenProject()).id;
+
+// Add an empty project on the server, resolving to its entry
+export const createProject = async (title) => {
+  const id = createProjectId();
+  const metadata = createProjectMetadata({ title });
+  
+  await request('PUT', `/${id}`, createProjectFile({ level: createEmptyLevel(), script: null, metadata }));
+  return toProjectEntry(id, metadata);
+};
+
+// Copy a project together with its level and script, resolving to the copy's entry
+export const duplicateProject = async (projectId, title) => {
+  const file = await request('GET', `/${projectId}`);
+  const now = new Date().toISOString();
+  const copy = {
+    ...file,
+    metadata: { ...file.metadata, title, created: now, modified: now }
+  };
+  
+  const id = createProjectId();
+  await request('PUT', `/${id}`, copy);
+  return toProjectEntry(id, copy.metadata);
+};
+
+// Change a project's title
+export const renameProject = async (projectId, title) => {
+  const project = await getOpenProject();
+  if (project.id === projectId) {
+    project.metadata = { ...project.metadata, title };
+    await sendProject(project);
+    return;
+  }
+  
+  const file = await request('GET', `/${projectId}`);
+  await request('PUT', `/${projectId}`, { ...file, metadata: { ...file.metadata, title } });
+};
+
+// Delete a project from the server (the open project can't be deleted)
+export const deleteProject = async (projectId) => {
+  if (projectId === (await getOpenProject()).id) {
+    throw new Error('The open project cannot be deleted');
+  }
+  await request('DELETE', `/${projectId}`);
+};
+
+// Add projects kept somewhere else (this browser, before it found the server) to the
+// server, keeping their ids. A project the server already has is left as it is, and
+// one the server refuses as invalid is skipped. openProjectId becomes the open project,
+// unless this browser already had one open on the server.
+export const uploadProjects = async (projects, openProjectId) => {
+  const existingIds = new Set((await listProjects()).map(project => project.id));
+  
+  for (const { id, metadata, gameState, scriptState } of projects) {
+    if (existingIds.has(id)) continue;
+    
+    try {
+      await request('PUT', `/${id}`, createProjectFile({
+        level: gameState || createEmptyLevel(),
+        script: scriptState,
+        metadata
+      }));
+    } catch (e) {
+      if (e.status !== 400) throw e;
+      console.warn(`Project "${metadata.title}" was not uploaded:`, e.message, e.details);
+    }
+  }
+  
+  if (openProjectId && !localStorage.getItem(CURRENT_PROJECT_KEY)) {
+    localStorage.setItem(CURRENT_PROJECT_KEY, openProjectId);
+  }
+};
+
+// Make a project the open one, so later saves go to it
+export const openProject = async (projectId) => {
+  const project = setOpenProject(await fetchProject(projectId));
+  return {
+    metadata: project.metadata,
+    gameState: project.gameState,
+    scriptState: project.scriptState
+  };
+};
@@ -0,0 +1,81 @@
+/**
+ * Type declarations for storage.js
+ */
+
+// An entry of the project list
+export interface ProjectEntry {
+  id: string;
+  title: string;
+  author: string;
+  created: string;
+  modified: string;
+  // PNG data URL of the level, or null if it hasn't been drawn yet
+  thumbnail: string | null;
+}
+
+// A project loaded by openProject
+export interface OpenedProject {
+  metadata: { title: string; author: string; created: string; modified: string };
+  gameState: any | null;
+  scriptState: any | null;
+}
+
+// A snapshot of a project's level and script
+export interface Snapshot {
+  // When it was taken (ISO date)
+  time: string;
+  gameState: any | null;
+  scriptState: any | null;
+}
+
+// Where projects are kept: on the save server or in this browser
+export function getStorageLocation(): Promise<'server' | 'browser'>;
+
+// Save game state
+export function saveStateToStorage(state: any): Promise<boolean>;
+
+// Load game state
+export function loadStateFromStorage(): Promise<any | null>;
+
+// Save script editor state
+export function saveScriptStateToStorage(state: any): Promise<boolean>;
+
+// Load script editor state
+export function loadScriptStateFromStorage(): Promise<any | null>;
+
+// Save project metadata (title, author, created/modified dates)
+export function saveProjectMetaToStorage(metadata: any): Promise<boolean>;
+
+// Load project metadata
+export function loadProjectMetaFromStorage(): Promise<any | null>;
+
+// Clear the open project's level and script (the project itself stays in the list),
+// keeping them as a snapshot first
+export function clearSavedState(): Promise<void>;
+
+// List every project (with its id and level thumbnail), most recently modified first
+export function listProjects(): Promise<ProjectEntry[]>;
+
+// Get the id of the project open in the editor
+export function getCurrentProjectId(): Promise<string | null>;
+
+// Add an empty project to the list, resolving to its entry (null if it couldn't be saved)
+export function createProject(title: string): Promise<ProjectEntry | null>;
+
+// Copy a project together with its level and script, resolving to the copy's entry (null on failure)
+export function duplicateProject(projectId: string, title: string): Promise<ProjectEntry | null>;
+
+// Change a project's title
+export function renameProject(projectId: string, title: string): Promise<boolean>;
+
+// Delete a project with its level, script and snapshots (the open project can't be deleted)
+export function deleteProject(projectId: string): Promise<boolean>;
+
+// Make a project the open one, resolving to its data or null if it couldn't be opened
+export function openProject(projectId: string): Promise<OpenedProject | null>;
+
+// Add a snapshot of the open project's saved level and script to its history right away
+export function takeSnapshot(): Promise<boolean>;
+
+// List the open project's snapshots, newest first
+export function listSnapshots(): Promise<Snapshot[]>;
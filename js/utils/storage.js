@@ -0,0 +1,215 @@
+/**
+ * Persistent storage for projects
+ *
+ * Any number of named projects can be kept, each with its own level and player
+ * script, and the editor always has one of them open. The level/script/metadata
+ * functions read and write the open project, and openProject switches to another.
+ * All functions are async.
+ *
+ * When the page is served by the save server (server.js), projects are kept there
+ * as files, so everyone on the network shares them (serverStorage.js). Otherwise
+ * they are kept in this browser's IndexedDB (browserStorage.js). Which one is used
+ * is decided once, the first time storage is used. The first time a browser finds
+ * the server, the projects it kept itself are uploaded, so they aren't left behind.
+ * Failed saves are reported to the UI with a 'storageerror' event.
+ *
+ * While the editor autosaves, a snapshot of the open project's level and script
+ * is added to its history now and then, and before anything replaces them
+ * wholesale (reset, import, restoring a snapshot), so they can be restored later.
+ * Snapshots are always kept in this browser, wherever the project is saved.
+ */
+
+import * as browserStorage from './browserStorage.js';
+import * as serverStorage from './serverStorage.js';
+
+// How many snapshots each project keeps, and how often they're added while editing
+const SNAPSHOT_LIMIT = 30;
+const SNAPSHOT_INTERVAL = 60 * 1000;
+
+// localStorage key remembering that this browser's projects were uploaded to the save server
+const PROJECTS_UPLOADED_KEY = 'ilapeProjectsUploaded';
+
+let backendPromise = null;
+
+// Upload the projects kept in this browser to the save server, unless that was done
+// before. Projects that were never edited are left out. If the upload fails it's
+// tried again next time, without uploading the same project twice.
+const uploadBrowserProjects = async () => {
+  if (localStorage.getItem(PROJECTS_UPLOADED_KEY)) return;
+  
+  try {
+    const entries = await browserStorage.listProjects();
+    const projects = await Promise.all(entries.map(async entry => ({
+      id: entry.id,
+      ...await browserStorage.loadProject(entry.id)
+    })));
+    const editedProjects = projects.filter(project => project.gameState || project.scriptState);
+    
+    await serverStorage.uploadProjects(editedProjects, await browserStorage.getCurrentProjectId());
+    localStorage.setItem(PROJECTS_UPLOADED_KEY, new Date().toISOString());
+    console.log(`Uploaded ${editedProjects.length} projects from this browser to the save server`);
+  } catch (e) {
+    console.error('Failed to upload this browser\'s projects to the save server:', e);
+  }
+};
+
+// Pick where projects are kept, the first time storage is used
+const getBackend = () => {
+  if (!backendPromise) {
+    backendPromise = serverStorage.isServerAvailable().then(async available => {
+      console.log(available ? 'Projects are saved on the save server' : 'Projects are saved in this browser');
+      if (available) {
+        await uploadBrowserProjects();
+      }
+      return available ? serverStorage : browserStorage;
+    });
+  }
+  return backendPromise;
+};
+
+// Tell the UI that a save failed, so it can warn the user (e.g. when the storage quota is full)
+const reportStorageError = (key, error) => {
+  const isQuotaError = !!error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+  window.dispatchEvent(new CustomEvent('storageerror', {
+    detail: {
+      key,
+      isQuotaError,
+      message: error && error.message ? error.message : String(error)
+    }
+  }));
+};
+
+// Run a write, reporting failures; resolves to its result, or to failed if it fails
+const write = async (key, operation, failed) => {
+  try {
+    return await operation(await getBackend());
+  } catch (e) {
+    console.error(`Failed to save ${key}:`, e);
+    reportStorageError(key, e);
+    return failed;
+  }
+};
+
+// Run a write that has no result; resolves to whether it succeeded
+const save = (key, operation) => write(key, async backend => {
+  await operation(backend);
+  return true;
+}, false);
+
+// Run a read; resolves to fallback if it fails
+const read = async (key, operation, fallback = null) => {
+  try {
+    return await operation(await getBackend());
+  } catch (e) {
+    console.error(`Failed to load ${key}:`, e);
+    return fallback;
+  }
+};
+
+// Add a snapshot of the open project's saved level and script to its history.
+// Unless forced, it's skipped when the last snapshot is newer than SNAPSHOT_INTERVAL.
+const recordSnapshot = (force) => save('snapshots', async backend => {
+  const [projectId, gameState, scriptState] = await Promise.all([
+    backend.getCurrentProjectId(),
+    backend.loadProjectPart('gameState'),
+    backend.loadProjectPart('scriptState')
+  ]);
+  // Nothing worth restoring in a project that was never edited
+  if (!gameState && !scriptState) return;
+  
+  await browserStorage.addSnapshot(projectId, { gameState, scriptState }, {
+    limit: SNAPSHOT_LIMIT,
+    minInterval: force ? 0 : SNAPSHOT_INTERVAL
+  });
+});
+
+// Where projects are kept: 'server' or 'browser'
+export const getStorageLocation = async () => ((await getBackend()) === serverStorage ? 'server' : 'browser');
+
+// Save game state
+export const saveStateToStorage = async (state) => {
+  const success = await save('gameState', backend => backend.saveProjectPart('gameState', state));
+  if (success) {
+    await recordSnapshot(false);
+  }
+  return success;
+};
+
+// Load game state
+export const loadStateFromStorage = () => read('gameState', backend => backend.loadProjectPart('gameState'));
+
+// Save script editor state
+export const saveScriptStateToStorage = async (state) => {
+  const success = await save('scriptState', backend => backend.saveProjectPart('scriptState', state));
+  if (success) {
+    console.log('Script state saved successfully');
+    await recordSnapshot(false);
+  }
+  return success;
+};
+
+// Load script editor state
+export const loadScriptStateFromStorage = async () => {
+  const state = await read('scriptState', backend => backend.loadProjectPart('scriptState'));
+  if (state) {
+    console.log('Script state loaded successfully');
+  }
+  return state;
+};
+
+// Save project metadata (title, author, created/modified dates)
+export const saveProjectMetaToStorage = (metadata) => save('projectMeta', backend => backend.saveProjectMeta(metadata));
+
+// Load project metadata
+export const loadProjectMetaFromStorage = () => read('projectMeta', backend => backend.loadProjectMeta());
+
+// Clear the open project's level and script (the project itself stays in the list).
+// They're kept as a snapshot first, so a reset can be undone from the history.
+export const clearSavedState = async () => {
+  await recordSnapshot(true);
+  if (await save('projects', backend => backend.clearProject())) {
+    console.log('All saved states cleared');
+  }
+};
+
+// List every project (with its id and level thumbnail), most recently modified first
+export const listProjects = () => read('projects', backend => backend.listProjects(), []);
+
+// Get the id of the project open in the editor
+export const getCurrentProjectId = () => read('projects', backend => backend.getCurrentProjectId());
+
+// Add an empty project, resolving to its entry in the project list (null if it couldn't be saved)
+export const createProject = (title) => write('projects', backend => backend.createProject(title), null);
+
+// Copy a project together with its level and script, resolving to the copy's entry (null on failure)
+export const duplicateProject = (projectId, title) => write('projects', backend => backend.duplicateProject(projectId, title), null);
+
+// Change a project's title
+export const renameProject = (projectId, title) => save('projects', backend => backend.renameProject(projectId, title));
+
+// Delete a project with its level, script and snapshots. The open project can't
+// be deleted; open another one first.
+export const deleteProject = async (projectId) => {
+  const success = await save('projects', backend => backend.deleteProject(projectId));
+  if (success) {
+    await save('snapshots', () => browserStorage.deleteSnapshots(projectId));
+  }
+  return success;
+};
+
+// Make a project the open one, so later saves go to it. Resolves to its
+// { metadata, gameState, scriptState }, or null if it couldn't be opened.
+export const openProject = (projectId) => read('projects', async backend => {
+  const project = await backend.openProject(projectId);
+  console.log(`Opened project "${project.metadata.title}"`);
+  return project;
+});
+
+// Add a snapshot of the open project's saved level and script to its history right away;
+// resolves to whether that succeeded
+export const takeSnapshot = () => recordSnapshot(true);
+
+// List the open project's snapshots ({ time, gameState, scriptState }), newest first
+export const listSnapshots = () => read('snapshots', async backend => (
+  browserStorage.loadSnapshots(await backend.getCurrentProjectId())
+), []);
@@ -1,8 +1,20 @@
 const express = require('express');
+const fs = require('fs');
 const path = require('path');
 const app = express();
 const port = 3000;
 
+// Folder the save API keeps projects in, one .ilape-project.json file per project
+const LEVELS_DIR = process.env.LEVELS_DIR || path.join(__dirname, 'levels');
+
+// The project and level formats are shared with the editor. They are ES modules,
+// so they're loaded with import() and used once loaded.
+const formatsPromise = Promise.all([
+    import('./js/utils/levelFormat.js'),
+    import('./js/utils/projectFormat.js'),
+    import('./js/utils/levelThumbnail.js')
+]).then(modules => Object.assign({}, ...modules));
+
 // Define CDN URL (can be changed to your actual CDN when deployed)
 const CDN_URL = process.env.CDN_URL || '';
 
@@ -14,6 +26,126 @@ const setStaticAssetHeaders = (res) => {
     res.setHeader('ETag', true);
 };
 
+// Answer an API request with an error the editor can show
+const sendError = (res, status, error, details = []) => {
+    res.status(status).json({ error, details });
+};
+
+// Let async API handlers answer unexpected failures with a 500 error
+const asyncRoute = (handler) => (req, res, next) => {
+    handler(req, res, next).catch(error => {
+        console.error(`${req.method} ${req.originalUrl} failed:`, error);
+        sendError(res, 500, 'The save server could not complete the request.');
+    });
+};
+
+// Save API for sharing projects on the local network:
+//   GET    /api/levels      list every project ({ levels: [{ id, metadata, thumbnail }] })
+//   GET    /api/levels/:id  download a project file
+//   PUT    /api/levels/:id  create or replace a project (validated like an imported file)
+//   DELETE /api/levels/:id  delete a project
+const api = express.Router();
+api.use(express.json({ limit: '20mb' }));
+
+// Ids become file names, so anything but letters, digits, - and _ is refused
+api.param('id', asyncRoute(async (req, res, next) => {
+    const { PROJECT_ID_PATTERN, PROJECT_FILE_EXTENSION } = await formatsPromise;
+    const id = req.params.id;
+    if (!PROJECT_ID_PATTERN.test(id)) {
+        sendError(res, 400, `Invalid project id "${id}".`);
+        return;
+    }
+    req.projectPath = path.join(LEVELS_DIR, `${id}${PROJECT_FILE_EXTENSION}`);
+    next();
+}));
+
+api.get('/levels', asyncRoute(async (req, res) => {
+    const { readProjectData, createLevelThumbnail, PROJECT_FILE_EXTENSION } = await formatsPromise;
+    await fs.promises.mkdir(LEVELS_DIR, { recursive: true });
+    
+    const fileNames = (await fs.promises.readdir(LEVELS_DIR)).filter(name => name.endsWith(PROJECT_FILE_EXTENSION));
+    const levels = [];
+    for (const fileName of fileNames) {
+        try {
+            const text = await fs.promises.readFile(path.join(LEVELS_DIR, fileName), 'utf8');
+            const project = readProjectData(JSON.parse(text));
+            levels.push({
+                id: fileName.slice(0, -PROJECT_FILE_EXTENSION.length),
+                metadata: project.metadata,
+                thumbnail: createLevelThumbnail(project.level)
+            });
+        } catch (error) {
+            // A file broken by hand shouldn't hide every other project
+            console.warn(`Skipping unreadable project ${fileName}:`, error.message);
+        }
+    }
+    
+    levels.sort((a, b) => b.metadata.modified.localeCompare(a.metadata.modified));
+    res.json({ levels });
+}));
+
+api.get('/levels/:id', asyncRoute(async (req, res) => {
+    try {
+        const text = await fs.promises.readFile(req.projectPath, 'utf8');
+        res.type('application/json').send(text);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        sendError(res, 404, `Project "${req.params.id}" does not exist.`);
+    }
+}));
+
+api.put('/levels/:id', asyncRoute(async (req, res) => {
+    const { readProjectData, LevelFormatError } = await formatsPromise;
+    try {
+        readProjectData(req.body);
+    } catch (error) {
+        if (error instanceof LevelFormatError) {
+            sendError(res, 400, error.message, error.details);
+            return;
+        }
+        // Anything else the checks trip over is still a body they can't read, not a server failure
+        console.warn(`${req.method} ${req.originalUrl}: unreadable project:`, error);
+        sendError(res, 400, 'The project file could not be read.', [error.message]);
+        return;
+    }
+    
+    await fs.promises.mkdir(LEVELS_DIR, { recursive: true });
+    const existed = fs.existsSync(req.projectPath);
+    
+    // Write a temporary file and move it into place, so a crash can't leave half a project behind
+    const tempPath = `${req.projectPath}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(req.body, null, 2));
+    await fs.promises.rename(tempPath, req.projectPath);
+    
+    res.status(existed ? 200 : 201).json({ id: req.params.id, metadata: req.body.metadata });
+}));
+
+api.delete('/levels/:id', asyncRoute(async (req, res) => {
+    try {
+        await fs.promises.unlink(req.projectPath);
+        res.status(204).end();
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        sendError(res, 404, `Project "${req.params.id}" does not exist.`);
+    }
+}));
+
+// Answer malformed or oversized request bodies in JSON too
+api.use((error, req, res, next) => {
+    sendError(res, error.status || 500, error.message);
+});
+
+app.use('/api', api);
+
+// Projects are only reachable through the save API: keep the folder they're kept in
+// out of the static files served below, when it is inside the served folder
+const levelsUrlPath = path.relative(path.resolve('.'), LEVELS_DIR);
+if (levelsUrlPath && !levelsUrlPath.startsWith('..') && !path.isAbsolute(levelsUrlPath)) {
+    app.use(`/${levelsUrlPath.split(path.sep).join('/')}`, (req, res) => {
+        res.sendStatus(404);
+    });
+}
+
 // Intercept .js requests to set correct MIME type and cache headers
 app.get('*.js', (req, res, next) => {
     const filePath = path.join(__dirname, req.path);
@@ -30,6 +162,17 @@ app.get('*.js', (req, res, next) => {
     });
 });
 
+// Serve the built editor (npm run build) when there is one, so the save API and the editor share an address
+const DIST_DIR = path.join(__dirname, 'dist');
+if (fs.existsSync(DIST_DIR)) {
+    app.use(express.static(DIST_DIR, {
+        etag: true,
+        lastModified: true,
+        maxAge: '1d',
+        setHeaders: setStaticAssetHeaders
+    }));
+}
+
 // Serve static assets with cache headers
 app.use(express.static('.', {
     etag: true,
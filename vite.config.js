@@ -6,6 +6,10 @@ export default defineConfig({
   plugins: [react()],
   server: { // Optional: Keep server config if you had specific needs
     port: 5174, // Ensure this matches the port you expect
+    proxy: {
+      // Use the save API of server.js (npm start) when it is running
+      '/api': 'http://localhost:3000'
+    },
     // host: true, // Uncomment if needed for network access
   },
   // Ensure root points to the correct directory if your index.html isn't in the root